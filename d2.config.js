@@ -12,7 +12,7 @@ const config = {
         dashboardWidget: './src/App.jsx',
         plugin: './src/App.jsx'
     },
-    dataStoreNamespace: 'event-report-widget',
+    dataStoreNamespace: 'EVENT_REPORT_WIDGET',
     customAuthorities: [
         'TRACKER_CAPTURE_ACCESS',
         'MY_ORG_UNIT_DATA'
@@ -27,7 +27,6 @@ import DataStoreInitializer from './components/DataStoreInitializer';
 
 // Import hooks
 import { useAuthorization } from './hooks/useAuthorization';
-import { useDataStore } from './hooks/useDataStore';
 
 /**
  * LoadingSpinner Component
@@ -47,15 +46,18 @@ const LoadingSpinner = ({ message = 'Loading...' }) => (
 /**
  * Main Application Component
  * Provides the core structure for the Event Reports Widget
+ * @param {Object} props - Component props
+ * @param {string} props.dashboardItemId - Dashboard item of this widget instance, passed by
+ * the dashboard in plugin mode
  */
-const App = () => {
+const App = ({ dashboardItemId }) => {
   // State for managing configuration modal and current dashboard
   const [isConfigModalOpen, setIsConfigModalOpen] = useState(false);
   const [currentDashboardId, setCurrentDashboardId] = useState(null);
+  // Dashboard item of this widget instance, when the dashboard tells us
+  const [currentItemId, setCurrentItemId] = useState(null);
   const [appLoading, setAppLoading] = useState(false);
   const [isDashboardEmbedded, setIsDashboardEmbedded] = useState(false);
-  const [configListKey, setConfigListKey] = useState(0);
-  const [refreshTimestamp, setRefreshTimestamp] = useState(Date.now());
 
 
   // Use authorization hook
@@ -64,9 +66,6 @@ const App = () => {
   // Get DHIS2 data engine for API calls
   const engine = useDataEngine();
 
-  // Get the refresh function from useDataStore
-  const { refreshConfigurations } = useDataStore();
-
   // Detect dashboard context and set the current dashboard ID
   useEffect(() => {
     let dashboardChangeInterval = null;
@@ -80,7 +79,10 @@ const App = () => {
       const isFramed = window !== window.parent;
       const urlParams = new URLSearchParams(window.location.search);
       const hasPluginParam = window.location.href.includes('plugin.html');
-      const isEmbedded = isFramed || hasPluginParam;
+      const isEmbedded = isFramed || hasPluginParam || Boolean(dashboardItemId);
+      // The dashboard app passes the dashboard item of each plugin instance, as a
+      // prop in plugin mode and as a URL parameter otherwise
+      const itemId = dashboardItemId || urlParams.get('dashboardItemId');
 
       console.log("Is embedded/framed:", isEmbedded);
 
@@ -92,11 +94,38 @@ const App = () => {
         setAppLoading(true);
         setIsDashboardEmbedded(isEmbedded);
 
+        if (itemId) {
+          setCurrentItemId(itemId);
+        }
+
         // Function to identify the current dashboard
         const identifyCurrentDashboard = async () => {
           // Try different methods to detect dashboard ID
           let dashboardId = null;
 
+          // The dashboard holding this widget instance, if the item is known;
+          // checked first as the stored dashboard ID may be another tab's
+          if (itemId) {
+            try {
+              const result = await engine.query({
+                dashboards: {
+                  resource: 'dashboards',
+                  params: {
+                    fields: 'id,name',
+                    filter: `dashboardItems.id:eq:${itemId}`,
+                    paging: false
+                  }
+                }
+              });
+              const itemDashboard = result.dashboards?.dashboards?.[0];
+              if (itemDashboard) {
+                return itemDashboard.id;
+              }
+            } catch (error) {
+              console.error("Error finding the dashboard of the widget instance:", error);
+            }
+          }
+
           // Check if we have a stored dashboard ID in sessionStorage
           // (useful for cross-frame communication)
           const storedDashboardId = sessionStorage.getItem('current_dashboard_id');
@@ -324,7 +353,8 @@ const App = () => {
         document.head.appendChild(styleElement);
 
         // Set up poller to detect dashboard changes if we're embedded
-        if (isFramed) {
+        // (a known widget instance never moves to another dashboard)
+        if (isFramed && !itemId) {
           // Store the current location/URL
           previousLocation = document.referrer;
 
@@ -409,7 +439,7 @@ const App = () => {
       // Remove any event listeners
       window.removeEventListener('message', () => { });
     };
-  }, [engine]);
+  }, [engine, dashboardItemId]);
 
 
   // Open configuration modal
@@ -417,30 +447,18 @@ const App = () => {
     setIsConfigModalOpen(true);
   }, []);
 
-  // Close configuration modal and refresh config list using multiple approaches
+  // Close configuration modal; saved changes are already shown everywhere
+  // through the shared configuration store
   const handleConfigModalClose = useCallback(() => {
     setIsConfigModalOpen(false);
-
-    console.log("Closing config modal, triggering refresh...");
-
-    // Approach 1: Force component remount with key change
-    setConfigListKey(prev => prev + 1);
-
-    // Approach 2: Update timestamp to trigger effect dependencies
-    setRefreshTimestamp(Date.now());
-
-    // Approach 3: Directly call refresh function from useDataStore
-    if (refreshConfigurations) {
-      refreshConfigurations();
-    }
-  }, [refreshConfigurations]);
+  }, []);
 
   // Render configuration button (for users with config access)
   const renderConfigButtons = useCallback(() => {
     // Don't show the configure button if:
     // 1. User doesn't have config access, or
-    // 2. App is embedded in a dashboard
-    if (!hasConfigAccess || isDashboardEmbedded) return null;
+    // 2. App is embedded in a dashboard without knowing its widget instance
+    if (!hasConfigAccess || (isDashboardEmbedded && !currentItemId)) return null;
 
     return (
       <div style={{
@@ -452,11 +470,11 @@ const App = () => {
           onClick={openConfigModal}
           primary
         >
-          Configure Widget
+          {isDashboardEmbedded ? 'Configure This Widget' : 'Configure Widget'}
         </Button>
       </div>
     );
-  }, [hasConfigAccess, openConfigModal, isDashboardEmbedded]);
+  }, [hasConfigAccess, openConfigModal, isDashboardEmbedded, currentItemId]);
 
   // Render content
   const renderContent = useCallback(() => {
@@ -464,24 +482,27 @@ const App = () => {
     if (!isDashboardEmbedded) {
       return (
         <ConfigurationList
-          key={configListKey} // Force remount when key changes
           openConfigModal={openConfigModal}
           currentDashboardId={currentDashboardId}
           hasConfigAccess={hasConfigAccess}
-          refreshTimestamp={refreshTimestamp} // Pass timestamp for refresh trigger
         />
       );
     }
 
     // When embedded, show the report viewer
-    return <EventReportViewer dashboardId={currentDashboardId} isEmbedded={isDashboardEmbedded} />;
+    return (
+      <EventReportViewer
+        dashboardId={currentDashboardId}
+        itemId={currentItemId}
+        isEmbedded={isDashboardEmbedded}
+      />
+    );
   }, [
     currentDashboardId,
+    currentItemId,
     isDashboardEmbedded,
     openConfigModal,
-    hasConfigAccess,
-    configListKey,
-    refreshTimestamp
+    hasConfigAccess
   ]);
 
   // Show loading while authorization is being checked
@@ -508,6 +529,7 @@ const App = () => {
           isOpen={isConfigModalOpen}
           onClose={handleConfigModalClose}
           dashboardId={currentDashboardId}
+          itemId={currentItemId}
           isEmbedded={isDashboardEmbedded}
         />
       </div>
@@ -518,8 +540,10 @@ const App = () => {
 /**
  * AppProvider Component
  * Wraps the main App with necessary providers
+ * @param {Object} props - Component props
+ * @param {string} props.dashboardItemId - Dashboard item of this widget instance (plugin mode)
  */
-const AppProvider = () => {
+const AppProvider = ({ dashboardItemId }) => {
   return (
     <DataProvider>
       <ErrorBoundary>
@@ -527,7 +551,7 @@ const AppProvider = () => {
           <ConfigurationProvider>
             <CssReset />
             <CssVariables colors spacers />
-            <App />
+            <App dashboardItemId={dashboardItemId} />
           </ConfigurationProvider>
         </AuthProvider>
       </ErrorBoundary>
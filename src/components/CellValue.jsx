@@ -0,0 +1,114 @@
+import React from 'react';
+import { Tag } from '@dhis2/ui';
+import { FiCheck, FiX, FiMapPin, FiPaperclip, FiImage } from 'react-icons/fi';
+
+import styles from '../EventReportViewer.module.css';
+import { COLUMN_FORMATS, formatColumnValue } from '../utils/formatUtils';
+import {
+  FILE_VALUE_TYPES,
+  getMapUrl,
+  getSafeUrl,
+  isBooleanValueType,
+  parseBooleanValue,
+  parseCoordinate
+} from '../utils/valueTypeUtils';
+
+// Display format used for date value types when the column has no format of its own
+const DATE_DISPLAY_FORMATS = {
+  DATE: COLUMN_FORMATS.DATE,
+  AGE: COLUMN_FORMATS.DATE,
+  DATETIME: COLUMN_FORMATS.DATETIME
+};
+
+/**
+ * Link opened in a new tab
+ * @param {Object} props - Component props
+ * @param {string} props.href - Link target
+ * @param {React.ReactNode} props.children - Link content
+ */
+const ExternalLink = ({ href, children }) => (
+  <a href={href} target="_blank" rel="noopener noreferrer" className={styles.cellLink}>
+    {children}
+  </a>
+);
+
+/**
+ * CellValue Component
+ * Shows a cell of the event list by the valueType of its analytics header: phone numbers,
+ * emails and URLs are links, yes/no values icons, coordinates link to a map and files to
+ * their content. A display format picked in the configuration takes precedence.
+ * @param {Object} props - Component props
+ * @param {*} props.value - Cell value
+ * @param {Object} props.column - Column metadata ({ name, valueType })
+ * @param {Object} props.setting - Column setting of the configuration ({ format, decimals })
+ * @param {Object} props.metaData - Analytics metaData, for organisation unit names
+ * @param {string} props.baseUrl - DHIS2 server URL, for file resources
+ */
+const CellValue = ({ value, column, setting, metaData, baseUrl }) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const format = setting?.format || COLUMN_FORMATS.AUTO;
+  if (format === COLUMN_FORMATS.TAG) {
+    return <Tag>{value}</Tag>;
+  }
+  if (format !== COLUMN_FORMATS.AUTO) {
+    return formatColumnValue(value, setting);
+  }
+
+  const valueType = column?.valueType;
+  const text = String(value);
+
+  if (DATE_DISPLAY_FORMATS[valueType]) {
+    return formatColumnValue(value, { format: DATE_DISPLAY_FORMATS[valueType] });
+  }
+
+  if (isBooleanValueType(valueType)) {
+    const booleanValue = parseBooleanValue(value);
+    if (booleanValue === null) return text;
+    return booleanValue
+      ? <FiCheck className={styles.booleanTrue} aria-label="Yes" title="Yes" />
+      : <FiX className={styles.booleanFalse} aria-label="No" title="No" />;
+  }
+
+  if (valueType === 'PHONE_NUMBER') {
+    return <a href={`tel:${text.replace(/[^\d+]/g, '')}`} className={styles.cellLink}>{text}</a>;
+  }
+
+  if (valueType === 'EMAIL') {
+    return <a href={`mailto:${text.trim()}`} className={styles.cellLink}>{text}</a>;
+  }
+
+  if (valueType === 'URL') {
+    const url = getSafeUrl(value);
+    return url ? <ExternalLink href={url}>{text}</ExternalLink> : text;
+  }
+
+  // Event geometry is a GeoJSON point whatever the header valueType
+  if (valueType === 'COORDINATE' || column?.name === 'geometry') {
+    const coordinate = parseCoordinate(value);
+    if (!coordinate) return text;
+    return (
+      <ExternalLink href={getMapUrl(coordinate)}>
+        <FiMapPin />
+        {`${coordinate.latitude.toFixed(5)}, ${coordinate.longitude.toFixed(5)}`}
+      </ExternalLink>
+    );
+  }
+
+  if (valueType === 'ORGANISATION_UNIT') {
+    return metaData?.items?.[text]?.name || text;
+  }
+
+  if (FILE_VALUE_TYPES.includes(valueType) && baseUrl) {
+    return (
+      <ExternalLink href={`${baseUrl}/api/fileResources/${encodeURIComponent(text)}/data`}>
+        {valueType === 'IMAGE' ? <FiImage /> : <FiPaperclip />}
+        {valueType === 'IMAGE' ? 'View image' : 'Open file'}
+      </ExternalLink>
+    );
+  }
+
+  return text;
+};
+
+export default CellValue;
@@ -11,36 +11,72 @@ import {
   Box,
   Checkbox,
   FieldSet,
-  Legend
+  Legend,
+  MultiSelectField,
+  MultiSelectOption
 } from '@dhis2/ui';
 
 // Import custom hooks and utilities
 import { useDataStore } from '../hooks/useDataStore';
 import { useAuthorization } from '../hooks/useAuthorization';
 import { useEventReports } from '../hooks/useEventReports';
+import { useReportColumns } from '../hooks/useReportColumns';
+import { useUserGroups } from '../hooks/useUserGroups';
+import { useLegendSets } from '../hooks/useLegendSets';
 import { configurationValidator } from '../utils/configurationValidator';
+import { REPORT_PERIOD, DEFAULT_HIDDEN_COLUMNS } from '../utils/constants';
+import { MASK_ACTIONS } from '../utils/exportPolicy';
+import { COLUMN_FORMATS, COLUMN_FORMAT_LABELS, getFormatsForColumn } from '../utils/formatUtils';
+import { COLUMN_ID_SCHEME, FIXED_COLUMN_LABELS, toColumnNameKeys, toColumnNames } from '../utils/columnIdentity';
+import { RULE_TYPES, RULE_SCOPES, RULE_OPERATORS, RULE_COLORS } from '../utils/conditionalFormatting';
+import { getRevision, isConflictError, mergeConfigurations } from '../utils/configurationRevision';
 //import { PAGE_SIZE_OPTION_VALUES, DEFAULT_PAGE_SIZE } from '../utils/constants';
 
-// Default hidden columns definition
-const DEFAULT_HIDDEN_COLUMNS = [
-  'Event',
-  'Program stage',
-  'Stored by',
-  'Created by',
-  'Last updated by',
-  'Last updated on',
-  'Scheduled date',
-  'Date of enrollment in the system',
-  'Date of Report',
-  'Tracked entity instance',
-  'Program instance',
-  'Geometry',
-  'Longitude',
-  'Latitude',
-  'Organisation unit name hierarchy',
-  'Organisation unit code'
+// Delay before searching event reports while the user types
+const REPORT_SEARCH_DEBOUNCE_MS = 400;
+
+// Columns without a mask action are exported as they are
+const KEEP_COLUMN = 'KEEP';
+
+// How each column is exported
+const MASK_ACTION_OPTIONS = [
+  { value: KEEP_COLUMN, label: 'Export as is' },
+  { value: MASK_ACTIONS.MASK, label: 'Mask values' },
+  { value: MASK_ACTIONS.DROP, label: 'Leave out' }
 ];
 
+// Number of decimals for number formats, 'AUTO' keeps up to two
+const DECIMALS_OPTIONS = [
+  { value: 'AUTO', label: 'Auto' },
+  { value: '0', label: '0' },
+  { value: '1', label: '1' },
+  { value: '2', label: '2' },
+  { value: '3', label: '3' }
+];
+
+/**
+ * Split a comma separated list of authorities
+ * @param {string} text - Authorities as typed by the user
+ * @returns {Array} Trimmed, unique authorities
+ */
+const parseAuthorities = (text) =>
+  [...new Set(text.split(',').map(authority => authority.trim()).filter(Boolean))];
+
+
+/**
+ * New conditional formatting rule, colouring the cell when the condition matches
+ * @param {string} column - Column name the rule applies to
+ * @returns {Object} Rule
+ */
+const createRule = (column) => ({
+  id: `rule_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+  type: RULE_TYPES.CONDITION,
+  column,
+  operator: 'EQ',
+  value: '',
+  color: RULE_COLORS[0].value,
+  scope: RULE_SCOPES.CELL
+});
 
 /**
  * ConfigManager Component
@@ -52,14 +88,32 @@ const DEFAULT_HIDDEN_COLUMNS = [
  * 
  * @param {Object} props
  * @param {string} props.dashboardId - Unique identifier for the dashboard or 'default'
+ * @param {string} props.itemId - Dashboard item of the widget instance to configure, if only that one
  * @param {function} props.onClose - Callback to close the configuration modal
  * @param {boolean} props.embedded - Whether the component is embedded in another component
  */
-const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
+const ConfigManager = ({ dashboardId, itemId = null, onClose, embedded = false }) => {
   // Use custom hooks for authorization, data store, and event reports
   const { hasConfigAccess } = useAuthorization();
-  const { saveConfiguration, getDashboardConfiguration, saveGlobalConfiguration } = useDataStore();
-  const { eventReports, loading: reportsLoading, error: reportsError, getEventReportDetails } = useEventReports();
+  const {
+    saveConfiguration,
+    getDashboardConfiguration,
+    getWidgetConfiguration,
+    getStoredConfiguration,
+    getConfigurationRevision,
+    refreshConfigurations,
+    saveGlobalConfiguration
+  } = useDataStore();
+  const {
+    eventReports,
+    loading: reportsLoading,
+    error: reportsError,
+    getEventReportDetails,
+    getAnalyticsParams,
+    searchEventReports
+  } = useEventReports();
+  const { userGroups, loading: userGroupsLoading } = useUserGroups();
+  const { legendSets, loading: legendSetsLoading } = useLegendSets();
 
   const PAGE_SIZE_OPTIONS = [
     { value: '5', label: '5' },
@@ -73,22 +127,59 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
 
   const DEFAULT_PAGE_SIZE = '10';
 
-  // Get current dashboard configuration
+  // Values of the form fields for a configuration
+  const getFormValues = (config, columns = []) => ({
+    selectedReport: config.eventReportId || null,
+    pageSize: config.pageSize ? String(config.pageSize) : DEFAULT_PAGE_SIZE,
+    period: config.period || REPORT_PERIOD,
+    hiddenColumns: config.hiddenColumns ? toColumnNames(config.hiddenColumns, columns) : DEFAULT_HIDDEN_COLUMNS,
+    exportAuthorities: (config.exportPermissions?.authorities || []).join(', '),
+    exportUserGroups: config.exportPermissions?.userGroups || [],
+    maskedColumns: toColumnNameKeys(config.maskedColumns, columns),
+    columnSettings: toColumnNameKeys(config.columnSettings, columns),
+    conditionalFormats: config.conditionalFormats || []
+  });
+
+  // Get current dashboard configuration, or what a widget instance currently shows
   const existingConfig = useMemo(() =>
-    getDashboardConfiguration(dashboardId) || {},
-    [dashboardId, getDashboardConfiguration]
+    (itemId ? getWidgetConfiguration(dashboardId, itemId) : getDashboardConfiguration(dashboardId)) || {},
+    [dashboardId, itemId, getDashboardConfiguration, getWidgetConfiguration]
   );
 
+  // Stored configuration of what is being configured, and its revision; changes are
+  // saved (and merged on conflicts) against the ones the form was loaded from
+  const storedConfig = getStoredConfiguration(dashboardId, itemId);
+  const storedRevision = getConfigurationRevision(dashboardId, itemId);
+
+  // Name of what is being configured, for messages
+  const targetLabel = itemId
+    ? `widget ${itemId}`
+    : (dashboardId === 'default' ? 'default' : `dashboard ${dashboardId}`);
+
   // State for active tab
   const [activeTab, setActiveTab] = useState('basic');
 
+  // Form values as loaded from the configuration, telling unsaved edits apart
+  const [loadedValues, setLoadedValues] = useState(() => getFormValues(existingConfig));
+
   // State for configuration options
-  const [selectedReport, setSelectedReport] = useState(existingConfig.eventReportId || null);
-  const [pageSize, setPageSize] = useState(
-    existingConfig.pageSize ? String(existingConfig.pageSize) : DEFAULT_PAGE_SIZE
-  );
-  const [period, setPeriod] = useState(existingConfig.period || 'LAST_12_MONTHS');
-  const [hiddenColumns, setHiddenColumns] = useState(existingConfig.hiddenColumns || DEFAULT_HIDDEN_COLUMNS);
+  const [selectedReport, setSelectedReport] = useState(loadedValues.selectedReport);
+  const [pageSize, setPageSize] = useState(loadedValues.pageSize);
+  const [period, setPeriod] = useState(loadedValues.period);
+  // Columns are referenced by name; name-based references of older configurations
+  // are resolved here, and again against the report columns once they are loaded
+  const [hiddenColumns, setHiddenColumns] = useState(loadedValues.hiddenColumns);
+
+  // State for export options
+  const [exportAuthorities, setExportAuthorities] = useState(loadedValues.exportAuthorities);
+  const [exportUserGroups, setExportUserGroups] = useState(loadedValues.exportUserGroups);
+  const [maskedColumns, setMaskedColumns] = useState(loadedValues.maskedColumns);
+
+  // State for column labels and display formats
+  const [columnSettings, setColumnSettings] = useState(loadedValues.columnSettings);
+
+  // State for conditional formatting rules
+  const [conditionalFormats, setConditionalFormats] = useState(loadedValues.conditionalFormats);
 
   // State for global config options
   const [globalFallback, setGlobalFallback] = useState(true);
@@ -97,34 +188,143 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
   const [validationResult, setValidationResult] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
 
+  // What the form was loaded from: the revision and settings of the stored configuration
+  // (the base of the next save), and the configuration shown, which may be a fallback
+  const [loaded, setLoaded] = useState(() => ({
+    revision: storedRevision,
+    config: storedConfig,
+    shownConfig: JSON.stringify(existingConfig)
+  }));
+  // Whether the stored configuration changed while the form had unsaved edits
+  const [changedElsewhere, setChangedElsewhere] = useState(false);
+  // A save rejected because someone else changed the configuration since ({ configuration, current })
+  const [conflict, setConflict] = useState(null);
 
-  // Fetch sample columns when selected report changes
-  const [availableColumns, setAvailableColumns] = useState([]);
+  // Current form values, and whether they differ from the loaded ones
+  const formValues = {
+    selectedReport,
+    pageSize,
+    period,
+    hiddenColumns,
+    exportAuthorities,
+    exportUserGroups,
+    maskedColumns,
+    columnSettings,
+    conditionalFormats
+  };
+  const hasUnsavedChanges = JSON.stringify(formValues) !== JSON.stringify(loadedValues);
+
+  // State for the server-side event report search
+  const [reportSearch, setReportSearch] = useState('');
+  const [reportMatches, setReportMatches] = useState(null);
+  const [reportSearching, setReportSearching] = useState(false);
+
+  // Search event reports by name on the server, debounced while typing
   useEffect(() => {
-    if (selectedReport) {
-      const reportDetails = getEventReportDetails(selectedReport);
-      if (reportDetails) {
-        // In a real app, we would fetch sample data to get columns
-        // For now, let's use a mix of default hidden columns and some additional columns
-        const sampleColumns = [
-          ...DEFAULT_HIDDEN_COLUMNS,
-          'First Name',
-          'Last Name',
-          'Age',
-          'Gender',
-          'Phone',
-          'Email',
-          'Registration Date',
-          'Status',
-          'Organization Unit'
-        ];
-        setAvailableColumns([...new Set(sampleColumns)]);
+    const term = reportSearch.trim();
+    if (!term) {
+      setReportMatches(null);
+      setReportSearching(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setReportSearching(true);
+      const matches = await searchEventReports(term);
+      if (!cancelled) {
+        setReportMatches(matches);
+        setReportSearching(false);
       }
+    }, REPORT_SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [reportSearch, searchEventReports]);
+
+  // Options for the report selector, always keeping the selected report available.
+  // Loaded reports are filtered locally until (or if) the server search answers.
+  const reportOptions = useMemo(() => {
+    const term = reportSearch.trim().toLowerCase();
+    const options = reportMatches || (term
+      ? eventReports.filter(report => (report.name || '').toLowerCase().includes(term))
+      : eventReports);
+    const selectedDetails = selectedReport && getEventReportDetails(selectedReport);
+    if (selectedDetails && !options.some(report => report.id === selectedReport)) {
+      return [selectedDetails, ...options];
+    }
+    return options;
+  }, [reportSearch, reportMatches, eventReports, selectedReport, getEventReportDetails]);
+
+
+  // Columns of the selected report, read from the analytics headers
+  const selectedReportDetails = selectedReport ? getEventReportDetails(selectedReport) : null;
+  const { columns: reportColumns, loading: columnsLoading } = useReportColumns(
+    selectedReport ? getAnalyticsParams(selectedReport) : null,
+    selectedReportDetails?.outputType || 'EVENT'
+  );
+
+  // Resolve display names saved by older configurations against the report columns
+  useEffect(() => {
+    if (reportColumns.length === 0) return;
+    setHiddenColumns(prev => toColumnNames(prev, reportColumns));
+    setMaskedColumns(prev => toColumnNameKeys(prev, reportColumns));
+    setColumnSettings(prev => toColumnNameKeys(prev, reportColumns));
+    setLoadedValues(prev => ({
+      ...prev,
+      hiddenColumns: toColumnNames(prev.hiddenColumns, reportColumns),
+      maskedColumns: toColumnNameKeys(prev.maskedColumns, reportColumns),
+      columnSettings: toColumnNameKeys(prev.columnSettings, reportColumns)
+    }));
+  }, [reportColumns]);
+
+  // Show the stored configuration again when it changes, e.g. once loaded or reloaded.
+  // Unsaved edits are kept instead: their save is then checked against the revision
+  // they were based on, and offers to merge or reload.
+  const shownConfig = JSON.stringify(existingConfig);
+  useEffect(() => {
+    if (storedRevision === loaded.revision && shownConfig === loaded.shownConfig) return;
+    // Own saves are followed once they complete
+    if (isSaving) return;
+    if (hasUnsavedChanges) {
+      setChangedElsewhere(storedRevision !== loaded.revision);
+      return;
     }
-  }, [selectedReport, getEventReportDetails]);
+
+    const values = getFormValues(existingConfig, reportColumns);
+    setLoaded({ revision: storedRevision, config: storedConfig, shownConfig });
+    setLoadedValues(values);
+    setChangedElsewhere(false);
+    setSelectedReport(values.selectedReport);
+    setPageSize(values.pageSize);
+    setPeriod(values.period);
+    setHiddenColumns(values.hiddenColumns);
+    setExportAuthorities(values.exportAuthorities);
+    setExportUserGroups(values.exportUserGroups);
+    setMaskedColumns(values.maskedColumns);
+    setColumnSettings(values.columnSettings);
+    setConditionalFormats(values.conditionalFormats);
+  }, [existingConfig, storedConfig, storedRevision, shownConfig, loaded, isSaving, hasUnsavedChanges, reportColumns]);
+
+  // Column names to choose from, keeping configured columns the report no longer returns
+  const availableColumns = useMemo(() => [...new Set([
+    ...reportColumns.map(column => column.name),
+    ...hiddenColumns,
+    ...Object.keys(maskedColumns),
+    ...Object.keys(columnSettings)
+  ])], [reportColumns, hiddenColumns, maskedColumns, columnSettings]);
+
+  // Display name of a column, from the report headers when available
+  const getAvailableColumnLabel = (columnName) =>
+    reportColumns.find(column => column.name === columnName)?.column ||
+    FIXED_COLUMN_LABELS[columnName] ||
+    columnName;
 
   // Predefined period options
   const periodOptions = [
+    { value: REPORT_PERIOD, label: 'As saved in the event report' },
     { value: 'LAST_12_MONTHS', label: 'Last 12 Months' },
     { value: 'LAST_6_MONTHS', label: 'Last 6 Months' },
     { value: 'THIS_YEAR', label: 'This Year' },
@@ -149,6 +349,56 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
     setHiddenColumns(DEFAULT_HIDDEN_COLUMNS);
   };
 
+  // Set how a column is exported (masked, left out, or as is)
+  const setColumnMaskAction = (columnName, action) => {
+    setMaskedColumns(prev => {
+      const next = { ...prev };
+      if (action === KEEP_COLUMN) {
+        delete next[columnName];
+      } else {
+        next[columnName] = action;
+      }
+      return next;
+    });
+  };
+
+  // Change the label or display format of a column, dropping settings left at their defaults
+  const updateColumnSetting = (columnName, changes) => {
+    setColumnSettings(prev => {
+      const setting = { ...prev[columnName], ...changes };
+      if (!setting.label) delete setting.label;
+      if (!setting.format || setting.format === COLUMN_FORMATS.AUTO) delete setting.format;
+      if (!Number.isInteger(setting.decimals)) delete setting.decimals;
+
+      const next = { ...prev };
+      if (Object.keys(setting).length > 0) {
+        next[columnName] = setting;
+      } else {
+        delete next[columnName];
+      }
+      return next;
+    });
+  };
+
+  // Add, change or remove a conditional formatting rule
+  const addConditionalFormat = () => {
+    setConditionalFormats(prev => [...prev, createRule(availableColumns[0] || '')]);
+  };
+
+  const updateConditionalFormat = (ruleId, changes) => {
+    setConditionalFormats(prev => prev.map(rule => rule.id === ruleId ? { ...rule, ...changes } : rule));
+  };
+
+  const removeConditionalFormat = (ruleId) => {
+    setConditionalFormats(prev => prev.filter(rule => rule.id !== ruleId));
+  };
+
+  // Export settings as saved in the configuration
+  const exportPermissions = {
+    authorities: parseAuthorities(exportAuthorities),
+    userGroups: exportUserGroups
+  };
+
   // Validate configuration
   const validateConfig = () => {
     // Create configuration object for validation
@@ -157,6 +407,10 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
       pageSize: parseInt(pageSize, 10), // Make sure this is converted to a number
       period,
       hiddenColumns,
+      exportPermissions,
+      maskedColumns,
+      columnSettings,
+      conditionalFormats,
       metadata: {
         createdAt: new Date().toISOString()
       }
@@ -170,7 +424,7 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
   };
 
   // Save configuration to Data Store
-  const handleSaveConfiguration = () => {
+  const handleSaveConfiguration = async () => {
     // Validate required fields and configuration
     if (!selectedReport) {
       setValidationResult({
@@ -185,12 +439,12 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
       return;
     }
 
-    setIsSaving(true);
-    console.log(`Saving configuration for dashboard: ${dashboardId}`, {
+    console.log(`Saving configuration for ${targetLabel}`, {
       eventReportId: selectedReport,
       pageSize: parseInt(pageSize, 10),
       period,
-      hiddenColumns: hiddenColumns.length
+      hiddenColumns: hiddenColumns.length,
+      maskedColumns: Object.keys(maskedColumns).length
     });
 
     // Prepare configuration object
@@ -199,17 +453,37 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
       pageSize: parseInt(pageSize, 10),
       period,
       hiddenColumns,
+      // Column order and pins are arranged in the widget itself
+      columnOrder: toColumnNames(existingConfig.columnOrder, reportColumns),
+      pinnedColumns: toColumnNames(existingConfig.pinnedColumns, reportColumns),
+      columnIdScheme: COLUMN_ID_SCHEME,
+      exportPermissions,
+      maskedColumns,
+      columnSettings,
+      conditionalFormats,
       metadata: {
         createdAt: new Date().toISOString()
       }
     };
 
+    await storeConfiguration(configuration, loaded.revision);
+  };
+
+  // Save a configuration based on the given revision of the stored one
+  const storeConfiguration = async (configuration, baseRevision) => {
+    const savedValues = formValues;
+    setIsSaving(true);
+    setConflict(null);
+
     try {
-      // Save specific dashboard configuration
-      saveConfiguration(dashboardId, configuration);
+      // Save specific dashboard (or widget instance) configuration
+      await saveConfiguration(dashboardId, configuration, { itemId, baseRevision });
+
+      // The saved values are no unsaved edits, the form now follows the stored configuration
+      setLoadedValues(savedValues);
 
       // If this is the default config, also update global settings
-      if (dashboardId === 'default') {
+      if (dashboardId === 'default' && !itemId) {
         saveGlobalConfiguration({
           globalFallback,
           lastModified: new Date().toISOString()
@@ -221,7 +495,7 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
         isValid: true,
         errors: [],
         warnings: [],
-        success: `Configuration for ${dashboardId === 'default' ? 'default' : `dashboard ${dashboardId}`} saved successfully!`
+        success: `Configuration for ${targetLabel} saved successfully!`
       });
 
       // Close the modal after saving (if not embedded)
@@ -231,6 +505,17 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
         }, 1500);
       }
     } catch (error) {
+      if (isConflictError(error)) {
+        // Let the user merge their changes or reload the stored configuration
+        setValidationResult(null);
+        setConflict({
+          configuration,
+          current: error.current,
+          ...mergeConfigurations(loaded.config || {}, configuration, error.current || {})
+        });
+        return;
+      }
+
       console.error('Error saving configuration:', error);
       setValidationResult({
         isValid: false,
@@ -242,6 +527,19 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
     }
   };
 
+  // Keep my changes on top of the ones saved meanwhile
+  const mergeConflictingChanges = () => {
+    storeConfiguration(conflict.merged, getRevision(conflict.current));
+  };
+
+  // Drop my changes and show the configuration as stored now
+  const reloadConfiguration = () => {
+    setConflict(null);
+    setLoadedValues(formValues);
+    setLoaded(prev => ({ ...prev, revision: undefined }));
+    refreshConfigurations();
+  };
+
   // Check user authorization
   if (!hasConfigAccess && !embedded) {
     return (
@@ -278,29 +576,62 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
         >
           Column Visibility
         </Tab>
+        <Tab
+          key="display"
+          selected={activeTab === 'display'}
+          onClick={() => setActiveTab('display')}
+        >
+          Column Display
+        </Tab>
+        <Tab
+          key="formatting"
+          selected={activeTab === 'formatting'}
+          onClick={() => setActiveTab('formatting')}
+        >
+          Conditional Formatting
+        </Tab>
+        <Tab
+          key="export"
+          selected={activeTab === 'export'}
+          onClick={() => setActiveTab('export')}
+        >
+          Export
+        </Tab>
       </TabBar>
 
       <Box padding="16px">
         {/* Basic Settings Tab */}
         {activeTab === 'basic' && (
           <>
+            {/* Event Report Search */}
+            <InputField
+              label="Search event reports"
+              placeholder="Type part of the report name"
+              value={reportSearch}
+              onChange={({ value }) => setReportSearch(value)}
+              helpText={reportSearch.trim() ? `${reportOptions.length} matching report(s)` : undefined}
+            />
+
             {/* Event Report Selection */}
-            <SingleSelectField
-              label="Select Event Report"
-              loading={reportsLoading}
-              error={!!reportsError}
-              onChange={({ selected }) => setSelectedReport(selected)}
-              selected={selectedReport || ''}  // Add default empty string
-              required
-            >
-              {eventReports.map(report => (
-                <SingleSelectOption
-                  key={report.id}
-                  value={report.id}
-                  label={report.name}
-                />
-              ))}
-            </SingleSelectField>
+            <Box marginTop="16px">
+              <SingleSelectField
+                label="Select Event Report"
+                loading={reportsLoading || reportSearching}
+                error={!!reportsError}
+                validationText={reportsError ? `Event reports could not be loaded: ${reportsError.message}` : undefined}
+                onChange={({ selected }) => setSelectedReport(selected)}
+                selected={selectedReport || ''}  // Add default empty string
+                required
+              >
+                {reportOptions.map(report => (
+                  <SingleSelectOption
+                    key={report.id}
+                    value={report.id}
+                    label={report.name}
+                  />
+                ))}
+              </SingleSelectField>
+            </Box>
 
             {/* Page Size Configuration */}
             <Box marginTop="16px">
@@ -326,6 +657,7 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
                 label="Default Period"
                 onChange={({ selected }) => setPeriod(selected)}
                 selected={period || ''}
+                helpText="Override the event report's own periods, or keep them"
               >
                 {periodOptions.map(option => (
                   <SingleSelectOption
@@ -338,7 +670,7 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
             </Box>
 
             {/* Global Settings (for default config only) */}
-            {dashboardId === 'default' && (
+            {dashboardId === 'default' && !itemId && (
               <Box marginTop="16px">
                 <FieldSet>
                   <Legend>Global Settings</Legend>
@@ -368,6 +700,12 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
               <p>Select which columns should be hidden in the report view:</p>
             </Box>
 
+            {columnsLoading && (
+              <Box marginBottom="16px">
+                <p>Loading the columns of the selected report...</p>
+              </Box>
+            )}
+
             <div style={{
               display: 'flex',
               flexWrap: 'wrap',
@@ -379,7 +717,7 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
                 <div key={index} style={{ flex: '0 0 250px' }}>
                   <Checkbox
                     checked={hiddenColumns.includes(column)}
-                    label={column}
+                    label={getAvailableColumnLabel(column)}
                     onChange={() => toggleColumnVisibility(column)}
                   />
                 </div>
@@ -388,6 +726,231 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
           </>
         )}
 
+        {/* Column Display Tab */}
+        {activeTab === 'display' && (
+          <>
+            <Box marginBottom="16px">
+              <p>Rename columns and choose how their values are shown. Labels and formats also apply to exports and printouts; Excel and JSON exports keep the raw values.</p>
+            </Box>
+
+            <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
+              {availableColumns.map(column => {
+                const setting = columnSettings[column] || {};
+                const reportColumn = reportColumns.find(item => item.name === column);
+                const format = setting.format || COLUMN_FORMATS.AUTO;
+                const hasDecimals = format === COLUMN_FORMATS.NUMBER || format === COLUMN_FORMATS.PERCENT;
+
+                return (
+                  <Box key={column} display="flex" alignItems="flex-end" marginBottom="12px">
+                    <div style={{ flex: '1 1 200px', marginRight: '8px' }}>
+                      <InputField
+                        dense
+                        label={getAvailableColumnLabel(column)}
+                        placeholder={getAvailableColumnLabel(column)}
+                        value={setting.label || ''}
+                        onChange={({ value }) => updateColumnSetting(column, { label: value })}
+                      />
+                    </div>
+                    <div style={{ flex: '0 0 220px', marginRight: '8px' }}>
+                      <SingleSelectField
+                        dense
+                        selected={format}
+                        onChange={({ selected }) => updateColumnSetting(column, { format: selected })}
+                      >
+                        {getFormatsForColumn(reportColumn).map(value => (
+                          <SingleSelectOption key={value} value={value} label={COLUMN_FORMAT_LABELS[value]} />
+                        ))}
+                      </SingleSelectField>
+                    </div>
+                    <div style={{ flex: '0 0 90px' }}>
+                      {hasDecimals && (
+                        <SingleSelectField
+                          dense
+                          selected={Number.isInteger(setting.decimals) ? String(setting.decimals) : 'AUTO'}
+                          onChange={({ selected }) => updateColumnSetting(column, {
+                            decimals: selected === 'AUTO' ? undefined : parseInt(selected, 10)
+                          })}
+                        >
+                          {DECIMALS_OPTIONS.map(option => (
+                            <SingleSelectOption key={option.value} value={option.value} label={option.label} />
+                          ))}
+                        </SingleSelectField>
+                      )}
+                    </div>
+                  </Box>
+                );
+              })}
+            </div>
+          </>
+        )}
+
+        {/* Conditional Formatting Tab */}
+        {activeTab === 'formatting' && (
+          <>
+            <Box display="flex" justifyContent="space-between" alignItems="center" marginBottom="16px">
+              <p style={{ margin: 0 }}>Colour cells or whole rows by a condition or by a legend set. The first matching rule wins; colours also apply to printouts, HTML and Excel exports.</p>
+              <Button small onClick={addConditionalFormat} disabled={availableColumns.length === 0}>Add rule</Button>
+            </Box>
+
+            {conditionalFormats.length === 0 && (
+              <p>No rules yet.</p>
+            )}
+
+            <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
+              {conditionalFormats.map(rule => (
+                <Box key={rule.id} display="flex" alignItems="flex-end" marginBottom="12px">
+                  <div style={{ flex: '1 1 180px', marginRight: '8px' }}>
+                    <SingleSelectField
+                      dense
+                      label="Column"
+                      selected={availableColumns.includes(rule.column) ? rule.column : undefined}
+                      onChange={({ selected }) => updateConditionalFormat(rule.id, { column: selected })}
+                      filterable
+                    >
+                      {availableColumns.map(column => (
+                        <SingleSelectOption key={column} value={column} label={getAvailableColumnLabel(column)} />
+                      ))}
+                    </SingleSelectField>
+                  </div>
+                  <div style={{ flex: '0 0 140px', marginRight: '8px' }}>
+                    <SingleSelectField
+                      dense
+                      label="Colour by"
+                      selected={rule.type}
+                      onChange={({ selected }) => updateConditionalFormat(rule.id, { type: selected })}
+                    >
+                      <SingleSelectOption value={RULE_TYPES.CONDITION} label="Condition" />
+                      <SingleSelectOption value={RULE_TYPES.LEGEND_SET} label="Legend set" />
+                    </SingleSelectField>
+                  </div>
+                  {rule.type === RULE_TYPES.LEGEND_SET ? (
+                    <div style={{ flex: '1 1 200px', marginRight: '8px' }}>
+                      <SingleSelectField
+                        dense
+                        label="Legend set"
+                        loading={legendSetsLoading}
+                        selected={legendSets.some(legendSet => legendSet.id === rule.legendSetId) ? rule.legendSetId : undefined}
+                        onChange={({ selected }) => updateConditionalFormat(rule.id, { legendSetId: selected })}
+                        filterable
+                      >
+                        {legendSets.map(legendSet => (
+                          <SingleSelectOption key={legendSet.id} value={legendSet.id} label={legendSet.displayName} />
+                        ))}
+                      </SingleSelectField>
+                    </div>
+                  ) : (
+                    <>
+                      <div style={{ flex: '0 0 180px', marginRight: '8px' }}>
+                        <SingleSelectField
+                          dense
+                          label="Condition"
+                          selected={rule.operator}
+                          onChange={({ selected }) => updateConditionalFormat(rule.id, { operator: selected })}
+                        >
+                          {RULE_OPERATORS.map(option => (
+                            <SingleSelectOption key={option.value} value={option.value} label={option.label} />
+                          ))}
+                        </SingleSelectField>
+                      </div>
+                      <div style={{ flex: '0 0 120px', marginRight: '8px' }}>
+                        <InputField
+                          dense
+                          label="Value"
+                          value={rule.value}
+                          onChange={({ value }) => updateConditionalFormat(rule.id, { value })}
+                        />
+                      </div>
+                      <div style={{ flex: '0 0 110px', marginRight: '8px' }}>
+                        <SingleSelectField
+                          dense
+                          label="Colour"
+                          selected={rule.color}
+                          onChange={({ selected }) => updateConditionalFormat(rule.id, { color: selected })}
+                        >
+                          {RULE_COLORS.map(option => (
+                            <SingleSelectOption key={option.value} value={option.value} label={option.label} />
+                          ))}
+                        </SingleSelectField>
+                      </div>
+                    </>
+                  )}
+                  <div style={{ flex: '0 0 120px', marginRight: '8px' }}>
+                    <SingleSelectField
+                      dense
+                      label="Apply to"
+                      selected={rule.scope}
+                      onChange={({ selected }) => updateConditionalFormat(rule.id, { scope: selected })}
+                    >
+                      <SingleSelectOption value={RULE_SCOPES.CELL} label="Cell" />
+                      <SingleSelectOption value={RULE_SCOPES.ROW} label="Whole row" />
+                    </SingleSelectField>
+                  </div>
+                  <Button small destructive onClick={() => removeConditionalFormat(rule.id)}>Remove</Button>
+                </Box>
+              ))}
+            </div>
+          </>
+        )}
+
+        {/* Export Tab */}
+        {activeTab === 'export' && (
+          <>
+            <FieldSet>
+              <Legend>Who may export</Legend>
+              <p>Leave both empty to let everyone who can see the widget export and print.</p>
+
+              <InputField
+                label="Authorities"
+                placeholder="e.g. F_EXPORT_DATA, F_VIEW_EVENT_ANALYTICS"
+                value={exportAuthorities}
+                onChange={({ value }) => setExportAuthorities(value)}
+                helpText="Comma separated; users with any of these authorities may export"
+              />
+
+              <Box marginTop="16px">
+                <MultiSelectField
+                  label="User groups"
+                  loading={userGroupsLoading}
+                  selected={exportUserGroups}
+                  onChange={({ selected }) => setExportUserGroups(selected)}
+                  helpText="Members of any of these groups may export"
+                  filterable
+                >
+                  {userGroups.map(group => (
+                    <MultiSelectOption key={group.id} value={group.id} label={group.displayName} />
+                  ))}
+                </MultiSelectField>
+              </Box>
+            </FieldSet>
+
+            <Box marginTop="24px">
+              <FieldSet>
+                <Legend>Sensitive columns</Legend>
+                <p>Masked columns are exported as {'"*****"'}; left out columns are not exported at all. The table on the dashboard is not affected.</p>
+
+                <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+                  {availableColumns.map(column => (
+                    <Box key={column} display="flex" alignItems="center" marginBottom="8px">
+                      <span style={{ flex: '1 1 auto' }}>{getAvailableColumnLabel(column)}</span>
+                      <div style={{ flex: '0 0 180px' }}>
+                        <SingleSelectField
+                          dense
+                          selected={maskedColumns[column] || KEEP_COLUMN}
+                          onChange={({ selected }) => setColumnMaskAction(column, selected)}
+                        >
+                          {MASK_ACTION_OPTIONS.map(option => (
+                            <SingleSelectOption key={option.value} value={option.value} label={option.label} />
+                          ))}
+                        </SingleSelectField>
+                      </div>
+                    </Box>
+                  ))}
+                </div>
+              </FieldSet>
+            </Box>
+          </>
+        )}
+
         {/* Error Handling */}
         {(reportsError || validationResult?.errors?.length > 0) && (
           <Box marginTop="16px">
@@ -417,6 +980,39 @@ const ConfigManager = ({ dashboardId, onClose, embedded = false }) => {
           </Box>
         )}
 
+        {/* Stored configuration changed while editing */}
+        {changedElsewhere && !conflict && (
+          <Box marginTop="16px">
+            <NoticeBox warning title="Configuration changed by someone else">
+              The configuration for {targetLabel} was saved elsewhere while you were editing it.
+              Your changes are kept; saving them will offer to merge them or reload.
+            </NoticeBox>
+          </Box>
+        )}
+
+        {/* Conflicting save */}
+        {conflict && (
+          <Box marginTop="16px">
+            <NoticeBox warning title="Configuration changed by someone else">
+              <p>
+                The configuration for {targetLabel} was saved by someone else after you opened it.
+                Merge your changes into theirs, or discard your changes and reload it.
+              </p>
+              {conflict.conflicts.length > 0 && (
+                <p>Both of you changed: {conflict.conflicts.join(', ')}. Merging keeps your values.</p>
+              )}
+              <Box marginTop="8px" display="flex">
+                <Button small primary onClick={mergeConflictingChanges} disabled={isSaving} style={{ marginRight: '8px' }}>
+                  Merge My Changes
+                </Button>
+                <Button small onClick={reloadConfiguration} disabled={isSaving}>
+                  Discard and Reload
+                </Button>
+              </Box>
+            </NoticeBox>
+          </Box>
+        )}
+
         {/* Success Message */}
         {validationResult?.success && (
           <Box marginTop="16px">
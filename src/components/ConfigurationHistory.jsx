@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  CircularLoader,
+  NoticeBox,
+  Table,
+  TableHead,
+  TableRowHead,
+  TableCellHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Tag
+} from '@dhis2/ui';
+import { useDataStore } from '../hooks/useDataStore';
+
+/**
+ * Longest setting value shown in a change, longer ones are cut
+ */
+const MAX_VALUE_LENGTH = 60;
+
+/**
+ * Format a changed setting value for display
+ * @param {*} value - Value before or after the change
+ * @returns {string} Display value
+ */
+const formatValue = (value) => {
+  if (value === undefined) return '(not set)';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+};
+
+/**
+ * Format a date for display
+ * @param {string} dateString - ISO date
+ * @returns {string} Localised date and time
+ */
+const formatDate = (dateString) => {
+  if (!dateString) return 'Unknown';
+  const date = new Date(dateString);
+  return Number.isNaN(date.getTime()) ? dateString : date.toLocaleString();
+};
+
+/**
+ * ConfigurationHistory Component
+ * Timeline of the saves of a dashboard (or widget instance) configuration, with the
+ * user and the changed settings of each, and a restore of any previous version
+ * @param {Object} props - Component props
+ * @param {string} props.dashboardId - Dashboard ID, or 'default'
+ * @param {string} props.itemId - Widget instance (dashboard item), null for the dashboard configuration
+ */
+const ConfigurationHistory = ({ dashboardId, itemId = null }) => {
+  const {
+    getConfigurationHistory,
+    getConfigurationRevision,
+    loadConfigurationHistory,
+    restoreConfigurationVersion
+  } = useDataStore();
+  const [isLoading, setIsLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+  const [restoreError, setRestoreError] = useState(null);
+
+  // Load the history of the dashboard, its widget instances included
+  useEffect(() => {
+    let isCurrent = true;
+    setIsLoading(true);
+    Promise.resolve(loadConfigurationHistory(dashboardId)).finally(() => {
+      if (isCurrent) setIsLoading(false);
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, [dashboardId, loadConfigurationHistory]);
+
+  const entries = getConfigurationHistory(dashboardId, itemId);
+  const currentRevision = getConfigurationRevision(dashboardId, itemId);
+
+  // The restored version may have left the history since
+  const describeRestore = (entry) => {
+    const restored = entries.find(e => e.id === entry.restoredFrom);
+    return restored
+      ? `Restored the version of ${formatDate(restored.timestamp)}`
+      : 'Restored an earlier version';
+  };
+
+  // Save the settings of a previous version as the current configuration
+  const handleRestore = async (entry) => {
+    if (!window.confirm(`Restore the configuration saved on ${formatDate(entry.timestamp)}?`)) return;
+
+    setRestoringId(entry.id);
+    setRestoreError(null);
+    try {
+      await restoreConfigurationVersion(dashboardId, entry);
+    } catch (error) {
+      console.error('Error restoring configuration version:', error);
+      setRestoreError(error);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  if (isLoading && entries.length === 0) {
+    return (
+      <Box padding="16px">
+        <CircularLoader small />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <h3>Configuration History</h3>
+      <p>Every save of this {itemId ? 'widget' : 'dashboard'} configuration, newest first. Restoring a version saves it as the current configuration.</p>
+
+      {restoreError && (
+        <Box marginBottom="16px">
+          <NoticeBox error title="Could not restore the configuration">
+            {restoreError.message}
+          </NoticeBox>
+        </Box>
+      )}
+
+      {entries.length === 0 ? (
+        <NoticeBox title="No History Yet">
+          Changes are listed here once the configuration is saved.
+        </NoticeBox>
+      ) : (
+        <Table>
+          <TableHead>
+            <TableRowHead>
+              <TableCellHead>Saved</TableCellHead>
+              <TableCellHead>User</TableCellHead>
+              <TableCellHead>Changes</TableCellHead>
+              <TableCellHead>Actions</TableCellHead>
+            </TableRowHead>
+          </TableHead>
+          <TableBody>
+            {entries.map(entry => (
+              <TableRow key={entry.id}>
+                <TableCell>{formatDate(entry.timestamp)}</TableCell>
+                <TableCell>{entry.user?.displayName || entry.user?.username || 'Unknown'}</TableCell>
+                <TableCell>
+                  {entry.restoredFrom && (
+                    <div>{describeRestore(entry)}</div>
+                  )}
+                  {entry.changes.map(change => (
+                    <div key={change.field}>
+                      <strong>{change.field}</strong>: {formatValue(change.from)} → {formatValue(change.to)}
+                    </div>
+                  ))}
+                </TableCell>
+                <TableCell>
+                  {entry.id === currentRevision ? (
+                    <Tag positive>Current</Tag>
+                  ) : (
+                    <Button
+                      small
+                      onClick={() => handleRestore(entry)}
+                      loading={restoringId === entry.id}
+                      disabled={restoringId !== null}
+                    >
+                      Restore
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+export default ConfigurationHistory;
@@ -18,12 +18,13 @@ import { useDataStore } from '../hooks/useDataStore';
 import { useDashboards } from '../hooks/useDashboards';
 import { useEventReports } from '../hooks/useEventReports';
 import { FiArrowUp, FiArrowDown } from 'react-icons/fi';
+import { REPORT_PERIOD } from '../utils/constants';
+import { getItemConfigurations, hasDashboardSettings } from '../utils/widgetConfiguration';
 
 const ConfigurationList = ({ 
   openConfigModal, 
   currentDashboardId, 
-  hasConfigAccess,
-  refreshTimestamp = 0
+  hasConfigAccess
 }) => {
   const [loading, setLoading] = useState(true);
   const { getAllDashboardConfigurations } = useDataStore();
@@ -35,7 +36,7 @@ const ConfigurationList = ({
 
   // Create a function to load configurations that we can call directly
   const loadConfigurations = useCallback(async () => {
-    console.log("Loading configurations. Timestamp:", refreshTimestamp);
+    console.log("Loading configurations");
     setLoading(true);
     
     try {
@@ -44,7 +45,7 @@ const ConfigurationList = ({
       console.log("Fetched configurations:", configs);
       
       // Transform configurations into a more usable format
-      const configList = Object.entries(configs).map(([dashboardId, config]) => {
+      const configList = Object.entries(configs).flatMap(([dashboardId, dashboardConfig]) => {
         // Find dashboard name
         let dashboardName = dashboardId;
         if (dashboardId === 'default') {
@@ -56,22 +57,31 @@ const ConfigurationList = ({
           }
         }
         
-        // Find event report name
-        let reportName = config.eventReportId;
-        const report = eventReports.find(r => r.id === config.eventReportId);
-        if (report) {
-          reportName = report.displayName || report.name;
-        }
-        
-        return {
-          dashboardId,
-          dashboardName,
-          eventReportId: config.eventReportId,
-          reportName,
-          pageSize: config.pageSize,
-          period: config.period,
-          lastModified: config.lastModified || config.metadata?.createdAt,
-        };
+        // The dashboard configuration, then each widget instance configured on its own
+        const entries = [
+          ...(hasDashboardSettings(dashboardConfig) ? [[null, dashboardConfig]] : []),
+          ...Object.entries(getItemConfigurations(dashboardConfig))
+        ];
+
+        return entries.map(([itemId, config]) => {
+          // Find event report name (widget instances may keep their dashboard's report)
+          let reportName = config.eventReportId || (itemId ? 'Same as dashboard' : undefined);
+          const report = eventReports.find(r => r.id === config.eventReportId);
+          if (report) {
+            reportName = report.displayName || report.name;
+          }
+
+          return {
+            dashboardId,
+            itemId,
+            dashboardName: itemId ? `${dashboardName} (widget ${itemId})` : dashboardName,
+            eventReportId: config.eventReportId,
+            reportName,
+            pageSize: config.pageSize,
+            period: config.period,
+            lastModified: config.lastModified || config.metadata?.createdAt,
+          };
+        });
       });
       
       console.log("Processed configuration list:", configList);
@@ -81,13 +91,12 @@ const ConfigurationList = ({
     } finally {
       setLoading(false);
     }
-  }, [getAllDashboardConfigurations, dashboards, eventReports, refreshTimestamp]);
+  }, [getAllDashboardConfigurations, dashboards, eventReports]);
 
-  // Load configurations when component mounts or refreshTimestamp changes
+  // Load configurations when component mounts or the stored configurations change
   useEffect(() => {
-    console.log("ConfigurationList effect triggered. Timestamp:", refreshTimestamp);
     loadConfigurations();
-  }, [loadConfigurations, refreshTimestamp]);
+  }, [loadConfigurations]);
 
   // Format a date for display
   const formatDate = (dateString) => {
@@ -104,6 +113,7 @@ const ConfigurationList = ({
   // Format period for display
   const formatPeriod = (period) => {
     const periodMap = {
+      [REPORT_PERIOD]: 'As saved in report',
       'LAST_12_MONTHS': 'Last 12 Months',
       'LAST_6_MONTHS': 'Last 6 Months',
       'THIS_YEAR': 'This Year',
@@ -215,7 +225,7 @@ const ConfigurationList = ({
             </TableHead>
             <TableBody>
               {filteredAndSortedConfigurations.map(config => (
-                <TableRow key={config.dashboardId}>
+                <TableRow key={`${config.dashboardId}/${config.itemId || ''}`}>
                   <TableCell>
                     <Tooltip content={config.dashboardId === 'default' ? 'Default Configuration' : `Dashboard ID: ${config.dashboardId}`}>
                       <span style={{ fontWeight: config.dashboardId === 'default' ? 'bold' : 'normal' }}>
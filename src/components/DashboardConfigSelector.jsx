@@ -22,26 +22,8 @@ import { useDashboards } from '../hooks/useDashboards';
 import { useAuthorization } from '../hooks/useAuthorization';
 import { useEventReports } from '../hooks/useEventReports';
 import { configurationValidator } from '../utils/configurationValidator';
-
-// Default hidden columns definition
-const DEFAULT_HIDDEN_COLUMNS = [
-  'Event',
-  'Program stage',
-  'Stored by',
-  'Created by',
-  'Last updated by',
-  'Last updated on',
-  'Scheduled date',
-  'Date of enrollment in the system',
-  'Date of Report',
-  'Tracked entity instance',
-  'Program instance',
-  'Geometry',
-  'Longitude',
-  'Latitude',
-  'Organisation unit name hierarchy',
-  'Organisation unit code'
-];
+import { DEFAULT_HIDDEN_COLUMNS } from '../utils/constants';
+import { COLUMN_ID_SCHEME, FIXED_COLUMN_LABELS, toColumnNames } from '../utils/columnIdentity';
 
 /**
  * DashboardConfigSelector Component
@@ -79,7 +61,9 @@ const DashboardConfigSelector = ({ onClose }) => {
         setSelectedReport(existingConfig.eventReportId || null);
         setPageSize(existingConfig.pageSize || 10);
         setPeriod(existingConfig.period || 'LAST_12_MONTHS');
-        setHiddenColumns(existingConfig.hiddenColumns || DEFAULT_HIDDEN_COLUMNS);
+        setHiddenColumns(existingConfig.hiddenColumns
+          ? toColumnNames(existingConfig.hiddenColumns)
+          : DEFAULT_HIDDEN_COLUMNS);
       } else {
         // Reset to defaults if no configuration exists
         setSelectedReport(null);
@@ -155,6 +139,7 @@ const DashboardConfigSelector = ({ onClose }) => {
       pageSize,
       period,
       hiddenColumns,
+      columnIdScheme: COLUMN_ID_SCHEME,
       metadata: {
         createdAt: new Date().toISOString()
       }
@@ -190,6 +175,7 @@ const DashboardConfigSelector = ({ onClose }) => {
       pageSize,
       period,
       hiddenColumns,
+      columnIdScheme: COLUMN_ID_SCHEME,
       metadata: {
         createdAt: new Date().toISOString(),
         lastModified: new Date().toISOString()
@@ -342,7 +328,7 @@ const DashboardConfigSelector = ({ onClose }) => {
                       <div key={index} style={{ flex: '0 0 250px' }}>
                         <Checkbox
                           checked={hiddenColumns.includes(column)}
-                          label={column}
+                          label={FIXED_COLUMN_LABELS[column] || column}
                           onChange={() => toggleColumnVisibility(column)}
                         />
                       </div>
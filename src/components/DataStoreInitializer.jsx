@@ -1,15 +1,49 @@
 // DataStoreInitializer.jsx
 import React, { useEffect, useState } from 'react';
 import { useDataEngine, useConfig } from '@dhis2/app-runtime';
+import {
+  DATASTORE_NAMESPACE,
+  migrateLegacyConfigurations,
+  readAllDashboardConfigurations,
+  writeDashboardConfiguration
+} from '../utils/configurationStorage';
+import {
+  DEFAULT_GLOBAL_CONFIG,
+  createDefaultDashboardConfiguration
+} from '../utils/configurationStore';
+import { useAuthorization } from '../hooks/useAuthorization';
+import { useConfigurationStore } from '../contexts/ConfigurationContext';
 
 const DataStoreInitializer = () => {
   const engine = useDataEngine();
   const { baseUrl } = useConfig();
+  const { hasConfigAccess } = useAuthorization();
+  const store = useConfigurationStore();
   const [hasInitialized, setHasInitialized] = useState(false);
+  const [hasMigrated, setHasMigrated] = useState(false);
   const [initStatus, setInitStatus] = useState({
     dashboardConfigs: 'pending',
     globalConfig: 'pending'
   });
+
+  // Move the configurations of the former single key to one key per dashboard,
+  // the first time someone who may configure the widget opens the app
+  useEffect(() => {
+    if (!hasConfigAccess || hasMigrated) return;
+    setHasMigrated(true);
+
+    migrateLegacyConfigurations(engine)
+      .then(migrated => {
+        if (migrated.length > 0) {
+          console.log(`DataStoreInitializer: Moved ${migrated.length} dashboard configurations to their own keys`);
+          store.load();
+        }
+      })
+      .catch(error => {
+        // The former key is kept (and still read) until a later run succeeds
+        console.error('DataStoreInitializer: Error migrating dashboard configurations:', error);
+      });
+  }, [engine, store, hasConfigAccess, hasMigrated]);
   
   useEffect(() => {
     // Only run once
@@ -19,8 +53,7 @@ const DataStoreInitializer = () => {
       console.log("DataStoreInitializer: Starting initialization check...");
       
       // Define namespace and keys
-      const NAMESPACE = "EVENT_REPORT_WIDGET";
-      const DASHBOARD_CONFIGS_KEY = "dashboardConfigurations";
+      const NAMESPACE = DATASTORE_NAMESPACE;
       const GLOBAL_CONFIG_KEY = "globalConfiguration";
       
       try {
@@ -29,88 +62,31 @@ const DataStoreInitializer = () => {
         console.log("Using API URL:", apiUrl);
         
         // Create default configuration objects
-        const defaultDashboardConfigs = {
-          default: {
-            pageSize: 10,
-            period: "LAST_12_MONTHS",
-            hiddenColumns: [
-              'Event',
-              'Program stage',
-              'Stored by',
-              'Created by',
-              'Last updated by',
-              'Last updated on',
-              'Scheduled date',
-              'Date of enrollment in the system',
-              'Date of Report',
-              'Tracked entity instance',
-              'Program instance',
-              'Geometry',
-              'Longitude',
-              'Latitude',
-              'Organisation unit name hierarchy',
-              'Organisation unit code'
-            ],
-            metadata: {
-              createdAt: new Date().toISOString(),
-              lastModified: new Date().toISOString(),
-            }
-          }
-        };
+        const defaultDashboardConfig = createDefaultDashboardConfiguration();
         
         const defaultGlobalConfig = {
-          theme: "default",
-          language: "en",
-          pageSize: 10,
-          refreshInterval: 0,
-          globalFallback: true,
+          ...DEFAULT_GLOBAL_CONFIG,
           lastModified: new Date().toISOString(),
         };
         
-        // First check if dashboard configurations key exists
+        // First check if the default dashboard configuration exists, in its own key
+        // or in the former single key that is still to be migrated
         try {
-          const checkResponse = await fetch(
-            `${apiUrl}/${NAMESPACE}/${DASHBOARD_CONFIGS_KEY}`,
-            {
-              method: 'GET',
-              credentials: 'include'
-            }
-          );
-          
-          if (checkResponse.ok) {
-            console.log(`${NAMESPACE}/${DASHBOARD_CONFIGS_KEY} already exists, no need to create.`);
-            
-            // Fetch and log the current content for debugging
-            const content = await checkResponse.json();
-            console.log(`Current dashboard configurations:`, content);
-            
+          const dashboardConfigs = await readAllDashboardConfigurations(engine);
+
+          if (dashboardConfigs.default) {
+            console.log("Default dashboard configuration already exists, no need to create.");
             setInitStatus(prev => ({...prev, dashboardConfigs: 'exists'}));
-          } else if (checkResponse.status === 404) {
+          } else {
             // Only create if it doesn't exist
-            console.log(`${NAMESPACE}/${DASHBOARD_CONFIGS_KEY} not found, creating with default values...`);
-            
-            const createResponse = await fetch(
-              `${apiUrl}/${NAMESPACE}/${DASHBOARD_CONFIGS_KEY}`,
-              {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(defaultDashboardConfigs), // Use default configs
-                credentials: 'include'
-              }
-            );
-            
-            if (createResponse.ok) {
-              console.log(`Successfully created ${NAMESPACE}/${DASHBOARD_CONFIGS_KEY} with default values`);
-              setInitStatus(prev => ({...prev, dashboardConfigs: 'created'}));
-            } else {
-              console.error(`Failed to create ${NAMESPACE}/${DASHBOARD_CONFIGS_KEY}: ${createResponse.status} ${createResponse.statusText}`);
-              setInitStatus(prev => ({...prev, dashboardConfigs: 'error'}));
-            }
+            console.log("Default dashboard configuration not found, creating with default values...");
+            await writeDashboardConfiguration(engine, 'default', defaultDashboardConfig);
+            setInitStatus(prev => ({...prev, dashboardConfigs: 'created'}));
+            // Show the new default configuration in every widget
+            store.load();
           }
         } catch (error) {
-          console.error(`Error checking/creating ${NAMESPACE}/${DASHBOARD_CONFIGS_KEY}:`, error);
+          console.error("Error checking/creating the default dashboard configuration:", error);
           setInitStatus(prev => ({...prev, dashboardConfigs: 'error'}));
         }
         
@@ -171,7 +147,7 @@ const DataStoreInitializer = () => {
     };
     
     initialize();
-  }, [baseUrl, engine, hasInitialized, initStatus]);
+  }, [baseUrl, engine, store, hasInitialized, initStatus]);
   
   return null; // This component doesn't render anything
 };
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import {
   Table,
   TableHead,
@@ -15,10 +15,13 @@ import {
   Box,
   Card,
   Checkbox,
-  Tooltip
+  Tooltip,
+  SingleSelect,
+  SingleSelectOption
 } from '@dhis2/ui';
 
-import { FiFilter, FiDownload, FiRefreshCw, FiSettings, FiArrowUp, FiArrowDown, FiExternalLink } from 'react-icons/fi';
+import { FiDownload, FiArrowUp, FiArrowDown, FiExternalLink } from 'react-icons/fi';
+import { BsPinAngle, BsPinAngleFill } from 'react-icons/bs';
 import { useDataStore } from '../hooks/useDataStore';
 import { useAnalytics } from '../hooks/useAnalytics';
 import { useEventReports } from '../hooks/useEventReports';
@@ -26,29 +29,27 @@ import { useConfiguration } from '../contexts/ConfigurationContext';
 import { useConfig } from '@dhis2/app-runtime';
 import styles from '../EventReportViewer.module.css';
 import { useAuthorization } from '../hooks/useAuthorization';
-
-/**
- * Default columns to hide in the event report view
- * Can be overridden by user configuration
- */
-const DEFAULT_HIDDEN_COLUMNS = [
-  'Event',
-  'Program stage',
-  'Stored by',
-  'Created by',
-  'Last updated by',
-  'Last updated on',
-  'Scheduled date',
-  'Date of enrollment in the system',
-  'Date of Report',
-  'Tracked entity instance',
-  'Program instance',
-  'Geometry',
-  'Longitude',
-  'Latitude',
-  'Organisation unit name hierarchy',
-  'Organisation unit code'
-];
+import { REPORT_PERIOD, DATA_TYPE_AGGREGATED, DEFAULT_HIDDEN_COLUMNS } from '../utils/constants';
+import { describeDimensionItems, selectVisibleColumns } from '../utils/exportUtils';
+import { MAX_PINNED_COLUMNS, getDisplayOrder, getVisibleColumnIndices, moveColumn } from '../utils/columnLayout';
+import { applyColumnSettings, getColumnLabel } from '../utils/formatUtils';
+import {
+  findColumnIndex,
+  getColumnKeys,
+  getHiddenColumnNames,
+  migrateColumnReferences,
+  needsColumnMigration,
+  toColumnNameKeys,
+  toColumnNames
+} from '../utils/columnIdentity';
+import PivotTable from './PivotTable';
+import ViewerToolbar from './ViewerToolbar';
+import ExportDialog, { EXPORT_SCOPES, PRINT_FORMAT } from './ExportDialog';
+import { getExporters } from '../utils/exporters';
+import PrintView from './PrintView';
+import CellValue from './CellValue';
+import { useLegendSets } from '../hooks/useLegendSets';
+import { getCellColors, getContrastTextColor, getRuleLegendSetIds } from '../utils/conditionalFormatting';
 
 const TrackerCaptureIcon = () => (
   <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
@@ -57,6 +58,26 @@ const TrackerCaptureIcon = () => (
   </svg>
 );
 
+/**
+ * Search box column value meaning "search every column of the loaded page"
+ */
+const SEARCH_ALL_COLUMNS = '__all__';
+
+/**
+ * Delay before filter and search changes are sent to the server
+ */
+const QUERY_DEBOUNCE_MS = 400;
+
+/**
+ * Key of the configured settings the initial fetch depends on: report, period and
+ * page size. Saving other settings changes the configuration but needs no new query.
+ * @param {Object} config - Widget configuration
+ * @param {number} pageSize - Page size of the query
+ * @returns {string} Fetch key
+ */
+const getFetchKey = (config, pageSize) =>
+  `${config.eventReportId}|${config.period || ''}|${pageSize}`;
+
 const CaptureIcon = () => (
   <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
     {/* SVG path for Capture icon */}
@@ -67,47 +88,120 @@ const CaptureIcon = () => (
 /**
  * EventReportViewer Component
  * Displays analytics data for a specific dashboard's event report
+ * @param {Object} props - Component props
+ * @param {string} props.dashboardId - Dashboard the widget is on, or 'default'
+ * @param {string} props.itemId - Dashboard item of this widget instance, if known
+ * @param {boolean} props.isEmbedded - Whether the widget is shown on a dashboard
  */
-const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
+const EventReportViewer = ({ dashboardId, itemId = null, isEmbedded = false }) => {
   // Get baseUrl from DHIS2 app-runtime config
   const { baseUrl } = useConfig();
 
   // Utilize custom hooks for data management
-  const { getDashboardConfiguration, saveConfiguration } = useDataStore();
-  const { fetchAnalytics, analyticsData, metadata, loading: analyticsLoading, error: analyticsError, exportToCSV } = useAnalytics();
+  const { getWidgetConfiguration, saveConfiguration } = useDataStore();
+
+  // Get configuration of this widget instance, falling back to its dashboard's
+  const config = useMemo(() =>
+    getWidgetConfiguration(dashboardId, itemId),
+    [dashboardId, itemId, getWidgetConfiguration]
+  );
+
+  // Save settings changed in the widget: a widget instance keeps only its own changes
+  // so it still follows the dashboard configuration for everything else. Layout changes
+  // made while viewing are left out of the history, which is kept for configuration changes
+  const saveWidgetSettings = useCallback((settings) => {
+    if (!config || !dashboardId) return;
+    const changes = itemId ? settings : { ...config, ...settings };
+    Promise.resolve(saveConfiguration(dashboardId, changes, { itemId, recordHistory: false })).catch(error => {
+      console.error('Error saving the widget settings:', error);
+    });
+  }, [config, dashboardId, itemId, saveConfiguration]);
+
+  // Who may export and which columns are masked, enforced by useAnalytics
+  const exportPolicy = useMemo(() => ({
+    exportPermissions: config?.exportPermissions,
+    maskedColumns: config?.maskedColumns
+  }), [config]);
+
+  const {
+    fetchAnalytics,
+    fetchAllAnalytics,
+    analyticsData,
+    metadata,
+    loading: analyticsLoading,
+    error: analyticsError,
+    canExport,
+    prepareExportData,
+    exportData
+  } = useAnalytics({ exportPolicy });
+
+  // Custom column labels and display formats by column name, applied on screen and in exports
+  const columnSettings = useMemo(() =>
+    toColumnNameKeys(config?.columnSettings || {}, metadata?.columns || []),
+    [config, metadata]
+  );
+
+  // Conditional formatting rules, and the legend sets they colour values with
+  const conditionalFormats = useMemo(() => config?.conditionalFormats || [], [config]);
+  const ruleLegendSetIds = useMemo(() => getRuleLegendSetIds(conditionalFormats), [conditionalFormats]);
+  const { legendSets } = useLegendSets(ruleLegendSetIds);
   const { getEventReportDetails, getAnalyticsParams, loading: reportsLoading } = useEventReports();
   const { globalConfiguration } = useConfiguration();
-  const { hasConfigAccess } = useAuthorization();
+  const { hasConfigAccess, user } = useAuthorization();
 
   // Component state management
   const [page, setPage] = useState(1);
   const [searchTerm, setSearchTerm] = useState('');
+  const [searchColumn, setSearchColumn] = useState(SEARCH_ALL_COLUMNS);
   const [showFilters, setShowFilters] = useState(false);
   const [columnFilters, setColumnFilters] = useState({});
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [pageSize, setPageSize] = useState('50'); // Default to 50 to match API default
   const [hiddenColumns, setHiddenColumns] = useState(DEFAULT_HIDDEN_COLUMNS);
+  const [columnOrder, setColumnOrder] = useState([]);
+  const [pinnedColumns, setPinnedColumns] = useState([]);
   const [showColumnSelector, setShowColumnSelector] = useState(false);
-  const [sortConfig, setSortConfig] = useState({ columnIndex: null, direction: 'asc' });
+  const [sortConfig, setSortConfig] = useState({ column: null, direction: 'asc' });
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [showExportDialog, setShowExportDialog] = useState(false);
+  const [printJob, setPrintJob] = useState(null);
 
   // Available page sizes as strings
   const pageSizeOptions = ['10', '25', '50', '100'];
 
-  // Get configuration
-  const config = useMemo(() =>
-    getDashboardConfiguration(dashboardId),
-    [dashboardId, getDashboardConfiguration]
-  );
+  // Export formats from the exporter registry, plus the print / PDF layout
+  const exportFormatOptions = useMemo(() => [
+    ...getExporters().map(({ id, label }) => ({ value: id, label })),
+    { value: PRINT_FORMAT, label: 'Print / PDF' }
+  ], []);
 
   // Debug logging
   console.log("Dashboard ID:", dashboardId);
   console.log("Retrieved configuration:", config);
 
-  // Function for initial data fetching
+  // Filters, search and sort sent with every query (column filters are keyed by column name)
+  const queryOptions = useMemo(() => ({
+    columnFilters,
+    search: searchTerm ? {
+      term: searchTerm,
+      column: searchColumn === SEARCH_ALL_COLUMNS ? null : searchColumn
+    } : null,
+    sort: sortConfig.column ? sortConfig : null
+  }), [columnFilters, searchTerm, searchColumn, sortConfig]);
+
+  // Latest filters, search and sort, also kept by fetches that are not triggered by them
+  const queryOptionsRef = useRef(queryOptions);
+  queryOptionsRef.current = queryOptions;
+
+  // Fetch key (see getFetchKey) of the last query of page 1
+  const lastFetchKey = useRef(null);
+
+  // Function for initial data fetching, telling whether the report could be queried
   const fetchInitialData = useCallback(() => {
-    if (!config?.eventReportId) return;
+    if (!config?.eventReportId) return false;
 
     setIsRefreshing(true);
+    setPage(1);
     const reportId = config.eventReportId;
     const reportDetails = getEventReportDetails(reportId);
     const reportParams = getAnalyticsParams(reportId);
@@ -120,7 +214,7 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
       // Explicitly set the page size
       reportParams.pageSize = configPageSize;
 
-      if (config.period) {
+      if (config.period && config.period !== REPORT_PERIOD) {
         reportParams.period = config.period;
       }
 
@@ -129,14 +223,17 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
       // Direct call with explicit parameters
       fetchAnalytics({
         ...reportParams,
+        ...queryOptionsRef.current,
         pageSize: configPageSize // Ensure this parameter is set correctly
       }, reportId, outputType, 1)
         .finally(() => {
           setIsRefreshing(false);
         });
-    } else {
-      setIsRefreshing(false);
+      return true;
     }
+
+    setIsRefreshing(false);
+    return false;
   }, [config, getEventReportDetails, getAnalyticsParams, fetchAnalytics]);
 
   // Initial data load and configuration
@@ -158,21 +255,41 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
         setPageSize('50'); // Default to 50 if invalid
       }
 
-      // Set initial hidden columns
+      // Set initial hidden columns (by column name, also for configurations not migrated yet)
       if (config.hiddenColumns) {
-        setHiddenColumns(config.hiddenColumns);
+        setHiddenColumns(toColumnNames(config.hiddenColumns));
       } else {
         setHiddenColumns(DEFAULT_HIDDEN_COLUMNS);
       }
 
-      // Initial fetch with page 1
-      fetchInitialData();
+      // Set initial column order and pinned columns
+      setColumnOrder(toColumnNames(config.columnOrder));
+      setPinnedColumns(toColumnNames(config.pinnedColumns));
+
+      // Initial fetch with page 1, again only when the report, period or page size changed
+      const fetchKey = getFetchKey(config, config.pageSize ? parseInt(config.pageSize, 10) : 50);
+      if (fetchKey !== lastFetchKey.current && fetchInitialData()) {
+        lastFetchKey.current = fetchKey;
+      }
     } else {
       console.log("EventReportViewer: No valid configuration with event report ID found");
     }
     // Only depend on config.eventReportId, not the entire config object
   }, [config?.eventReportId, fetchInitialData]);
 
+  // Configurations saved before columns were referenced by name are migrated for
+  // display once the report columns (and so the display name of each column) are
+  // known. The stored configuration is only rewritten when an administrator saves it.
+  useEffect(() => {
+    const columns = metadata?.columns;
+    if (!needsColumnMigration(config) || !columns?.length) return;
+
+    const migrated = migrateColumnReferences(config, columns);
+    setHiddenColumns(migrated.hiddenColumns || DEFAULT_HIDDEN_COLUMNS);
+    setColumnOrder(migrated.columnOrder || []);
+    setPinnedColumns(migrated.pinnedColumns || []);
+  }, [config, metadata]);
+
   // Add a secondary effect to re-fetch if dashboardId changes
   useEffect(() => {
     console.log("EventReportViewer: Dashboard ID changed to:", dashboardId);
@@ -217,7 +334,7 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
         // Explicitly set the page size
         reportParams.pageSize = pageSizeToUse;
 
-        if (config.period) {
+        if (config.period && config.period !== REPORT_PERIOD) {
           reportParams.period = config.period;
         }
 
@@ -226,32 +343,64 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
         // Direct call with explicit parameters
         await fetchAnalytics({
           ...reportParams,
+          ...queryOptions,
           pageSize: pageSizeToUse // Ensure this parameter is set correctly
         }, reportId, outputType, pageNumber);
       }
     } finally {
       setIsRefreshing(false);
     }
-  }, [config, getEventReportDetails, getAnalyticsParams, fetchAnalytics, pageSize]);
+  }, [config, getEventReportDetails, getAnalyticsParams, fetchAnalytics, pageSize, queryOptions]);
+
+  // Re-query the server from page 1 when filters, search or sort change (debounced while typing)
+  const queryOptionsKey = JSON.stringify(queryOptions);
+  const lastQueryOptionsKey = useRef(queryOptionsKey);
+  useEffect(() => {
+    if (queryOptionsKey === lastQueryOptionsKey.current) return;
+
+    const timer = setTimeout(() => {
+      lastQueryOptionsKey.current = queryOptionsKey;
+      setPage(1);
+      fetchData(1);
+    }, QUERY_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [queryOptionsKey, fetchData]);
+
+  // Column names in display order: pinned columns first, then the saved order
+  const displayOrder = useMemo(() =>
+    getDisplayOrder(columnOrder, pinnedColumns),
+    [columnOrder, pinnedColumns]
+  );
+
+  // Key (column name) of each analytics column, by column index
+  const columnKeys = useMemo(() =>
+    getColumnKeys(analyticsData?.[0] || [], metadata?.columns || []),
+    [analyticsData, metadata]
+  );
+
+  // Configured hidden columns plus the columns analytics flags as hidden
+  const hiddenColumnNames = useMemo(() =>
+    getHiddenColumnNames(hiddenColumns, metadata?.columns || []),
+    [hiddenColumns, metadata]
+  );
 
   // Filter out hidden columns and their corresponding data, but add Action column
   const filteredAnalyticsData = useMemo(() => {
     if (!analyticsData || analyticsData.length === 0) return [];
 
-    // Get the headers (first row)
-    const headers = analyticsData[0];
+    const columns = metadata?.columns || [];
 
-    // Create an array of indices for visible columns (columns not in hiddenColumns)
-    const visibleIndices = headers.map((header, index) =>
-      hiddenColumns.includes(header) ? -1 : index
-    ).filter(index => index !== -1);
+    // Indices of the visible columns (not in hiddenColumns), pinned and reordered columns first
+    const visibleIndices = getVisibleColumnIndices(columnKeys, hiddenColumnNames, displayOrder);
 
-    // Find indices for important fields we need for generating links
+    // Find indices for important fields we need for generating links, by column name
+    // so they do not depend on the UI language
     // Field names may differ between EVENT and ENROLLMENT analytics
-    const eventIndex = headers.indexOf('Event');
-    const teiIndex = headers.indexOf('Tracked entity instance');
-    const enrollmentIndex = headers.indexOf('Enrollment');
-    const ouIndex = headers.indexOf('Organisation unit');
+    const eventIndex = findColumnIndex(columns, ['psi']);
+    const teiIndex = findColumnIndex(columns, ['tei']);
+    const enrollmentIndex = findColumnIndex(columns, ['pi', 'enrollment']);
+    const ouIndex = findColumnIndex(columns, ['ou']);
 
     // Filter the headers and data rows to include only visible columns
     const filteredData = analyticsData.map((row, rowIndex) => {
@@ -282,38 +431,45 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
       }
     });
 
-    // Apply search term filter
-    const searchTermLower = searchTerm.toLowerCase();
-    const filteredBySearch = filteredData.filter((row, rowIndex) => {
-      if (rowIndex === 0) return true; // Keep header row
-      return row.some(cell => typeof cell === 'string' && cell.toLowerCase().includes(searchTermLower));
-    });
+    // Search, column filters and sort are applied by useAnalytics (server-side where possible)
+    return filteredData;
+  }, [analyticsData, metadata, columnKeys, hiddenColumnNames, displayOrder, outputType]);
 
-    // Apply column filters
-    const filteredByColumns = filteredBySearch.filter((row, rowIndex) => {
-      if (rowIndex === 0) return true; // Keep header row
-      return Object.entries(columnFilters).every(([colIndex, filterValue]) => {
-        const cellValue = row[colIndex];
-        return typeof cellValue === 'string' && cellValue.toLowerCase().includes(filterValue.toLowerCase());
-      });
-    });
+  // Column names (UIDs) of the visible columns, in display order, used to key filters,
+  // sort, column settings and the column layout
+  const visibleColumnNames = useMemo(() =>
+    getVisibleColumnIndices(columnKeys, hiddenColumnNames, displayOrder)
+      .map(index => columnKeys[index]),
+    [columnKeys, hiddenColumnNames, displayOrder]
+  );
 
-    return filteredByColumns;
-  }, [analyticsData, hiddenColumns, outputType, searchTerm, columnFilters]);
+  // Number of pinned columns shown; pinned columns always come first
+  const pinnedCount = useMemo(() => {
+    const count = visibleColumnNames.findIndex(columnName => !pinnedColumns.includes(columnName));
+    return count === -1 ? visibleColumnNames.length : count;
+  }, [visibleColumnNames, pinnedColumns]);
 
-  // Handle search term change
+  // Columns filtered or sorted on the loaded page only because the API cannot handle them
+  const clientSide = metadata?.clientSide || { filters: [], search: false, sort: false };
+
+  // Handle search term change (the server query is refreshed by the debounced effect)
   const handleSearchChange = useCallback((value) => {
     setSearchTerm(value);
-    setPage(1); // Reset to first page when search changes
   }, []);
 
   // Handle column filter change
-  const handleColumnFilterChange = useCallback((columnIndex, value) => {
-    setColumnFilters(prev => ({
-      ...prev,
-      [columnIndex]: value
-    }));
-    setPage(1); // Reset to first page when filters change
+  const handleColumnFilterChange = useCallback((columnName, value) => {
+    setColumnFilters(prev => {
+      const { [columnName]: _removed, ...rest } = prev;
+      return value ? { ...rest, [columnName]: value } : rest;
+    });
+  }, []);
+
+  // Clear the search, filters and sort sent to the server
+  const clearQueryOptions = useCallback(() => {
+    setSearchTerm('');
+    setColumnFilters({});
+    setSortConfig({ column: null, direction: 'asc' });
   }, []);
 
   // Handle refresh button click
@@ -321,8 +477,9 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
     fetchData(page);
   }, [fetchData, page]);
 
-  // Handle page change
-  const handlePageChange = useCallback(({ page: newPage }) => {
+  // Handle page change - the DHIS2 Pagination component passes the page number directly
+  const handlePageChange = useCallback((value) => {
+    const newPage = typeof value === 'object' && value !== null ? value.page : value;
     if (newPage && newPage > 0) {
       setPage(newPage);
       fetchData(newPage);
@@ -388,7 +545,7 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
       // Explicitly set the page size in the params
       reportParams.pageSize = numericPageSize;
 
-      if (config.period) {
+      if (config.period && config.period !== REPORT_PERIOD) {
         reportParams.period = config.period;
       }
 
@@ -397,16 +554,14 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
       // Direct call to fetchAnalytics with explicit parameters
       fetchAnalytics({
         ...reportParams,
+        ...queryOptions,
         pageSize: numericPageSize // Ensure this parameter is set correctly
       }, reportId, outputType, 1)
         .then(() => {
-          // Update configuration AFTER successful fetch
-          if (config && dashboardId) {
-            saveConfiguration(dashboardId, {
-              ...config,
-              pageSize: numericPageSize
-            });
-          }
+          // Update configuration AFTER successful fetch; storing the size just
+          // fetched needs no new query
+          lastFetchKey.current = getFetchKey(config, numericPageSize);
+          saveWidgetSettings({ pageSize: numericPageSize });
         })
         .finally(() => {
           setIsRefreshing(false);
@@ -414,15 +569,116 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
     } else {
       setIsRefreshing(false);
     }
-  }, [pageSize, pageSizeOptions, config, dashboardId, getEventReportDetails, getAnalyticsParams, fetchAnalytics, saveConfiguration]);
+  }, [pageSize, pageSizeOptions, config, getEventReportDetails, getAnalyticsParams, fetchAnalytics, saveWidgetSettings, queryOptions]);
+
+  // Build the analytics parameters of the configured report, as used for the displayed data
+  const getReportQueryParams = useCallback(() => {
+    if (!config?.eventReportId) return null;
+
+    const reportParams = getAnalyticsParams(config.eventReportId);
+    if (!reportParams) return null;
+
+    if (config.period && config.period !== REPORT_PERIOD) {
+      reportParams.period = config.period;
+    }
+    return { ...reportParams, ...queryOptions };
+  }, [config, getAnalyticsParams, queryOptions]);
+
+  /**
+   * Rows to export or print, as the user sees them: visible columns in display order,
+   * with the current search, filters and sort. "All matching records" fetches every page.
+   * @param {string} scope - EXPORT_SCOPES value picked in the export dialog
+   * @param {Object} options - { onProgress, signal } for fetching all pages
+   * @returns {Promise<Object|null>} { rows, columns }, or null when cancelled
+   */
+  const getExportRows = useCallback(async (scope, { onProgress, signal } = {}) => {
+    const isAggregated = metadata?.dataType === DATA_TYPE_AGGREGATED;
+    let rows = analyticsData;
+    let columns = metadata?.columns;
+
+    if (scope === EXPORT_SCOPES.ALL_RECORDS && !isAggregated) {
+      const params = getReportQueryParams();
+      if (!params) return null;
+
+      const result = await fetchAllAnalytics(params, outputType, { onProgress, signal });
+      if (signal?.aborted) return null;
+      rows = result.data;
+      columns = result.columns;
+    }
 
-  // Export data to CSV
-  const handleExport = useCallback(() => {
+    // Pivot tables are exported as laid out; line lists without the hidden columns
+    if (isAggregated) {
+      return { rows, columns };
+    }
+    const visible = selectVisibleColumns(rows, columns, getHiddenColumnNames(hiddenColumns, columns), displayOrder);
+    return { rows: visible.data, columns: visible.columns };
+  }, [analyticsData, metadata, outputType, hiddenColumns, displayOrder, getReportQueryParams, fetchAllAnalytics]);
+
+  /**
+   * Describe the report for the Excel report sheet and the print title block
+   * @param {number} rowCount - Number of exported rows (without the header row)
+   * @param {boolean} allPages - Whether every page was exported
+   * @param {string} dateLabel - Label of the export time, e.g. "Exported at"
+   * @returns {Array} [label, value] pairs
+   */
+  const getReportInfo = useCallback((rowCount, allPages, dateLabel) => {
+    const reportParams = config?.eventReportId ? getAnalyticsParams(config.eventReportId) : null;
+    const configuredPeriod = config?.period && config.period !== REPORT_PERIOD ? config.period : null;
+    const reportPeriod = reportParams?.period ||
+      (reportParams?.startDate ? `${reportParams.startDate} to ${reportParams.endDate}` : '');
+    const pager = metadata?.pager;
+
+    return [
+      ['Report', eventReportDetails?.displayName || eventReportDetails?.name || ''],
+      ['Period', describeDimensionItems(metadata?.metaData, 'pe', configuredPeriod || reportPeriod)],
+      ['Organisation units', describeDimensionItems(metadata?.metaData, 'ou', reportParams?.orgUnit || '')],
+      ['Rows', allPages || !pager || pager.pageCount <= 1
+        ? String(rowCount)
+        : `${rowCount} (page ${pager.page} of ${pager.pageCount})`],
+      [dateLabel, new Date().toLocaleString()],
+      ['Exported by', user?.displayName || user?.name || user?.username || '']
+    ];
+  }, [config, metadata, eventReportDetails, user, getAnalyticsParams]);
+
+  /**
+   * Export or print the report with the options picked in the export dialog
+   * @param {Object} choice - { scope, format, orientation } picked in the export dialog
+   * @param {Object} options - { onProgress, signal } for fetching all pages
+   */
+  const handleExport = useCallback(async ({ scope, format, orientation }, { onProgress, signal } = {}) => {
     if (!analyticsData) return;
 
-    const filename = `event_report_${dashboardId || 'export'}_${new Date().toISOString().slice(0, 10)}.csv`;
-    exportToCSV(analyticsData, filename);
-  }, [analyticsData, dashboardId, exportToCSV]);
+    const exportRows = await getExportRows(scope, { onProgress, signal });
+    if (!exportRows) return;
+
+    const { rows, columns } = exportRows;
+    const allPages = scope === EXPORT_SCOPES.ALL_RECORDS;
+
+    if (format === PRINT_FORMAT) {
+      // Printing is an export too: the export policy applies
+      const printable = prepareExportData(rows, columns);
+      setPrintJob({
+        rows: applyColumnSettings(printable.data, printable.columns, columnSettings),
+        cellColors: getCellColors(printable.data, printable.columns, conditionalFormats, legendSets),
+        orientation,
+        reportInfo: getReportInfo(rows.length - 1, allPages, 'Generated at').slice(1)
+      });
+      return;
+    }
+
+    const filename = `event_report_${dashboardId || 'export'}_${new Date().toISOString().slice(0, 10)}`;
+    const reportInfo = getReportInfo(rows.length - 1, allPages, 'Exported at');
+    await exportData(rows, format, filename, {
+      columns,
+      reportInfo,
+      columnSettings,
+      conditionalFormats,
+      legendSets
+    });
+  }, [analyticsData, dashboardId, columnSettings, conditionalFormats, legendSets, getExportRows, getReportInfo, prepareExportData, exportData]);
+
+  // Leave print mode once the browser print dialog closes
+  const handlePrintDone = useCallback(() => setPrintJob(null), []);
 
   // Toggle column visibility
   const toggleColumnVisibility = useCallback((columnName) => {
@@ -433,43 +689,123 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
         : [...prev, columnName];
 
       // Save updated hidden columns to configuration
-      if (config && dashboardId) {
-        saveConfiguration(dashboardId, {
-          ...config,
-          hiddenColumns: newHiddenColumns
-        });
-      }
+      saveWidgetSettings({ hiddenColumns: newHiddenColumns });
 
       return newHiddenColumns;
     });
-  }, [config, dashboardId, saveConfiguration]);
+  }, [saveWidgetSettings]);
 
-  // Reset column visibility to defaults
+  // Reset column visibility, order and pins to defaults
   const resetColumnVisibility = useCallback(() => {
     setHiddenColumns(DEFAULT_HIDDEN_COLUMNS);
+    setColumnOrder([]);
+    setPinnedColumns([]);
+
+    // Save the default column layout to configuration
+    saveWidgetSettings({
+      hiddenColumns: DEFAULT_HIDDEN_COLUMNS,
+      columnOrder: [],
+      pinnedColumns: []
+    });
+  }, [saveWidgetSettings]);
+
+  // Save the column order and pinned columns to the widget configuration
+  const saveColumnLayout = useCallback((layout) => {
+    saveWidgetSettings({
+      hiddenColumns,
+      columnOrder,
+      pinnedColumns,
+      ...layout
+    });
+  }, [saveWidgetSettings, hiddenColumns, columnOrder, pinnedColumns]);
+
+  // Column being dragged to a new position
+  const draggedColumnRef = useRef(null);
+
+  // Move the dragged column to the position of the column it is dropped on
+  const handleColumnDrop = useCallback((targetColumn) => {
+    const draggedColumn = draggedColumnRef.current;
+    draggedColumnRef.current = null;
+    if (!draggedColumn || draggedColumn === targetColumn) return;
+
+    // Current display order of the visible columns
+    const newOrder = moveColumn(visibleColumnNames, draggedColumn, targetColumn);
+    if (newOrder === visibleColumnNames) return;
+
+    setColumnOrder(newOrder);
+    saveColumnLayout({ columnOrder: newOrder });
+  }, [visibleColumnNames, saveColumnLayout]);
+
+  // Pin a column to the left, or unpin it
+  const togglePinnedColumn = useCallback((columnName) => {
+    const isPinned = pinnedColumns.includes(columnName);
+    if (!isPinned && pinnedColumns.length >= MAX_PINNED_COLUMNS) return;
+
+    const newPinnedColumns = isPinned
+      ? pinnedColumns.filter(column => column !== columnName)
+      : [...pinnedColumns, columnName];
+
+    setPinnedColumns(newPinnedColumns);
+    saveColumnLayout({ pinnedColumns: newPinnedColumns });
+  }, [pinnedColumns, saveColumnLayout]);
+
+  // Column metadata (name, valueType) of the visible columns, in display order
+  const visibleColumns = useMemo(() => {
+    const columns = metadata?.columns || [];
+    return visibleColumnNames.map(columnName => columns.find(column => column.name === columnName));
+  }, [metadata, visibleColumnNames]);
+
+  // Conditional formatting colour of every visible cell, by data row and column index
+  const cellColors = useMemo(() =>
+    getCellColors(filteredAnalyticsData, visibleColumns, conditionalFormats, legendSets),
+    [filteredAnalyticsData, visibleColumns, conditionalFormats, legendSets]
+  );
 
-    // Save default hidden columns to configuration
-    if (config && dashboardId) {
-      saveConfiguration(dashboardId, {
-        ...config,
-        hiddenColumns: DEFAULT_HIDDEN_COLUMNS
-      });
-    }
-  }, [config, dashboardId, saveConfiguration]);
+  // Show a cell value by the value type and display format of its column,
+  // highlighted when a conditional formatting rule matches
+  const renderCellValue = useCallback((cell, cellIndex, rowIndex) => {
+    const content = (
+      <CellValue
+        value={cell}
+        column={visibleColumns[cellIndex]}
+        setting={columnSettings[visibleColumnNames[cellIndex]]}
+        metaData={metadata?.metaData}
+        baseUrl={baseUrl}
+      />
+    );
+    const color = cellColors[rowIndex]?.[cellIndex];
+    if (!color) return content;
+
+    return (
+      <span
+        className={styles.highlightedCell}
+        style={{ backgroundColor: color, color: getContrastTextColor(color) }}
+      >
+        {content}
+      </span>
+    );
+  }, [columnSettings, visibleColumns, visibleColumnNames, metadata, baseUrl, cellColors]);
+
+  // Sticky positioning classes of a pinned column (pinned columns have a fixed width)
+  const getPinnedClassName = useCallback((index) => {
+    if (index >= pinnedCount) return '';
+    const lastPinned = index === pinnedCount - 1 ? styles.pinnedColumnLast : '';
+    return `${styles.pinnedColumn} ${styles[`pinnedColumn${index}`]} ${lastPinned}`;
+  }, [pinnedCount]);
 
   // Handle column sort
-  const handleSort = useCallback((columnIndex) => {
+  const handleSort = useCallback((columnName) => {
     setSortConfig(prev => {
-      if (prev.columnIndex === columnIndex) {
+      if (prev.column === columnName) {
         // Toggle direction if same column
         return {
-          columnIndex,
+          column: columnName,
           direction: prev.direction === 'asc' ? 'desc' : 'asc'
         };
       } else {
         // New column, default to ascending
         return {
-          columnIndex,
+          column: columnName,
           direction: 'asc'
         };
       }
@@ -506,12 +842,15 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
     return '#';
   }, [baseUrl, eventReportDetails, programType]);
 
-  // Get full set of columns from analytics data for column selector
+  // Get full set of columns from analytics data for column selector, as { name, label }
+  // Columns analytics flags as hidden are never shown, so they are not offered
   const allColumns = useMemo(() => {
     if (!analyticsData || analyticsData.length === 0) return [];
-    // Don't include the Action column in the column selector
-    return analyticsData[0] || [];
-  }, [analyticsData]);
+    const columns = metadata?.columns || [];
+    return analyticsData[0]
+      .map((header, index) => ({ name: columnKeys[index], label: header, hidden: columns[index]?.hidden }))
+      .filter(column => !column.hidden);
+  }, [analyticsData, metadata, columnKeys]);
 
   // Loading state for initial data loading
   const isLoading = analyticsLoading || reportsLoading;
@@ -527,13 +866,56 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
 
   // Render error state
   if (analyticsError) {
+    // Errors are classified by useAnalytics (see classifyAnalyticsError)
+    const { title, message, serverMessage, httpStatus } = analyticsError;
+    // The search, filters or sort may be what the server rejected, so they stay editable
+    const hasQueryOptions = Boolean(searchTerm || sortConfig.column || Object.keys(columnFilters).length);
+
     return (
-      <NoticeBox error title="Error Loading Event Report">
-        <p>{analyticsError.message || 'An unexpected error occurred'}</p>
-        <Button small onClick={handleRefresh} style={{ marginTop: '8px' }}>
-          Try Again
-        </Button>
-      </NoticeBox>
+      <>
+        {hasQueryOptions && (
+          <div className={styles.noPrint}>
+            <ViewerToolbar
+              searchTerm={searchTerm}
+              onSearchChange={handleSearchChange}
+              onClearQueryOptions={clearQueryOptions}
+            />
+
+            {Object.keys(columnFilters).length > 0 && (
+              <div className={styles.filtersRow}>
+                {Object.entries(columnFilters).map(([columnName, value]) => (
+                  <div key={columnName} className={styles.filterField}>
+                    <InputField
+                      label={`Filter by ${getColumnLabel(
+                        allColumns.find(column => column.name === columnName)?.label || columnName,
+                        columnSettings,
+                        columnName
+                      )}`}
+                      value={value}
+                      onChange={({ value: newValue }) => handleColumnFilterChange(columnName, newValue)}
+                      dense
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        <NoticeBox error title={title || 'Error Loading Event Report'}>
+          <p>{message || 'An unexpected error occurred'}</p>
+          {(httpStatus || serverMessage) && (
+            <p className={styles.errorDetails}>
+              {httpStatus && <strong>HTTP {httpStatus}</strong>}
+              {httpStatus && serverMessage && ': '}
+              {serverMessage}
+            </p>
+          )}
+          <Button small onClick={handleRefresh} loading={isRefreshing} style={{ marginTop: '8px' }}>
+            Try Again
+          </Button>
+        </NoticeBox>
+      </>
     );
   }
 
@@ -546,74 +928,133 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
     );
   }
 
-  // Render no data state
-  if (!filteredAnalyticsData || filteredAnalyticsData.length <= 1) {
+  // Export dialog, shared by the pivot table and line list views
+  const isAggregatedReport = metadata?.dataType === DATA_TYPE_AGGREGATED;
+  const exportDialog = showExportDialog && (
+    <ExportDialog
+      format={exportFormat}
+      formatLabel={exportFormatOptions.find(option => option.value === exportFormat)?.label}
+      onClose={() => setShowExportDialog(false)}
+      onExport={handleExport}
+      allowAllRecords={!isAggregatedReport}
+      currentRowCount={Math.max((analyticsData?.length || 0) - 1, 0)}
+      totalRowCount={isAggregatedReport
+        ? Math.max((analyticsData?.length || 0) - 1, 0)
+        : metadata?.pager?.total || Math.max((analyticsData?.length || 0) - 1, 0)}
+    />
+  );
+
+  // Format chooser and export button, shown in the toolbar of every view to users who may export
+  const exportControls = canExport && (
+    <>
+      <div className={styles.exportFormatField}>
+        <SingleSelect
+          dense
+          selected={exportFormat}
+          onChange={({ selected }) => setExportFormat(selected)}
+        >
+          {exportFormatOptions.map(option => (
+            <SingleSelectOption key={option.value} value={option.value} label={option.label} />
+          ))}
+        </SingleSelect>
+      </div>
+
+      <Button
+        onClick={() => setShowExportDialog(true)}
+        small
+        icon={<FiDownload />}
+      >
+        {exportFormat === PRINT_FORMAT ? 'Print' : 'Export'}
+      </Button>
+    </>
+  );
+
+  // Print layout, mounted once the export dialog has closed so the dialog is not printed
+  const printView = printJob && !showExportDialog && (
+    <PrintView
+      title={eventReportDetails?.displayName || eventReportDetails?.name || 'Event Report'}
+      reportInfo={printJob.reportInfo}
+      rows={printJob.rows}
+      orientation={printJob.orientation}
+      cellColors={printJob.cellColors}
+      onDone={handlePrintDone}
+    />
+  );
+  const containerClassName = printJob ? `${styles.container} ${styles.noPrint}` : styles.container;
+
+  // Title block and toolbar of the line list and no data views
+  const reportTitle = eventReportDetails?.displayName || eventReportDetails?.name;
+  const listToolbarProps = {
+    title: reportTitle,
+    subtitle: eventReportDetails?.outputType &&
+      (eventReportDetails.outputType === 'ENROLLMENT' ? 'Enrollment Data' : 'Event Data'),
+    searchTerm,
+    onSearchChange: handleSearchChange,
+    searchColumn,
+    searchColumnOptions: [
+      { value: SEARCH_ALL_COLUMNS, label: 'All columns (this page)' },
+      ...visibleColumnNames.map((columnName, index) => ({
+        value: columnName,
+        label: getColumnLabel(filteredAnalyticsData?.[0]?.[index], columnSettings, columnName) || columnName
+      }))
+    ],
+    onSearchColumnChange: setSearchColumn,
+    showFilters,
+    onToggleFilters: () => setShowFilters(!showFilters),
+    exportControls,
+    onRefresh: handleRefresh,
+    isRefreshing
+  };
+
+  // Render aggregated reports as a pivot table (no paging, search or column filters)
+  if (isAggregatedReport) {
     return (
       <Card>
-        <div className={styles.container}>
-          {/* Event Report Title */}
-          {eventReportDetails && (
-            <h2 className={styles.header}>
-              {eventReportDetails.displayName || eventReportDetails.name}
-              {eventReportDetails.outputType && (
-                <span style={{ fontSize: '0.8em', fontWeight: 'normal', marginLeft: '8px', color: '#666' }}>
-                  ({eventReportDetails.outputType === 'ENROLLMENT' ? 'Enrollment Data' : 'Event Data'})
-                </span>
-              )}
-            </h2>
-          )}
-
-          {/* Control Section */}
-          <div className={styles.controlsRow}>
-            <div className={styles.searchField}>
-              <InputField
-                placeholder="Search..."
-                value={searchTerm}
-                onChange={({ value }) => handleSearchChange(value)}
-                dense
-              />
+        <div className={containerClassName}>
+          <ViewerToolbar
+            title={reportTitle}
+            subtitle={`Aggregated ${outputType === 'ENROLLMENT' ? 'Enrollment' : 'Event'} Data`}
+            summary={metadata.pivot?.rows.length
+              ? `${metadata.pivot.rows.length} rows, ${metadata.pivot.grandTotal.toLocaleString()} in total`
+              : 'No data for the selected periods and organisation units'}
+            exportControls={exportControls}
+            onRefresh={handleRefresh}
+            isRefreshing={isRefreshing}
+          />
+
+          {/* Pivot Table */}
+          {isRefreshing ? (
+            <div className={styles.loadingOverlay}>
+              <div className={styles.dimmedContent}>
+                <PivotTable pivot={metadata.pivot} />
+              </div>
+              <div className={styles.centerLoader}>
+                <CircularLoader />
+              </div>
             </div>
+          ) : (
+            <PivotTable pivot={metadata.pivot} />
+          )}
+        </div>
+        {exportDialog}
+        {printView}
+      </Card>
+    );
+  }
 
-            <div className={styles.buttonGroup}>
-              <Button
-                onClick={() => setShowFilters(!showFilters)}
-                small
-                icon={<FiFilter />}
-              >
-                {showFilters ? 'Hide Filters' : 'Show Filters'}
-              </Button>
-
-              <Button
-                onClick={handleExport}
-                small
-                icon={<FiDownload />}
-              >
-                Export CSV
-              </Button>
-
-              <Button
-                onClick={handleRefresh}
-                small
-                loading={isRefreshing}
-                icon={<FiRefreshCw />}
-              >
-                Refresh
-              </Button>
-
-              {/* Column Selector Button */}
-              <Button
-                small
-                icon={<FiSettings />}
-                onClick={() => setShowColumnSelector(!showColumnSelector)}
-              >
-                Columns
-              </Button>
-            </div>
-          </div>
+  // Render no data state
+  if (!filteredAnalyticsData || filteredAnalyticsData.length <= 1) {
+    return (
+      <Card>
+        <div className={containerClassName}>
+          <ViewerToolbar
+            {...listToolbarProps}
+            onToggleColumns={() => setShowColumnSelector(!showColumnSelector)}
+          />
 
           {/* Column Selector */}
           {showColumnSelector && (
-            <div className={styles.columnSelector}>
+            <div className={`${styles.columnSelector} ${styles.noPrint}`}>
               <div className={styles.columnSelectorHeader}>
                 <h3>Configure Visible Columns</h3>
                 <Button small onClick={resetColumnVisibility}>Reset to Default</Button>
@@ -622,9 +1063,9 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
                 {allColumns.map((column, index) => (
                   <div key={index} className={styles.columnOption}>
                     <Checkbox
-                      checked={!hiddenColumns.includes(column)}
-                      label={column}
-                      onChange={() => toggleColumnVisibility(column)}
+                      checked={!hiddenColumns.includes(column.name)}
+                      label={getColumnLabel(column.label, columnSettings, column.name)}
+                      onChange={() => toggleColumnVisibility(column.name)}
                     />
                   </div>
                 ))}
@@ -634,14 +1075,16 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
 
           {/* Filters Section */}
           {showFilters && filteredAnalyticsData[0] && (
-            <div className={styles.filtersRow}>
+            <div className={`${styles.filtersRow} ${styles.noPrint}`}>
               {/* Don't show filter for the action column */}
               {filteredAnalyticsData[0].slice(0, -1).map((header, index) => (
                 <div key={index} className={styles.filterField}>
                   <InputField
-                    label={`Filter by ${header}`}
-                    value={columnFilters[index] || ''}
-                    onChange={({ value }) => handleColumnFilterChange(index, value)}
+                    label={`Filter by ${getColumnLabel(header, columnSettings, visibleColumnNames[index])}`}
+                    value={columnFilters[visibleColumnNames[index]] || ''}
+                    onChange={({ value }) => handleColumnFilterChange(visibleColumnNames[index], value)}
+                    helpText={clientSide.filters.includes(visibleColumnNames[index]) ? 'Applies to this page only' : undefined}
+                    placeholder="e.g. Malaria, >5, EQ:Male"
                     dense
                   />
                 </div>
@@ -654,86 +1097,44 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
             <p>No data matches your search criteria. Please adjust your search term or filters.</p>
           </NoticeBox>
         </div>
+        {exportDialog}
+        {printView}
       </Card>
     );
   }
 
-  // Extract pagination info from metadata
+  // Extract pagination info from the server pager, falling back to the loaded rows
   const pager = metadata?.pager || {
-    page: 1,
+    page,
     pageCount: 1,
     pageSize: parseInt(pageSize, 10),
     total: (filteredAnalyticsData?.length || 0) - 1
   };
 
+  // Position of the current page within the server result set
+  const firstRowNumber = (pager.page - 1) * parseInt(pageSize, 10) + 1;
+  const lastRowNumber = firstRowNumber + filteredAnalyticsData.length - 2;
+
   return (
     <Card>
-      <div className={styles.container}>
-        {/* Event Report Title */}
-        {eventReportDetails && (
-          <h2 className={styles.header}>
-            {eventReportDetails.displayName || eventReportDetails.name}
-            {eventReportDetails.outputType && (
-              <span style={{ fontSize: '0.8em', fontWeight: 'normal', marginLeft: '8px', color: '#666' }}>
-                ({eventReportDetails.outputType === 'ENROLLMENT' ? 'Enrollment Data' : 'Event Data'})
-              </span>
-            )}
-          </h2>
-        )}
-
-        {/* Control Section */}
-        <div className={styles.controlsRow}>
-          <div className={styles.searchField}>
-            <InputField
-              placeholder="Search..."
-              value={searchTerm}
-              onChange={({ value }) => handleSearchChange(value)}
-              dense
-            />
-          </div>
-
-          <div className={styles.buttonGroup}>
-            <Button
-              onClick={() => setShowFilters(!showFilters)}
-              small
-              icon={<FiFilter />}
-            >
-              {showFilters ? 'Hide Filters' : 'Show Filters'}
-            </Button>
-
-            <Button
-              onClick={handleExport}
-              small
-              icon={<FiDownload />}
-            >
-              Export CSV
-            </Button>
-
-            <Button
-              onClick={handleRefresh}
-              small
-              loading={isRefreshing}
-              icon={<FiRefreshCw />}
-            >
-              Refresh
-            </Button>
-
-            {/* Column Selector Button - Only show if user has access or in embedded mode */}
-            {(hasConfigAccess || isEmbedded) && (
-              <Button
-                small
-                icon={<FiSettings />}
-                onClick={() => setShowColumnSelector(!showColumnSelector)}
-              >
-                Columns
-              </Button>
-            )}
-          </div>
-        </div>
+      <div className={containerClassName}>
+        <ViewerToolbar
+          {...listToolbarProps}
+          notice={metadata?.demo && (
+            <div className={styles.demoNotice}>
+              <NoticeBox warning title="Demo data">
+                Demo mode is on: the rows below are generated sample data, not data from the server.
+              </NoticeBox>
+            </div>
+          )}
+          onToggleColumns={(hasConfigAccess || isEmbedded)
+            ? () => setShowColumnSelector(!showColumnSelector)
+            : undefined}
+        />
 
         {/* Column Selector */}
         {showColumnSelector && (hasConfigAccess || isEmbedded) && (
-          <div className={styles.columnSelector}>
+          <div className={`${styles.columnSelector} ${styles.noPrint}`}>
             <div className={styles.columnSelectorHeader}>
               <h3>Configure Visible Columns</h3>
               <Button small onClick={resetColumnVisibility}>Reset to Default</Button>
@@ -742,9 +1143,9 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
               {allColumns.map((column, index) => (
                 <div key={index} className={styles.columnOption}>
                   <Checkbox
-                    checked={!hiddenColumns.includes(column)}
-                    label={column}
-                    onChange={() => toggleColumnVisibility(column)}
+                    checked={!hiddenColumns.includes(column.name)}
+                    label={getColumnLabel(column.label, columnSettings, column.name)}
+                    onChange={() => toggleColumnVisibility(column.name)}
                   />
                 </div>
               ))}
@@ -754,14 +1155,16 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
 
         {/* Filters Section */}
         {showFilters && filteredAnalyticsData[0] && (
-          <div className={styles.filtersRow}>
+          <div className={`${styles.filtersRow} ${styles.noPrint}`}>
             {/* Don't show filter for the action column */}
             {filteredAnalyticsData[0].slice(0, -1).map((header, index) => (
               <div key={index} className={styles.filterField}>
                 <InputField
-                  label={`Filter by ${header}`}
-                  value={columnFilters[index] || ''}
-                  onChange={({ value }) => handleColumnFilterChange(index, value)}
+                  label={`Filter by ${getColumnLabel(header, columnSettings, visibleColumnNames[index])}`}
+                  value={columnFilters[visibleColumnNames[index]] || ''}
+                  onChange={({ value }) => handleColumnFilterChange(visibleColumnNames[index], value)}
+                  helpText={clientSide.filters.includes(visibleColumnNames[index]) ? 'Applies to this page only' : undefined}
+                  placeholder="e.g. Malaria, >5, EQ:Male"
                   dense
                 />
               </div>
@@ -772,11 +1175,16 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
         {/* Results Summary */}
         <div className={styles.resultsSummary}>
           {pager.total ?
-            `Showing ${filteredAnalyticsData.length - 1} of ${pager.total} total results` :
+            `Showing ${firstRowNumber}-${lastRowNumber} of ${pager.total.toLocaleString()} total results` :
             `Showing ${filteredAnalyticsData.length - 1} results`
           }
-          {pager.page > 1 && pager.pageCount > 1 && ` (page ${pager.page} of ${pager.pageCount})`}
-          {searchTerm && ' (filtered)'}
+          {pager.pageCount > 1 && ` (page ${pager.page} of ${pager.pageCount})`}
+          {(searchTerm || Object.keys(columnFilters).length > 0) && ' (filtered)'}
+          {(clientSide.search || clientSide.filters.length > 0 || clientSide.sort) && (
+            <span className={styles.clientSideNote}>
+              {' '}Search, filters or sort on some columns only apply to the rows on this page.
+            </span>
+          )}
         </div>
 
         {/* Data Table */}
@@ -787,7 +1195,9 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
                 <TableHead>
                   <TableRowHead>
                     {filteredAnalyticsData[0].map((header, index) => (
-                      <TableCellHead key={index}>{header}</TableCellHead>
+                      <TableCellHead key={index} className={getPinnedClassName(index)}>
+                        {getColumnLabel(header, columnSettings, visibleColumnNames[index])}
+                      </TableCellHead>
                     ))}
                   </TableRowHead>
                 </TableHead>
@@ -795,7 +1205,7 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
                   {filteredAnalyticsData.slice(1).map((row, rowIndex) => (
                     <TableRow key={rowIndex}>
                       {row.map((cell, cellIndex) => (
-                        <TableCell key={cellIndex}>
+                        <TableCell key={cellIndex} className={getPinnedClassName(cellIndex)}>
                           {typeof cell === 'object' && cell.type === 'action' ? (
                             <a
                               href={generateAppLink(cell)}
@@ -816,7 +1226,7 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
                               </Button>
                             </a>
                           ) : (
-                            cell !== null ? cell : ''
+                            renderCellValue(cell, cellIndex, rowIndex)
                           )}
                         </TableCell>
                       ))}
@@ -834,29 +1244,62 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
             <Table>
               <TableHead>
                 <TableRowHead>
-                  {filteredAnalyticsData[0].map((header, index) => (
-                    <TableCellHead
-                      key={index}
-                      onClick={() => index < filteredAnalyticsData[0].length - 1 ? handleSort(index) : null}
-                      className={index < filteredAnalyticsData[0].length - 1 ? styles.sortableHeader : ''}
-                    >
-                      <div className={styles.headerContent}>
-                        {header}
-                        {sortConfig.columnIndex === index && (
-                          <span className={styles.sortIcon}>
-                            {sortConfig.direction === 'asc' ? <FiArrowUp /> : <FiArrowDown />}
-                          </span>
-                        )}
-                      </div>
-                    </TableCellHead>
-                  ))}
+                  {filteredAnalyticsData[0].map((header, index) => {
+                    const isDataColumn = index < filteredAnalyticsData[0].length - 1;
+                    const columnName = visibleColumnNames[index];
+                    const isPinned = pinnedColumns.includes(columnName);
+
+                    return (
+                      <TableCellHead
+                        key={index}
+                        onClick={() => isDataColumn ? handleSort(columnName) : null}
+                        className={`${isDataColumn ? styles.sortableHeader : ''} ${getPinnedClassName(index)}`}
+                      >
+                        {/* Headers are dragged to reorder the columns */}
+                        <div
+                          className={styles.headerContent}
+                          draggable={isDataColumn}
+                          onDragStart={(event) => {
+                            draggedColumnRef.current = columnName;
+                            event.dataTransfer.effectAllowed = 'move';
+                            event.dataTransfer.setData('text/plain', columnName);
+                          }}
+                          onDragOver={(event) => isDataColumn && event.preventDefault()}
+                          onDrop={(event) => {
+                            event.preventDefault();
+                            if (isDataColumn) handleColumnDrop(columnName);
+                          }}
+                        >
+                          {getColumnLabel(header, columnSettings, visibleColumnNames[index])}
+                          {sortConfig.column && sortConfig.column === columnName && (
+                            <span className={styles.sortIcon}>
+                              {sortConfig.direction === 'asc' ? <FiArrowUp /> : <FiArrowDown />}
+                            </span>
+                          )}
+                          {isDataColumn && (
+                            <Tooltip content={isPinned ? 'Unpin column' : `Pin column to the left (up to ${MAX_PINNED_COLUMNS})`}>
+                              <span
+                                className={`${styles.pinToggle} ${styles.noPrint}`}
+                                onClick={(event) => {
+                                  event.stopPropagation();
+                                  togglePinnedColumn(columnName);
+                                }}
+                              >
+                                {isPinned ? <BsPinAngleFill /> : <BsPinAngle />}
+                              </span>
+                            </Tooltip>
+                          )}
+                        </div>
+                      </TableCellHead>
+                    );
+                  })}
                 </TableRowHead>
               </TableHead>
               <TableBody>
                 {filteredAnalyticsData.slice(1).map((row, rowIndex) => (
                   <TableRow key={rowIndex}>
                     {row.map((cell, cellIndex) => (
-                      <TableCell key={cellIndex}>
+                      <TableCell key={cellIndex} className={getPinnedClassName(cellIndex)}>
                         {typeof cell === 'object' && cell.type === 'action' ? (
                           <a
                             href={generateAppLink(cell)}
@@ -877,7 +1320,7 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
                             </Button>
                           </a>
                         ) : (
-                          cell !== null ? cell : ''
+                          renderCellValue(cell, cellIndex, rowIndex)
                         )}
                       </TableCell>
                     ))}
@@ -890,9 +1333,9 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
 
         {/* Server-side Pagination - Using API pager metadata */}
         {filteredAnalyticsData && filteredAnalyticsData.length > 1 && (
-          <div className={styles.paginationContainer}>
+          <div className={`${styles.paginationContainer} ${styles.noPrint}`}>
             <Pagination
-              page={pager.page}
+              page={pager.page || page}
               pageSize={parseInt(pageSize, 10)}
               pageCount={pager.pageCount || 1}
               onPageChange={handlePageChange}
@@ -913,6 +1356,8 @@ const EventReportViewer = ({ dashboardId, isEmbedded = false }) => {
           </div>
         )}
       </div>
+      {exportDialog}
+      {printView}
     </Card>
   );
 };
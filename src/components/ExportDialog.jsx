@@ -0,0 +1,181 @@
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  Modal,
+  ModalTitle,
+  ModalContent,
+  ModalActions,
+  ButtonStrip,
+  Button,
+  Radio,
+  FieldSet,
+  Legend,
+  Box,
+  LinearLoader,
+  NoticeBox
+} from '@dhis2/ui';
+
+import { classifyAnalyticsError } from '../utils/analyticsErrors';
+
+/**
+ * Export scopes: the rows on screen, or every record matching the report and filters
+ */
+export const EXPORT_SCOPES = {
+  CURRENT_VIEW: 'current',
+  ALL_RECORDS: 'all'
+};
+
+/**
+ * Format id of the print / PDF layout, offered next to the file formats of utils/exporters
+ */
+export const PRINT_FORMAT = 'print';
+
+/**
+ * Page orientations offered when printing or saving as PDF
+ */
+export const PRINT_ORIENTATIONS = {
+  PORTRAIT: 'portrait',
+  LANDSCAPE: 'landscape'
+};
+
+/**
+ * ExportDialog Component
+ * Lets the user choose what to export (current view or all matching records) in the
+ * format picked in the toolbar, and shows progress while all pages are fetched
+ * @param {Object} props - Component props
+ * @param {string} props.format - Exporter id or PRINT_FORMAT
+ * @param {string} props.formatLabel - Name of the format shown in the title
+ * @param {function} props.onClose - Callback to close the dialog
+ * @param {function} props.onExport - Runs the export: ({ scope, format, orientation }, { onProgress, signal }) => Promise
+ * @param {boolean} props.allowAllRecords - Whether "all matching records" can be chosen
+ * @param {number} props.currentRowCount - Number of rows in the current view
+ * @param {number} props.totalRowCount - Number of records matching the report and filters
+ */
+const ExportDialog = ({ format, formatLabel, onClose, onExport, allowAllRecords = true, currentRowCount = 0, totalRowCount = 0 }) => {
+  const [scope, setScope] = useState(EXPORT_SCOPES.CURRENT_VIEW);
+  const [orientation, setOrientation] = useState(PRINT_ORIENTATIONS.LANDSCAPE);
+  const [isExporting, setIsExporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [exportError, setExportError] = useState(null);
+
+  // Cancels fetching the remaining pages when the dialog is cancelled or closed
+  const abortControllerRef = useRef(null);
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  const handleExport = async () => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    setIsExporting(true);
+    setExportError(null);
+    setProgress(null);
+
+    try {
+      await onExport({ scope, format, orientation }, { onProgress: setProgress, signal: controller.signal });
+      if (!controller.signal.aborted) {
+        onClose();
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error('Export failed:', error);
+        setExportError(classifyAnalyticsError(error));
+      }
+    } finally {
+      if (!controller.signal.aborted) {
+        setIsExporting(false);
+      }
+    }
+  };
+
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+    onClose();
+  };
+
+  const progressPercent = progress && progress.total > 0
+    ? Math.min(100, Math.round((progress.loaded / progress.total) * 100))
+    : 0;
+
+  return (
+    <Modal onClose={handleCancel} small>
+      <ModalTitle>
+        {format === PRINT_FORMAT ? 'Print Event Report' : `Export Event Report as ${formatLabel || format}`}
+      </ModalTitle>
+      <ModalContent>
+        <FieldSet>
+          <Legend>Records</Legend>
+          <Radio
+            name="exportScope"
+            value={EXPORT_SCOPES.CURRENT_VIEW}
+            label={`Current view (${currentRowCount.toLocaleString()} rows)`}
+            checked={scope === EXPORT_SCOPES.CURRENT_VIEW}
+            onChange={() => setScope(EXPORT_SCOPES.CURRENT_VIEW)}
+            disabled={isExporting}
+          />
+          <Radio
+            name="exportScope"
+            value={EXPORT_SCOPES.ALL_RECORDS}
+            label={`All matching records (${totalRowCount.toLocaleString()} rows, fetches every page)`}
+            checked={scope === EXPORT_SCOPES.ALL_RECORDS}
+            onChange={() => setScope(EXPORT_SCOPES.ALL_RECORDS)}
+            disabled={isExporting || !allowAllRecords}
+          />
+        </FieldSet>
+
+        {format === PRINT_FORMAT && (
+          <Box marginTop="16px">
+            <FieldSet>
+              <Legend>Page orientation</Legend>
+              <Radio
+                name="printOrientation"
+                value={PRINT_ORIENTATIONS.LANDSCAPE}
+                label="Landscape"
+                checked={orientation === PRINT_ORIENTATIONS.LANDSCAPE}
+                onChange={() => setOrientation(PRINT_ORIENTATIONS.LANDSCAPE)}
+                disabled={isExporting}
+              />
+              <Radio
+                name="printOrientation"
+                value={PRINT_ORIENTATIONS.PORTRAIT}
+                label="Portrait"
+                checked={orientation === PRINT_ORIENTATIONS.PORTRAIT}
+                onChange={() => setOrientation(PRINT_ORIENTATIONS.PORTRAIT)}
+                disabled={isExporting}
+              />
+            </FieldSet>
+          </Box>
+        )}
+
+        <Box marginTop="16px">
+          <p>Only visible columns are exported, in the order shown, with the current search, filters and sort.</p>
+        </Box>
+
+        {isExporting && progress && (
+          <Box marginTop="16px">
+            <LinearLoader amount={progressPercent} />
+            <p>{`Fetched ${progress.loaded.toLocaleString()} of ${progress.total.toLocaleString()} records`}</p>
+          </Box>
+        )}
+
+        {exportError && (
+          <Box marginTop="16px">
+            <NoticeBox error title={exportError.title}>
+              {exportError.serverMessage || exportError.message}
+            </NoticeBox>
+          </Box>
+        )}
+      </ModalContent>
+      <ModalActions>
+        <ButtonStrip end>
+          <Button secondary onClick={handleCancel}>
+            Cancel
+          </Button>
+          <Button primary onClick={handleExport} loading={isExporting} disabled={isExporting}>
+            {format === PRINT_FORMAT ? 'Print' : 'Export'}
+          </Button>
+        </ButtonStrip>
+      </ModalActions>
+    </Modal>
+  );
+};
+
+export default ExportDialog;
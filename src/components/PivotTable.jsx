@@ -0,0 +1,136 @@
+import React from 'react';
+import {
+  Table,
+  TableHead,
+  TableRowHead,
+  TableCellHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableFoot
+} from '@dhis2/ui';
+
+import styles from '../EventReportViewer.module.css';
+import { TOTAL_LABEL } from '../utils/pivotUtils';
+
+/**
+ * Format a pivot table value for display
+ * @param {number|null} value - Cell value, null when there is no data
+ * @returns {string} Formatted value
+ */
+const formatValue = (value) => (value === null || value === undefined ? '' : value.toLocaleString());
+
+/**
+ * Group the labels of one column header level into spanning cells
+ * Consecutive columns sharing all labels up to this level are merged
+ * @param {Array} columns - Pivot columns with labels
+ * @param {number} level - Column dimension index
+ * @returns {Array} [{ label, span }]
+ */
+const getHeaderCells = (columns, level) => {
+  const cells = [];
+  columns.forEach(column => {
+    const prefix = column.labels.slice(0, level + 1).join('\u0000');
+    const previous = cells[cells.length - 1];
+    if (previous && previous.prefix === prefix) {
+      previous.span += 1;
+    } else {
+      cells.push({ prefix, label: column.labels[level], span: 1 });
+    }
+  });
+  return cells;
+};
+
+/**
+ * PivotTable Component
+ * Renders an aggregated event report (see buildPivotTable) with row and column totals
+ * @param {Object} props - Component props
+ * @param {Object} props.pivot - Pivot table built by buildPivotTable
+ */
+const PivotTable = ({ pivot }) => {
+  if (!pivot) return null;
+
+  const rowHeaderCount = Math.max(pivot.rowDimensions.length, 1);
+  const headerLevels = Math.max(pivot.columnDimensions.length, 1);
+
+  return (
+    <div className={styles.tableContainer}>
+      <Table>
+        <TableHead>
+          {Array.from({ length: headerLevels }, (_, level) => {
+            const isLastLevel = level === headerLevels - 1;
+            return (
+              <TableRowHead key={level}>
+                {isLastLevel ? (
+                  pivot.rowDimensions.length > 0 ? (
+                    pivot.rowDimensions.map(dimension => (
+                      <TableCellHead key={dimension.id}>{dimension.label}</TableCellHead>
+                    ))
+                  ) : (
+                    <TableCellHead />
+                  )
+                ) : (
+                  <TableCellHead colSpan={String(rowHeaderCount)}>
+                    {pivot.columnDimensions[level]?.label}
+                  </TableCellHead>
+                )}
+
+                {pivot.columnDimensions.length > 0 ? (
+                  getHeaderCells(pivot.columns, level).map((cell, index) => (
+                    <TableCellHead key={index} colSpan={String(cell.span)}>
+                      {cell.label}
+                    </TableCellHead>
+                  ))
+                ) : (
+                  <TableCellHead>Value</TableCellHead>
+                )}
+
+                {level === 0 && (
+                  <TableCellHead rowSpan={String(headerLevels)} className={styles.pivotTotal}>
+                    {TOTAL_LABEL}
+                  </TableCellHead>
+                )}
+              </TableRowHead>
+            );
+          })}
+        </TableHead>
+        <TableBody>
+          {pivot.rows.map(row => (
+            <TableRow key={row.key}>
+              {row.labels.length > 0 ? (
+                row.labels.map((label, index) => (
+                  <TableCell key={index} className={styles.pivotRowHeader}>{label}</TableCell>
+                ))
+              ) : (
+                <TableCell className={styles.pivotRowHeader} />
+              )}
+              {row.values.map((value, index) => (
+                <TableCell key={index} className={styles.pivotValue}>{formatValue(value)}</TableCell>
+              ))}
+              <TableCell className={`${styles.pivotValue} ${styles.pivotTotal}`}>
+                {formatValue(row.total)}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+        <TableFoot>
+          <TableRow>
+            <TableCell colSpan={String(rowHeaderCount)} className={styles.pivotTotal}>
+              {TOTAL_LABEL}
+            </TableCell>
+            {pivot.columnTotals.map((total, index) => (
+              <TableCell key={index} className={`${styles.pivotValue} ${styles.pivotTotal}`}>
+                {formatValue(total)}
+              </TableCell>
+            ))}
+            <TableCell className={`${styles.pivotValue} ${styles.pivotTotal}`}>
+              {formatValue(pivot.grandTotal)}
+            </TableCell>
+          </TableRow>
+        </TableFoot>
+      </Table>
+    </div>
+  );
+};
+
+export default PivotTable;
@@ -0,0 +1,93 @@
+import React, { useEffect } from 'react';
+
+import styles from '../EventReportViewer.module.css';
+import { getContrastTextColor } from '../utils/conditionalFormatting';
+
+/**
+ * Format a cell value for the printed table
+ * @param {*} value - Cell value
+ * @returns {string} Printable text
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return '';
+  return String(value);
+};
+
+/**
+ * PrintView Component
+ * Print-only layout of an event report: a title block followed by a plain table whose
+ * header row is repeated on every printed page. Hidden on screen; opens the browser
+ * print dialog (which can also save as PDF) once rendered.
+ * @param {Object} props - Component props
+ * @param {string} props.title - Report name
+ * @param {Array} props.reportInfo - [label, value] pairs shown under the title
+ * @param {Array} props.rows - Rows to print, header row first
+ * @param {string} props.orientation - Page orientation (portrait or landscape)
+ * @param {Array} props.cellColors - Conditional formatting colour by data row and column
+ * @param {function} props.onDone - Called when the print dialog closes
+ */
+const PrintView = ({ title, reportInfo = [], rows = [], orientation = 'landscape', cellColors = [], onDone }) => {
+  useEffect(() => {
+    const handleAfterPrint = () => onDone?.();
+    window.addEventListener('afterprint', handleAfterPrint);
+
+    // Print after the layout is in the document
+    const timer = setTimeout(() => window.print(), 0);
+
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener('afterprint', handleAfterPrint);
+    };
+  }, [onDone]);
+
+  const [headers = [], ...bodyRows] = rows;
+
+  return (
+    <div className={styles.printView}>
+      {/* Page size and orientation only apply while this view is mounted */}
+      <style>{`@page { size: A4 ${orientation}; margin: 12mm; }`}</style>
+
+      <div className={styles.printTitleBlock}>
+        <h1 className={styles.printTitle}>{title}</h1>
+        <dl className={styles.printInfo}>
+          {reportInfo.map(([label, value]) => (
+            <React.Fragment key={label}>
+              <dt>{label}</dt>
+              <dd>{value}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      </div>
+
+      <table className={styles.printTable}>
+        <thead>
+          <tr>
+            {headers.map((header, index) => (
+              <th key={index}>{formatCell(header)}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {bodyRows.map((row, rowIndex) => (
+            <tr key={rowIndex}>
+              {row.map((cell, cellIndex) => {
+                const color = cellColors[rowIndex]?.[cellIndex];
+                return (
+                  <td
+                    key={cellIndex}
+                    style={color ? { backgroundColor: color, color: getContrastTextColor(color) } : undefined}
+                  >
+                    {formatCell(cell)}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default PrintView;
@@ -22,16 +22,35 @@ import {
 import { useConfig } from '@dhis2/app-runtime';
 // Import components and hooks
 import ConfigManager from './ConfigManager';
+import ConfigurationHistory from './ConfigurationHistory';
 import { useAuthorization } from '../hooks/useAuthorization';
 import { useDashboards } from '../hooks/useDashboards';
 import { useEventReports } from '../hooks/useEventReports';
 import { useDataStore } from '../hooks/useDataStore';
+import { getItemConfigurations } from '../utils/widgetConfiguration';
+
+/**
+ * Prefix of the configuration target values selecting a single widget instance
+ */
+const WIDGET_TARGET_PREFIX = 'widget:';
 
 /**
  * UnifiedConfigManager Component
  * Provides a unified interface for all configuration needs
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is shown
+ * @param {function} props.onClose - Callback to close the modal
+ * @param {string} props.dashboardId - Dashboard to configure initially
+ * @param {string} props.itemId - Widget instance (dashboard item) to configure initially, if any
+ * @param {boolean} props.isEmbedded - Whether the app is shown on a dashboard
  */
-const UnifiedConfigManager = ({ isOpen, onClose, dashboardId: initialDashboardId, isEmbedded = false }) => {
+const UnifiedConfigManager = ({
+  isOpen,
+  onClose,
+  dashboardId: initialDashboardId,
+  itemId: initialItemId = null,
+  isEmbedded = false
+}) => {
   // Use hooks
   const { hasConfigAccess, isSuperUser } = useAuthorization();
   const { dashboards, loading: dashboardsLoading } = useDashboards();
@@ -46,9 +65,17 @@ const UnifiedConfigManager = ({ isOpen, onClose, dashboardId: initialDashboardId
   // State for active tab and selected dashboard
   const [activeTab, setActiveTab] = useState('report');
   const [selectedDashboardId, setSelectedDashboardId] = useState(initialDashboardId || 'default');
+  const [selectedItemId, setSelectedItemId] = useState(initialItemId);
   const [mappings, setMappings] = useState([]);
   const [deleteInProgress, setDeleteInProgress] = useState(false);
   const { baseUrl } = useConfig();
+
+  // Follow the dashboard and widget instance once the app has detected them
+  useEffect(() => {
+    setSelectedDashboardId(initialDashboardId || 'default');
+    setSelectedItemId(initialItemId);
+  }, [initialDashboardId, initialItemId]);
+
   // Handle tab change
   const handleTabChange = (tabId) => {
     setActiveTab(tabId);
@@ -56,11 +83,24 @@ const UnifiedConfigManager = ({ isOpen, onClose, dashboardId: initialDashboardId
 
   // Handle dashboard change
   const handleDashboardChange = ({ selected }) => {
-    if (selected !== '_divider') {
+    if (selected === '_divider') return;
+
+    if (selected.startsWith(WIDGET_TARGET_PREFIX)) {
+      const itemId = selected.slice(WIDGET_TARGET_PREFIX.length);
+      if (itemId === initialItemId) {
+        setSelectedDashboardId(initialDashboardId || 'default');
+      }
+      setSelectedItemId(itemId);
+    } else {
       setSelectedDashboardId(selected);
+      setSelectedItemId(null);
     }
   };
 
+  // Widget instances offered as configuration targets: the one the app is shown in,
+  // and the one picked in the mapping table
+  const widgetTargets = [...new Set([initialItemId, selectedItemId].filter(Boolean))];
+
   // Return to dashboard or close modal
   const handleReturnToDashboard = () => {
     // Get the current dashboard ID from the URL if available    
@@ -78,24 +118,42 @@ const UnifiedConfigManager = ({ isOpen, onClose, dashboardId: initialDashboardId
 
       const mappingInfo = [];
 
+      // Find report name (or use fallback if not found)
+      const getReportName = (reportId) => {
+        const report = eventReports.find(r => r.id === reportId) || { name: reportId };
+        return report.name || report.displayName || 'Unknown Report';
+      };
+
       // Create an array of mapping objects for display
       Object.entries(configs).forEach(([dashId, config]) => {
-        if (dashId && config.eventReportId) {
-          // Find dashboard info (or use fallback if not found)
-          const dashboard = dashboards.find(d => d.id === dashId) ||
-            { displayName: dashId === 'default' ? 'Default' : `Dashboard ${dashId}` };
+        if (!dashId) return;
 
-          // Find report info (or use fallback if not found)
-          const report = eventReports.find(r => r.id === config.eventReportId) ||
-            { name: config.eventReportId };
+        // Find dashboard info (or use fallback if not found)
+        const dashboard = dashboards.find(d => d.id === dashId) ||
+          { displayName: dashId === 'default' ? 'Default' : `Dashboard ${dashId}` };
 
+        if (config.eventReportId) {
           mappingInfo.push({
             dashboardId: dashId,
+            itemId: null,
             dashboardName: dashboard.displayName,
             reportId: config.eventReportId,
-            reportName: report.name || report.displayName || 'Unknown Report'
+            reportName: getReportName(config.eventReportId)
           });
         }
+
+        // Widget instances with a report of their own
+        Object.entries(getItemConfigurations(config)).forEach(([itemId, itemConfig]) => {
+          if (itemConfig.eventReportId) {
+            mappingInfo.push({
+              dashboardId: dashId,
+              itemId,
+              dashboardName: `${dashboard.displayName} (widget ${itemId})`,
+              reportId: itemConfig.eventReportId,
+              reportName: getReportName(itemConfig.eventReportId)
+            });
+          }
+        });
       });
 
       console.log('Mapping info:', mappingInfo);
@@ -103,15 +161,18 @@ const UnifiedConfigManager = ({ isOpen, onClose, dashboardId: initialDashboardId
     }
   }, [activeTab, getAllDashboardConfigurations, dashboards, eventReports]);
 
-  // Handle deleting a dashboard configuration
-  const handleDeleteConfiguration = async (dashboardId) => {
-    if (window.confirm(`Are you sure you want to remove the configuration for dashboard "${dashboardId}"?`)) {
+  // Handle deleting a dashboard (or widget instance) configuration
+  const handleDeleteConfiguration = async (dashboardId, itemId = null) => {
+    const target = itemId ? `widget "${itemId}"` : `dashboard "${dashboardId}"`;
+    if (window.confirm(`Are you sure you want to remove the configuration for ${target}?`)) {
       try {
         setDeleteInProgress(true);
-        await deleteDashboardConfiguration(dashboardId);
+        await deleteDashboardConfiguration(dashboardId, itemId);
 
-        // Update mappings
-        setMappings(prev => prev.filter(m => m.dashboardId !== dashboardId));
+        // Update mappings, removing a dashboard removes its widget instances too
+        setMappings(prev => prev.filter(m =>
+          m.dashboardId !== dashboardId || (itemId && m.itemId !== itemId)
+        ));
       } catch (error) {
         console.error('Error deleting configuration:', error);
       } finally {
@@ -152,8 +213,17 @@ const UnifiedConfigManager = ({ isOpen, onClose, dashboardId: initialDashboardId
             label="Configuration Target"
             loading={dashboardsLoading}
             onChange={handleDashboardChange}
-            selected={selectedDashboardId || ''}
+            selected={selectedItemId ? `${WIDGET_TARGET_PREFIX}${selectedItemId}` : selectedDashboardId || ''}
           >
+            {/* Single widget instances */}
+            {widgetTargets.map(itemId => (
+              <SingleSelectOption
+                key={itemId}
+                value={`${WIDGET_TARGET_PREFIX}${itemId}`}
+                label={itemId === initialItemId ? 'This widget only' : `Widget ${itemId} only`}
+              />
+            ))}
+
             {/* Default option */}
             <SingleSelectOption
               value="default"
@@ -179,7 +249,16 @@ const UnifiedConfigManager = ({ isOpen, onClose, dashboardId: initialDashboardId
             ))}
           </SingleSelectField>
 
-          {selectedDashboardId === 'default' && (
+          {selectedItemId && (
+            <Box margin="8px 0">
+              <NoticeBox title="Widget Configuration" warning={false}>
+                You are configuring a single widget. Settings saved here apply to this widget only,
+                other widgets on the dashboard keep using the dashboard configuration.
+              </NoticeBox>
+            </Box>
+          )}
+
+          {selectedDashboardId === 'default' && !selectedItemId && (
             <Box margin="8px 0">
               <NoticeBox title="Default Configuration" warning={false}>
                 You are configuring the default settings. These will be used when the widget is accessed outside of a dashboard context.
@@ -204,18 +283,35 @@ const UnifiedConfigManager = ({ isOpen, onClose, dashboardId: initialDashboardId
           >
             Dashboard Mapping
           </Tab>
+          <Tab
+            key="history"
+            selected={activeTab === 'history'}
+            onClick={() => handleTabChange('history')}
+          >
+            History
+          </Tab>
         </TabBar>
 
         <Box padding="16px">
           {/* Report Configuration */}
           {activeTab === 'report' && (
             <ConfigManager
+              key={`${selectedDashboardId}/${selectedItemId || ''}`}
               dashboardId={selectedDashboardId}
+              itemId={selectedItemId}
               embedded={isEmbedded}
               onClose={onClose}
             />
           )}
 
+          {/* Change history of the configuration target */}
+          {activeTab === 'history' && (
+            <ConfigurationHistory
+              dashboardId={selectedDashboardId}
+              itemId={selectedItemId}
+            />
+          )}
+
           {/* Dashboard Mapping */}
           {activeTab === 'mapping' && (
             <Box>
@@ -246,17 +342,18 @@ const UnifiedConfigManager = ({ isOpen, onClose, dashboardId: initialDashboardId
                             small
                             onClick={() => {
                               setSelectedDashboardId(mapping.dashboardId);
+                              setSelectedItemId(mapping.itemId);
                               setActiveTab('report');
                             }}
                           >
                             Edit
                           </Button>
 
-                          {mapping.dashboardId !== 'default' && (
+                          {(mapping.dashboardId !== 'default' || mapping.itemId) && (
                             <Button
                               small
                               destructive
-                              onClick={() => handleDeleteConfiguration(mapping.dashboardId)}
+                              onClick={() => handleDeleteConfiguration(mapping.dashboardId, mapping.itemId)}
                               loading={deleteInProgress}
                               disabled={deleteInProgress}
                               style={{ marginLeft: '8px' }}
@@ -280,6 +377,7 @@ const UnifiedConfigManager = ({ isOpen, onClose, dashboardId: initialDashboardId
                   <Button
                     onClick={() => {
                       setSelectedDashboardId('default');
+                      setSelectedItemId(null);
                       setActiveTab('report');
                     }}
                   >
@@ -0,0 +1,139 @@
+import React from 'react';
+import { Button, InputField, SingleSelectField, SingleSelectOption } from '@dhis2/ui';
+import { FiFilter, FiRefreshCw, FiSettings } from 'react-icons/fi';
+
+import styles from '../EventReportViewer.module.css';
+
+/**
+ * ViewerToolbar Component
+ * Title block and toolbar of the event report viewer, shared by the line list, pivot
+ * table, no data and error views. Each control is shown only when its handler is given.
+ * @param {Object} props - Component props
+ * @param {string} props.title - Report name, no title block without it
+ * @param {string} props.subtitle - Kind of data shown, e.g. "Event Data"
+ * @param {React.ReactNode} props.notice - Shown between the title and the toolbar
+ * @param {React.ReactNode} props.summary - Text shown in place of the search field
+ * @param {string} props.searchTerm - Search box text
+ * @param {Function} props.onSearchChange - Called with the new search text
+ * @param {string} props.searchColumn - Column searched
+ * @param {Array} props.searchColumnOptions - Searchable columns ({ value, label })
+ * @param {Function} props.onSearchColumnChange - Called with the selected column
+ * @param {boolean} props.showFilters - Whether the column filters are shown
+ * @param {Function} props.onToggleFilters - Shows or hides the column filters
+ * @param {Function} props.onClearQueryOptions - Clears the search, filters and sort
+ * @param {React.ReactNode} props.exportControls - Export format chooser and button
+ * @param {Function} props.onRefresh - Fetches the data again
+ * @param {boolean} props.isRefreshing - Whether a refresh is running
+ * @param {Function} props.onToggleColumns - Shows or hides the column selector
+ */
+const ViewerToolbar = ({
+  title,
+  subtitle,
+  notice,
+  summary,
+  searchTerm = '',
+  onSearchChange,
+  searchColumn,
+  searchColumnOptions = [],
+  onSearchColumnChange,
+  showFilters = false,
+  onToggleFilters,
+  onClearQueryOptions,
+  exportControls,
+  onRefresh,
+  isRefreshing = false,
+  onToggleColumns
+}) => (
+  <>
+    {/* Event Report Title */}
+    {title && (
+      <h2 className={styles.header}>
+        {title}
+        {subtitle && (
+          <span style={{ fontSize: '0.8em', fontWeight: 'normal', marginLeft: '8px', color: '#666' }}>
+            ({subtitle})
+          </span>
+        )}
+      </h2>
+    )}
+
+    {notice}
+
+    {/* Control Section */}
+    <div className={`${styles.controlsRow} ${styles.noPrint}`}>
+      {summary && (
+        <div className={styles.resultsSummary}>
+          {summary}
+        </div>
+      )}
+
+      {onSearchChange && (
+        <div className={styles.searchField}>
+          <InputField
+            placeholder="Search..."
+            value={searchTerm}
+            onChange={({ value }) => onSearchChange(value)}
+            dense
+          />
+        </div>
+      )}
+
+      {onSearchColumnChange && (
+        <div className={styles.searchColumnField}>
+          <SingleSelectField
+            dense
+            selected={searchColumn}
+            onChange={({ selected }) => onSearchColumnChange(selected)}
+          >
+            {searchColumnOptions.map(option => (
+              <SingleSelectOption key={option.value} value={option.value} label={option.label} />
+            ))}
+          </SingleSelectField>
+        </div>
+      )}
+
+      <div className={styles.buttonGroup}>
+        {onToggleFilters && (
+          <Button
+            onClick={onToggleFilters}
+            small
+            icon={<FiFilter />}
+          >
+            {showFilters ? 'Hide Filters' : 'Show Filters'}
+          </Button>
+        )}
+
+        {onClearQueryOptions && (
+          <Button small icon={<FiFilter />} onClick={onClearQueryOptions}>
+            Clear Search, Filters and Sort
+          </Button>
+        )}
+
+        {exportControls}
+
+        {onRefresh && (
+          <Button
+            onClick={onRefresh}
+            small
+            loading={isRefreshing}
+            icon={<FiRefreshCw />}
+          >
+            Refresh
+          </Button>
+        )}
+
+        {onToggleColumns && (
+          <Button
+            small
+            icon={<FiSettings />}
+            onClick={onToggleColumns}
+          >
+            Columns
+          </Button>
+        )}
+      </div>
+    </div>
+  </>
+);
+
+export default ViewerToolbar;
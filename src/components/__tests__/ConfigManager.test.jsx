@@ -8,6 +8,10 @@ import ConfigManager from '../ConfigManager';
 jest.mock('../../hooks/useDataStore', () => ({
   useDataStore: () => ({
     getDashboardConfiguration: () => null,
+    getWidgetConfiguration: () => null,
+    getStoredConfiguration: () => undefined,
+    getConfigurationRevision: () => null,
+    refreshConfigurations: jest.fn(),
     saveConfiguration: jest.fn(),
     saveGlobalConfiguration: jest.fn()
   })
@@ -24,7 +28,32 @@ jest.mock('../../hooks/useEventReports', () => ({
     eventReports: [],
     loading: false,
     error: null,
-    getEventReportDetails: () => null
+    getEventReportDetails: () => null,
+    getAnalyticsParams: () => null
+  })
+}));
+
+jest.mock('../../hooks/useReportColumns', () => ({
+  useReportColumns: () => ({
+    columns: [],
+    loading: false,
+    error: null
+  })
+}));
+
+jest.mock('../../hooks/useUserGroups', () => ({
+  useUserGroups: () => ({
+    userGroups: [],
+    loading: false,
+    error: null
+  })
+}));
+
+jest.mock('../../hooks/useLegendSets', () => ({
+  useLegendSets: () => ({
+    legendSets: [],
+    loading: false,
+    error: null
   })
 }));
 
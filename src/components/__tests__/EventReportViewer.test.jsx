@@ -7,7 +7,9 @@ import EventReportViewer from '../EventReportViewer';
 // Mock all dependencies as empty functions to avoid errors
 jest.mock('../../hooks/useDataStore', () => ({
   useDataStore: () => ({
-    getDashboardConfiguration: () => null
+    getDashboardConfiguration: () => null,
+    getWidgetConfiguration: () => null,
+    saveConfiguration: jest.fn()
   })
 }));
 
@@ -34,6 +36,14 @@ jest.mock('../../hooks/useAuthorization', () => ({
   })
 }));
 
+jest.mock('../../hooks/useLegendSets', () => ({
+  useLegendSets: () => ({
+    legendSets: [],
+    loading: false,
+    error: null
+  })
+}));
+
 jest.mock('@dhis2/app-runtime', () => ({
   useConfig: () => ({
     baseUrl: 'https://test.dhis2.org'
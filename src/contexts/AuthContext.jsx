@@ -1,5 +1,6 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
 import { useDataQuery } from '@dhis2/app-runtime';
+import { isDemoModeBuild } from '../utils/mockData';
 
 /**
  * Create the authentication context
@@ -42,8 +43,10 @@ export const AuthProvider = ({ children }) => {
   const { data, loading, error } = useDataQuery(USER_QUERY, {
     onError: (error) => {
       console.error('Error fetching user data:', error);
-      // Create mock user for testing if needed
-      createMockUser();
+      // Only fall back to a mock user in a demo build, never in production
+      if (isDemoModeBuild()) {
+        createMockUser();
+      }
     }
   });
 
@@ -1,11 +1,13 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
-import { useDataMutation } from '@dhis2/app-runtime';
+import React, { createContext, useState, useContext, useEffect, useSyncExternalStore } from 'react';
+import { useDataEngine } from '@dhis2/app-runtime';
 import { useAuth } from './AuthContext';
+import { createConfigurationStore } from '../utils/configurationStore';
 
 /**
  * Configuration Context for managing app configurations
  */
 const ConfigurationContext = createContext({
+  store: null,
   globalConfiguration: {},
   dashboardConfigurations: {},
   setGlobalConfig: () => {},
@@ -15,107 +17,38 @@ const ConfigurationContext = createContext({
   canModifyConfiguration: () => false
 });
 
-// Define namespaces for data store
-const NAMESPACE = 'EVENT_REPORT_WIDGET';
-const GLOBAL_CONFIG_KEY = 'globalConfiguration';
-const DASHBOARD_CONFIGS_KEY = 'dashboardConfigurations';
-
 /**
  * ConfigurationProvider component to manage application configurations
+ * All configurations are held by one store, also used by useDataStore, so every
+ * component sees a change as soon as it is saved.
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components
  */
 export const ConfigurationProvider = ({ children }) => {
   // Use authentication context
-  const { hasConfigAccess, isSuperUser } = useAuth();
-  
-  // State for managing configurations
-  const [globalConfiguration, setGlobalConfig] = useState({
-    theme: 'default',
-    language: 'en',
-    pageSize: 10,
-    refreshInterval: 0
-  });
-  
-  const [dashboardConfigurations, setDashboardConfigs] = useState({});
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  // Define data mutations outside of any functions
-  const [readGlobalConfig] = useDataMutation({
-    resource: `dataStore/${NAMESPACE}/${GLOBAL_CONFIG_KEY}`,
-    type: 'read'
-  });
-
-  const [readDashboardConfigs] = useDataMutation({
-    resource: `dataStore/${NAMESPACE}/${DASHBOARD_CONFIGS_KEY}`,
-    type: 'read'
-  });
-
-  const [updateGlobalConfig] = useDataMutation({
-    resource: `dataStore/${NAMESPACE}/${GLOBAL_CONFIG_KEY}`,
-    type: 'update',
-    data: ({data}) => data
-  });
-
-  const [createGlobalConfig] = useDataMutation({
-    resource: `dataStore/${NAMESPACE}/${GLOBAL_CONFIG_KEY}`,
-    type: 'create',
-    data: ({data}) => data
-  });
-
-  const [updateDashboardConfigs] = useDataMutation({
-    resource: `dataStore/${NAMESPACE}/${DASHBOARD_CONFIGS_KEY}`,
-    type: 'update',
-    data: ({data}) => data
-  });
-
-  const [createDashboardConfigs] = useDataMutation({
-    resource: `dataStore/${NAMESPACE}/${DASHBOARD_CONFIGS_KEY}`,
-    type: 'create',
-    data: ({data}) => data
-  });
-
-  // Load configurations on component mount
+  const { user, hasConfigAccess, isSuperUser } = useAuth();
+
+  // Store shared by the whole app
+  const engine = useDataEngine();
+  const [store] = useState(() => createConfigurationStore(engine));
+  const {
+    configurations: dashboardConfigurations,
+    globalConfig: globalConfiguration,
+    loading: isLoading,
+    error
+  } = useSyncExternalStore(store.subscribe, store.getSnapshot);
+
+  // Load configurations on component mount, and reload them when another
+  // instance of the app (another widget on the dashboard) changes them
   useEffect(() => {
-    const loadConfigurations = async () => {
-      setIsLoading(true);
-      setError(null);
-      
-      try {
-        // Load global configuration
-        try {
-          const globalResult = await readGlobalConfig();
-          setGlobalConfig(prev => ({ ...prev, ...globalResult }));
-        } catch (globalError) {
-          console.log('Global config error:', globalError);
-          // If not found, we'll use defaults (already set in state)
-          if (globalError.httpStatusCode !== 404) {
-            console.error('Error fetching global config:', globalError);
-          }
-        }
-        
-        // Load dashboard configurations
-        try {
-          const dashboardResult = await readDashboardConfigs();
-          setDashboardConfigs(dashboardResult || {});
-        } catch (dashboardError) {
-          console.log('Dashboard config error:', dashboardError);
-          // If not found, we'll use an empty object (already set in state)
-          if (dashboardError.httpStatusCode !== 404) {
-            console.error('Error fetching dashboard configs:', dashboardError);
-          }
-        }
-      } catch (error) {
-        setError(error);
-        console.error('Error loading configurations:', error);
-      } finally {
-        setIsLoading(false);
-      }
-    };
+    store.load();
+    return store.connect();
+  }, [store]);
 
-    loadConfigurations();
-  }, [readGlobalConfig, readDashboardConfigs]);
+  // Saves are recorded in the configuration history under the current user
+  useEffect(() => {
+    store.setUser(user);
+  }, [store, user]);
 
   /**
    * Update global configuration
@@ -128,28 +61,9 @@ export const ConfigurationProvider = ({ children }) => {
     }
 
     try {
-      const updatedConfig = {
-        ...globalConfiguration,
-        ...newConfig,
-        lastModified: new Date().toISOString()
-      };
-
-      // Try update first
-      try {
-        await updateGlobalConfig({ data: updatedConfig });
-      } catch (updateError) {
-        // If update fails, try create
-        if (updateError.httpStatusCode === 404) {
-          await createGlobalConfig({ data: updatedConfig });
-        } else {
-          throw updateError;
-        }
-      }
-      
-      setGlobalConfig(updatedConfig);
+      await store.saveGlobalConfiguration(newConfig);
     } catch (error) {
       console.error('Error updating global configuration:', error);
-      setError(error);
     }
   };
 
@@ -165,40 +79,15 @@ export const ConfigurationProvider = ({ children }) => {
     }
 
     try {
-      // Get current configurations to avoid overwriting other dashboards
-      let currentConfigs = { ...dashboardConfigurations };
-      
-      const updatedConfigs = {
-        ...currentConfigs,
-        [dashboardId]: {
-          ...(currentConfigs[dashboardId] || {}),
-          ...config,
-          lastModified: new Date().toISOString()
-        }
-      };
-
-      // Try update first
-      try {
-        await updateDashboardConfigs({ data: updatedConfigs });
-      } catch (updateError) {
-        // If update fails, try create
-        if (updateError.httpStatusCode === 404) {
-          await createDashboardConfigs({ data: updatedConfigs });
-        } else {
-          throw updateError;
-        }
-      }
-      
-      setDashboardConfigs(updatedConfigs);
+      await store.saveConfiguration(dashboardId, config);
     } catch (error) {
       console.error('Error updating dashboard configuration:', error);
-      setError(error);
     }
   };
 
   /**
    * Reset configuration to default state
-   * @param {string} [type] - Type of configuration to reset
+   * @param {string} [type] - Type of configuration to reset: 'global', 'dashboards' or everything
    */
   const resetConfiguration = async (type) => {
     if (!isSuperUser) {
@@ -209,75 +98,19 @@ export const ConfigurationProvider = ({ children }) => {
     try {
       switch (type) {
         case 'global':
-          const defaultGlobalConfig = {
-            theme: 'default',
-            language: 'en',
-            pageSize: 10,
-            refreshInterval: 0
-          };
-          
-          try {
-            await updateGlobalConfig({ data: defaultGlobalConfig });
-          } catch (updateError) {
-            if (updateError.httpStatusCode === 404) {
-              await createGlobalConfig({ data: defaultGlobalConfig });
-            } else {
-              throw updateError;
-            }
-          }
-          
-          setGlobalConfig(defaultGlobalConfig);
+          await store.resetGlobalConfiguration();
           break;
-        
+
         case 'dashboards':
-          try {
-            await updateDashboardConfigs({ data: {} });
-          } catch (updateError) {
-            if (updateError.httpStatusCode === 404) {
-              await createDashboardConfigs({ data: {} });
-            } else {
-              throw updateError;
-            }
-          }
-          
-          setDashboardConfigs({});
+          await store.removeAllDashboardConfigurations();
           break;
-        
+
         default:
           // Reset everything
-          const defaultConfig = {
-            theme: 'default',
-            language: 'en',
-            pageSize: 10,
-            refreshInterval: 0
-          };
-          
-          try {
-            await updateGlobalConfig({ data: defaultConfig });
-          } catch (updateError) {
-            if (updateError.httpStatusCode === 404) {
-              await createGlobalConfig({ data: defaultConfig });
-            } else {
-              throw updateError;
-            }
-          }
-          
-          try {
-            await updateDashboardConfigs({ data: {} });
-          } catch (updateError) {
-            if (updateError.httpStatusCode === 404) {
-              await createDashboardConfigs({ data: {} });
-            } else {
-              throw updateError;
-            }
-          }
-          
-          setGlobalConfig(defaultConfig);
-          setDashboardConfigs({});
+          await store.resetAllConfigurations();
       }
     } catch (error) {
       console.error('Error resetting configuration:', error);
-      setError(error);
     }
   };
 
@@ -296,6 +129,7 @@ export const ConfigurationProvider = ({ children }) => {
 
   // Context value with configurations and methods
   const contextValue = {
+    store,
     globalConfiguration,
     dashboardConfigurations,
     isLoading,
@@ -328,4 +162,18 @@ export const useConfiguration = () => {
   }
   
   return context;
-};
\ No newline at end of file
+};
+
+/**
+ * Custom hook to use the configuration store shared by the app
+ * @returns {Object} - Configuration store, see createConfigurationStore
+ */
+export const useConfigurationStore = () => {
+  const { store } = useContext(ConfigurationContext);
+
+  if (!store) {
+    throw new Error('useConfigurationStore must be used within a ConfigurationProvider');
+  }
+
+  return store;
+};
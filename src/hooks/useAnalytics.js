@@ -1,13 +1,145 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 import { useDataEngine } from '@dhis2/app-runtime';
+import {
+  buildServerQueryOptions,
+  applyColumnFilters,
+  searchAnalyticsData,
+  sortAnalyticsData
+} from '../utils/analyticsUtils';
+import { buildPivotTable, pivotTableToRows } from '../utils/pivotUtils';
+import { DATA_TYPE_AGGREGATED } from '../utils/constants';
+import { createMockAnalyticsData } from '../utils/mockData';
+import { classifyAnalyticsError, queryWithTimeout, withRetry } from '../utils/analyticsErrors';
+import { downloadFile } from '../utils/exportUtils';
+import { getExporter } from '../utils/exporters';
+import { canExport, applyColumnMasks } from '../utils/exportPolicy';
+import { applyColumnSettings } from '../utils/formatUtils';
+import { getCellColors } from '../utils/conditionalFormatting';
+import { useDemoMode } from './useDemoMode';
+import { useAuthorization } from './useAuthorization';
+
+/**
+ * Page size used when fetching every page of a report (e.g. for export)
+ */
+const ALL_PAGES_PAGE_SIZE = 1000;
+
+/**
+ * Build the period, org unit and data item dimensions of an analytics query
+ * A custom date range replaces the period dimension (sent as startDate/endDate instead)
+ * @param {Object} params - Analytics parameters from getAnalyticsParams
+ * @returns {Object} { baseDimensions, itemDimensions, useDateRange }
+ */
+const buildDimensionParams = (params) => {
+  const useDateRange = !params.period && params.startDate && params.endDate;
+
+  const baseDimensions = [
+    ...(useDateRange ? [] : [`pe:${params.period || 'LAST_12_MONTHS'}`]),
+    `ou:${params.orgUnit || 'USER_ORGUNIT'}`
+  ];
+
+  // For API compatibility, remove any "ATTRIBUTE:" prefix from custom dimensions
+  const itemDimensions = (params.dimensions || []).map(dim =>
+    dim.replace('ATTRIBUTE:', '')
+  );
+
+  return { baseDimensions, itemDimensions, useDateRange };
+};
+
+/**
+ * Build the analytics query for one page of events or enrollments
+ * Column filters, search and sort are sent to the server where the API supports them
+ * (see buildServerQueryOptions); serverOptions says what is left for the client.
+ * @param {Object} params - Analytics parameters from getAnalyticsParams plus view options
+ * @param {string} outputType - Type of analytics (EVENT or ENROLLMENT)
+ * @param {number} page - Server page to fetch (1-based)
+ * @returns {Object} { query, serverOptions }
+ */
+const buildEventQuery = (params, outputType, page) => {
+  const { baseDimensions, itemDimensions, useDateRange } = buildDimensionParams(params);
+
+  // Push column filters, search and sort down into the query where possible
+  const serverOptions = buildServerQueryOptions({
+    dimensions: itemDimensions,
+    columnFilters: params.columnFilters,
+    search: params.search,
+    sort: params.sort
+  });
+
+  // Add custom dimensions (including data elements and attributes)
+  const dimensionParams = [...baseDimensions, ...serverOptions.dimensions];
+
+  // Build the query parameters
+  const queryParams = {
+    dimension: dimensionParams,
+    displayProperty: 'NAME',
+    totalPages: true, // Ask the server for page count and total so we can page server-side
+    outputType: outputType,
+    pageSize: params.pageSize || 100,
+    page,
+    outputIdScheme: 'NAME',  // Use NAME to get text values not codes
+    // Newest first unless the user sorted on a column the server can sort by
+    ...(serverOptions.sortParams || {
+      desc: outputType === 'ENROLLMENT' ? 'enrollmentdate' : 'eventdate'
+    })
+  };
+  
+  // Items the report uses as filters only (not shown as columns)
+  if (params.filters && params.filters.length) {
+    queryParams.filter = params.filters;
+  }
+
+  if (useDateRange) {
+    queryParams.startDate = params.startDate;
+    queryParams.endDate = params.endDate;
+  }
+
+  // Periods of a time field other than the event date (e.g. last updated)
+  if (params.timeField) {
+    queryParams.timeField = params.timeField;
+  }
+
+  // If stage is specified, add it to the params
+  if (params.programStageId) {
+    queryParams.stage = params.programStageId;
+  }
+
+  console.log('Analytics query parameters:', queryParams);
+  console.log('Output type:', outputType);
+
+  // Determine the resource path based on output type
+  const resourcePath = outputType === 'ENROLLMENT' 
+    ? `analytics/enrollments/query/${params.programId}.json`
+    : `analytics/events/query/${params.programId}.json`;
+
+  // Create the query with the exact format needed
+  const query = {
+    analytics: {
+      resource: resourcePath,
+      params: queryParams
+    }
+  };
+
+  return { query, serverOptions };
+};
 
 /**
  * Custom hook for fetching and managing analytics data
+ * @param {Object} options - Hook options
+ * @param {Object} options.exportPolicy - { exportPermissions, maskedColumns } of the widget
+ *   configuration, enforced on every export (see utils/exportPolicy)
  */
-const useAnalytics = () => {
+const useAnalytics = ({ exportPolicy } = {}) => {
   // Get the data engine for custom queries
   const engine = useDataEngine();
-  
+  const demoMode = useDemoMode();
+  const { user, getUserAuthorities } = useAuthorization();
+
+  // Whether the current user may export under the configured permissions
+  const canExportData = canExport(exportPolicy?.exportPermissions, {
+    authorities: getUserAuthorities(),
+    userGroups: user?.userGroups
+  });
+
   // State management
   const [analyticsData, setAnalyticsData] = useState(null);
   const [loading, setLoading] = useState(false);
@@ -15,13 +147,33 @@ const useAnalytics = () => {
   const [metadata, setMetadata] = useState(null);
   const [currentReportId, setCurrentReportId] = useState(null);
 
+  // Controller of the request in flight, aborted when a newer request starts
+  const abortControllerRef = useRef(null);
+
+  // Cancel the request in flight when the component using the hook unmounts
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
   /**
    * Fetch analytics data using event report parameters
+   * Column filters, search and sort are sent to the server where the API supports them
+   * (see buildServerQueryOptions); the rest is applied to the returned page only.
+   * A newer call cancels the request in flight; transient errors are retried with backoff
+   * and failures are stored as classified errors (see classifyAnalyticsError).
    * @param {Object} params - Parameters for fetching analytics 
+   * @param {Object} params.columnFilters - Column filters keyed by column name (UID)
+   * @param {Object} params.search - Search box state { term, column }
+   * @param {Object} params.sort - Sort state { column, direction }
+   * @param {string} params.dataType - AGGREGATED_VALUES loads a pivot table instead of events
    * @param {string} reportId - ID of the event report
    * @param {string} outputType - Type of analytics (EVENT or ENROLLMENT)
+   * @param {number} page - Server page to fetch (1-based), overrides params.page
    */
-  const fetchAnalytics = useCallback(async (params, reportId = null, outputType = 'EVENT') => {
+  const fetchAnalytics = useCallback(async (params, reportId = null, outputType = 'EVENT', page = null) => {
+    // Only the latest request may update the state
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
     setLoading(true);
     setError(null);
     
@@ -32,86 +184,213 @@ const useAnalytics = () => {
     
     // Make sure programId is available
     if (!params.programId) {
-      setError(new Error('Program ID is required for analytics query'));
+      setError(classifyAnalyticsError(new Error('Program ID is required for analytics query')));
       setLoading(false);
       return;
     }
 
-    try {
-      // Build dimension array for the query
-      const dimensionParams = [
-        `pe:${params.period || 'LAST_12_MONTHS'}`,
-        `ou:${params.orgUnit || 'USER_ORGUNIT'}`
-      ];
-      
-      // Add custom dimensions if provided (including data elements and attributes)
-      if (params.dimensions && params.dimensions.length) {
-        // For API compatibility, remove any "ATTRIBUTE:" prefix
-        const cleanDimensions = params.dimensions.map(dim => 
-          dim.replace('ATTRIBUTE:', '')
-        );
-        dimensionParams.push(...cleanDimensions);
-      }
+    // Query with timeout and retries, cancelled when a newer request starts
+    const runQuery = (query) => withRetry(
+      () => queryWithTimeout(engine, query, { signal: controller.signal }),
+      { signal: controller.signal }
+    );
 
-      // Build the query parameters
-      const queryParams = {
-        dimension: dimensionParams,
-        displayProperty: 'NAME',
-        totalPages: false,
-        outputType: outputType,
-        desc: outputType === 'ENROLLMENT' ? 'enrollmentdate' : 'eventdate',
-        pageSize: params.pageSize || 100,
-        page: params.page || 1,
-        outputIdScheme: 'NAME'  // Use NAME to get text values not codes
-      };
-      
-      // If stage is specified, add it to the params
-      if (params.programStageId) {
-        queryParams.stage = params.programStageId;
+    try {
+      // Aggregated reports count events per dimension item and are laid out as a pivot table
+      if (params.dataType === DATA_TYPE_AGGREGATED) {
+        await fetchAggregate(params, outputType, reportId, runQuery, controller.signal);
+        return;
       }
 
-      console.log('Analytics query parameters:', queryParams);
-      console.log('Output type:', outputType);
-
-      // Determine the resource path based on output type
-      const resourcePath = outputType === 'ENROLLMENT' 
-        ? `analytics/enrollments/query/${params.programId}.json`
-        : `analytics/events/query/${params.programId}.json`;
-
-      // Create the query with the exact format needed
-      const query = {
-        analytics: {
-          resource: resourcePath,
-          params: queryParams
-        }
-      };
+      // Push column filters, search and sort down into the query where possible
+      const { query, serverOptions } = buildEventQuery(params, outputType, page || params.page || 1);
 
       // Execute the query using data engine
-      const response = await engine.query(query);
-      
+      const response = await runQuery(query);
+      if (controller.signal.aborted) return;
+
       if (response && response.analytics) {
         const processedData = processAnalyticsResponse(response.analytics);
-        setAnalyticsData(processedData.data);
-        setMetadata(processedData.metadata);
+        const clientData = applyClientSideOptions(processedData, serverOptions);
+        setAnalyticsData(clientData);
+        setMetadata({
+          ...processedData.metadata,
+          clientSide: {
+            filters: Object.keys(serverOptions.clientFilters),
+            search: !!serverOptions.clientSearch,
+            sort: !!serverOptions.clientSort
+          }
+        });
       } else {
-        // Create mock data if no real data
-        const mockData = createMockData(outputType);
+        throw new Error('The analytics response did not contain any data');
+      }
+    } catch (error) {
+      // A newer request replaced this one; leave the state to it
+      if (controller.signal.aborted) return;
+
+      const analyticsError = classifyAnalyticsError(error);
+      console.error(`Analytics fetch error (${analyticsError.type}):`, error);
+
+      // Mock data is only shown in demo mode, never in place of a real error
+      if (demoMode) {
+        const mockData = createMockAnalyticsData(outputType, reportId);
         setAnalyticsData(mockData.data);
         setMetadata(mockData.metadata);
+      } else {
+        setError(analyticsError);
+        setAnalyticsData(null);
+        setMetadata(null);
       }
-    } catch (error) {
-      console.error('Analytics fetch error:', error);
-      setError(error);
-      
-      // Create mock data on error
-      const mockData = createMockData(outputType);
-      setAnalyticsData(mockData.data);
-      setMetadata(mockData.metadata);
     } finally {
-      setLoading(false);
+      if (abortControllerRef.current === controller) {
+        setLoading(false);
+      }
     }
+  }, [engine, demoMode]);
+
+  /**
+   * Fetch every page of analytics data matching the parameters, e.g. to export all records
+   * Does not change the data shown by the hook. Client-side filters, search and sort
+   * are applied to the combined pages, so the result matches what the user sees.
+   * @param {Object} params - Parameters for fetching analytics, including view options
+   * @param {string} outputType - Type of analytics (EVENT or ENROLLMENT)
+   * @param {Object} options - Fetch options
+   * @param {Function} options.onProgress - Called with { loaded, total } rows after every page
+   * @param {AbortSignal} options.signal - Signal cancelling the remaining pages
+   * @returns {Promise<Object>} { data: [headers, ...rows], columns }
+   */
+  const fetchAllAnalytics = useCallback(async (params, outputType = 'EVENT', { onProgress, signal } = {}) => {
+    const runQuery = (query) => withRetry(
+      () => queryWithTimeout(engine, query, { signal }),
+      { signal }
+    );
+    const allPagesParams = { ...params, pageSize: ALL_PAGES_PAGE_SIZE };
+
+    let headers = [];
+    let columns = [];
+    let rows = [];
+    let serverOptions = null;
+    let page = 1;
+    let pageCount = 1;
+
+    do {
+      const pageQuery = buildEventQuery(allPagesParams, outputType, page);
+      serverOptions = pageQuery.serverOptions;
+
+      const response = await runQuery(pageQuery.query);
+      const processedData = processAnalyticsResponse(response?.analytics);
+      const { pager } = processedData.metadata;
+
+      headers = processedData.data[0];
+      columns = processedData.metadata.columns;
+      rows = [...rows, ...processedData.data.slice(1)];
+      pageCount = pager?.pageCount || 1;
+
+      if (onProgress) {
+        onProgress({ loaded: rows.length, total: pager?.total || rows.length });
+      }
+      page += 1;
+    } while (page <= pageCount);
+
+    const data = applyClientSideOptions({ data: [headers, ...rows], metadata: { columns } }, serverOptions);
+    return { data, columns };
   }, [engine]);
 
+  /**
+   * Fetch aggregated event analytics and pivot them by the report's row and column dimensions
+   * The flattened pivot table (with totals) is stored as analyticsData so it can be exported
+   * @param {Object} params - Analytics parameters from getAnalyticsParams
+   * @param {string} outputType - Type of analytics (EVENT or ENROLLMENT)
+   * @param {string} reportId - ID of the event report
+   * @param {Function} runQuery - Runs a data engine query with timeout, retries and cancellation
+   * @param {AbortSignal} signal - Signal of the request, aborted when a newer request starts
+   */
+  const fetchAggregate = async (params, outputType, reportId, runQuery, signal) => {
+    const { baseDimensions, itemDimensions, useDateRange } = buildDimensionParams(params);
+    const queryParams = {
+      dimension: [...baseDimensions, ...itemDimensions],
+      displayProperty: 'NAME',
+      outputType: outputType
+    };
+
+    if (params.filters && params.filters.length) {
+      queryParams.filter = params.filters;
+    }
+
+    if (useDateRange) {
+      queryParams.startDate = params.startDate;
+      queryParams.endDate = params.endDate;
+    }
+
+    if (params.timeField) {
+      queryParams.timeField = params.timeField;
+    }
+
+    if (params.programStageId) {
+      queryParams.stage = params.programStageId;
+    }
+
+    const response = await runQuery({
+      analytics: {
+        resource: `analytics/events/aggregate/${params.programId}.json`,
+        params: queryParams
+      }
+    });
+    if (signal.aborted) return;
+
+    const pivot = buildPivotTable(response?.analytics, {
+      rowDimensions: params.rowDimensions,
+      columnDimensions: params.columnDimensions
+    });
+    const rows = pivotTableToRows(pivot);
+
+    setAnalyticsData(rows);
+    setMetadata({
+      dataType: DATA_TYPE_AGGREGATED,
+      pivot,
+      headers: rows[0],
+      itemCount: pivot.rows.length,
+      pager: null,
+      reportId: reportId || currentReportId
+    });
+  };
+
+  /**
+   * Apply the filters, search and sort the analytics API could not handle to the loaded page
+   * @param {Object} processedData - Output of processAnalyticsResponse
+   * @param {Object} serverOptions - Output of buildServerQueryOptions
+   * @returns {Array} Analytics data with client-side options applied
+   */
+  const applyClientSideOptions = (processedData, serverOptions) => {
+    const columns = processedData.metadata.columns || [];
+    const columnNames = columns.map(column => column.name);
+    const valueTypes = columns.map(column => column.valueType);
+    let data = processedData.data;
+
+    // Column filters are keyed by column name, applyColumnFilters expects indices
+    const filtersByIndex = {};
+    Object.entries(serverOptions.clientFilters).forEach(([columnName, expression]) => {
+      const columnIndex = columnNames.indexOf(columnName);
+      if (columnIndex >= 0) {
+        filtersByIndex[columnIndex] = expression;
+      }
+    });
+    data = applyColumnFilters(data, filtersByIndex, valueTypes);
+
+    if (serverOptions.clientSearch) {
+      data = searchAnalyticsData(data, serverOptions.clientSearch);
+    }
+
+    if (serverOptions.clientSort) {
+      const columnIndex = columnNames.indexOf(serverOptions.clientSort.column);
+      if (columnIndex >= 0) {
+        data = sortAnalyticsData(data, columnIndex, serverOptions.clientSort.direction, valueTypes[columnIndex]);
+      }
+    }
+
+    return data;
+  };
+
   /**
    * Process raw analytics response
    * @param {Object} rawResponse - Raw analytics response
@@ -119,7 +398,7 @@ const useAnalytics = () => {
    */
   const processAnalyticsResponse = (rawResponse) => {
     if (!rawResponse || !rawResponse.headers) {
-      return createMockData();
+      throw new Error('The analytics response did not contain any headers');
     }
 
     // Extract headers using the column property instead of name
@@ -128,6 +407,25 @@ const useAnalytics = () => {
     const headers = rawResponse.headers.map(header => header.column);
     const rows = rawResponse.rows || [];
 
+    // Keep the internal names (UIDs) alongside the labels: configurations, filters and
+    // sort reference columns by name, which does not change with the UI language
+    const columns = rawResponse.headers.map(header => ({
+      name: header.name,
+      column: header.column,
+      valueType: header.valueType,
+      optionSet: header.optionSet,
+      hidden: Boolean(header.hidden)
+    }));
+
+    // Keep the server pager (page, pageCount, pageSize, total) for server-side pagination
+    const rawPager = rawResponse.metaData?.pager;
+    const pager = rawPager ? {
+      page: rawPager.page || 1,
+      pageCount: rawPager.pageCount || 1,
+      pageSize: rawPager.pageSize,
+      total: rawPager.total !== undefined ? rawPager.total : rows.length
+    } : null;
+
     // Create metadata
     const metadata = {
       dimensions: rawResponse.dimensions,
@@ -136,6 +434,8 @@ const useAnalytics = () => {
       height: rawResponse.height,
       itemCount: rows.length,
       headers: headers,
+      columns,
+      pager,
       reportId: currentReportId
     };
 
@@ -146,101 +446,54 @@ const useAnalytics = () => {
   };
 
   /**
-   * Create mock data for testing
-   * @param {string} outputType - Type of output data (EVENT or ENROLLMENT)
-   * @returns {Object} - Mock analytics data
+   * Apply the export policy to data about to leave the widget (file export or print)
+   * @param {Array} data - Analytics data to export, header row first
+   * @param {Array} columns - Column metadata ({ name, valueType }) by column index
+   * @returns {Object} { data, columns } with sensitive columns masked or dropped
+   * @throws {Error} When the current user may not export
    */
-  const createMockData = (outputType = 'EVENT') => {
-    let headers;
-    
-    if (outputType === 'ENROLLMENT') {
-      headers = ['Enrollment Date', 'Organization Unit', "Patient's First Name", "Patient's Surname", 'Sex', 'Age', 'Weight'];
-    } else {
-      headers = ['Event Date', 'Organization Unit', 'Status', "Patient's First Name", "Patient's Surname", 'Sex', 'Age'];
-    }
-    
-    // Generate some dummy rows
-    const rows = [];
-    const firstNames = ['John', 'Jane', 'Michael', 'Sarah', 'David', 'Emma', 'James', 'Emily'];
-    const lastNames = ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Miller', 'Davis', 'Wilson'];
-    
-    for (let i = 1; i <= 20; i++) {
-      const date = new Date(2023, Math.floor(Math.random() * 12), Math.floor(Math.random() * 28) + 1);
-      const orgUnit = `Facility ${i % 5 + 1}`;
-      const firstName = firstNames[i % firstNames.length];
-      const lastName = lastNames[i % lastNames.length];
-      const gender = i % 2 === 0 ? 'Male' : 'Female';
-      const age = Math.floor(Math.random() * 60) + 18;
-      
-      if (outputType === 'ENROLLMENT') {
-        const weight = Math.floor(Math.random() * 50) + 50; // 50-100 kg
-        rows.push([
-          date.toISOString().split('T')[0],
-          orgUnit,
-          firstName,
-          lastName,
-          gender,
-          age,
-          weight
-        ]);
-      } else {
-        const status = ['Active', 'Completed', 'Scheduled'][i % 3];
-        rows.push([
-          date.toISOString().split('T')[0],
-          orgUnit,
-          status,
-          firstName,
-          lastName,
-          gender,
-          age
-        ]);
-      }
+  const prepareExportData = useCallback((data, columns = []) => {
+    if (!canExportData) {
+      throw new Error('You do not have permission to export this report');
     }
-
-    return {
-      data: [headers, ...rows],
-      metadata: {
-        itemCount: rows.length,
-        headers: headers,
-        reportId: currentReportId,
-        outputType: outputType
-      }
-    };
-  };
+    return applyColumnMasks(data, columns, exportPolicy?.maskedColumns);
+  }, [canExportData, exportPolicy]);
 
   /**
-   * Export analytics data to CSV
-   * @param {Array} data - Analytics data to export
-   * @param {string} filename - Filename for export
+   * Export analytics data in one of the registered formats (see utils/exporters)
+   * The export policy is applied first, whatever the caller passes in, then the
+   * conditional formatting (on the raw values) and the column labels and display formats
+   * @param {Array} data - Analytics data to export, header row first
+   * @param {string} format - Exporter id, e.g. "csv", "json" or "xlsx"
+   * @param {string} filename - Filename for export, without extension
+   * @param {Object} options - Export options passed to the exporter
+   * @param {Array} options.columns - Column metadata ({ name, valueType }) by column index
+   * @param {Array} options.reportInfo - [label, value] pairs describing the report
+   * @param {Object} options.columnSettings - Column labels and display formats by column name
+   * @param {Array} options.conditionalFormats - Conditional format rules of the configuration
+   * @param {Array} options.legendSets - Legend sets referenced by the rules
    */
-  const exportToCSV = useCallback((data, filename = 'analytics_export.csv') => {
+  const exportData = useCallback(async (data, format = 'csv', filename = 'analytics_export', options = {}) => {
     if (!data || data.length === 0) {
       console.warn('No data to export');
       return;
     }
 
-    // Convert data to CSV
-    const csvContent = data.map(row => 
-      row.map(cell => 
-        typeof cell === 'string' && cell.includes(',') 
-          ? `"${cell.replace(/"/g, '""')}"` 
-          : cell
-      ).join(',')
-    ).join('\n');
-
-    // Create and trigger download
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    
-    link.setAttribute('href', url);
-    link.setAttribute('download', filename);
-    link.style.visibility = 'hidden';
-    
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-  }, []);
+    const exporter = getExporter(format);
+    if (!exporter) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const exportable = prepareExportData(data, options.columns);
+    const cellColors = getCellColors(
+      exportable.data, exportable.columns, options.conditionalFormats, options.legendSets
+    );
+    const rows = applyColumnSettings(exportable.data, exportable.columns, options.columnSettings, {
+      formatValues: !exporter.keepsRawValues
+    });
+    const content = await exporter.build(rows, { ...options, columns: exportable.columns, cellColors });
+    downloadFile(content, `${filename}.${exporter.extension}`, exporter.mimeType);
+  }, [prepareExportData]);
 
   return {
     analyticsData,
@@ -248,8 +501,11 @@ const useAnalytics = () => {
     loading,
     error,
     fetchAnalytics,
-    exportToCSV
+    fetchAllAnalytics,
+    canExport: canExportData,
+    prepareExportData,
+    exportData
   };
 };
 
-export { useAnalytics };
\ No newline at end of file
+export { useAnalytics, buildEventQuery };
\ No newline at end of file
@@ -1,10 +1,14 @@
 import { useState, useEffect } from 'react';
 import { useDataQuery } from '@dhis2/app-runtime';
+import { useDemoMode } from './useDemoMode';
+import { createMockDashboards } from '../utils/mockData';
 
 /**
  * Custom hook for fetching and managing dashboards
  */
 export const useDashboards = () => {
+  const demoMode = useDemoMode();
+
   // State management
   const [dashboards, setDashboards] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -36,18 +40,14 @@ export const useDashboards = () => {
       setError(queryError);
       setLoading(false);
       
-      // Provide mock data for development if needed
-      if (process.env.NODE_ENV === 'development') {
-        setDashboards([
-          { id: 'dashboard1', displayName: 'COVID-19 Dashboard' },
-          { id: 'dashboard2', displayName: 'Maternal Health Dashboard' },
-          { id: 'dashboard3', displayName: 'Immunization Dashboard' }
-        ]);
+      // Mock dashboards are only shown in demo mode
+      if (demoMode) {
+        setDashboards(createMockDashboards());
       }
     } else {
       setLoading(queryLoading);
     }
-  }, [data, queryError, queryLoading]);
+  }, [data, queryError, queryLoading, demoMode]);
 
   /**
    * Get a specific dashboard by ID
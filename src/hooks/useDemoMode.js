@@ -0,0 +1,15 @@
+import { useConfiguration } from '../contexts/ConfigurationContext';
+import { isDemoMode } from '../utils/mockData';
+
+/**
+ * Custom hook telling whether demo mode is on
+ * Demo mode is enabled at build time (DHIS2_DEMO_MODE=true) or with
+ * `demoMode: true` in the global configuration; only then may mock data be shown
+ * @returns {boolean} True if demo mode is on
+ */
+const useDemoMode = () => {
+  const { globalConfiguration } = useConfiguration();
+  return isDemoMode(globalConfiguration);
+};
+
+export { useDemoMode };
@@ -1,11 +1,121 @@
 import { useState, useEffect, useCallback } from "react";
-import { useDataQuery } from "@dhis2/app-runtime";
+import { useDataEngine, useConfig } from "@dhis2/app-runtime";
+import {
+  getPeriodDimension,
+  getOrgUnitDimension,
+  getItemDimension,
+  isFilterDimension,
+  getVisualizationAnalyticsParams,
+  supportsEventVisualizations,
+  EVENT_VISUALIZATION_SOURCE,
+  EVENT_VISUALIZATION_TYPES,
+} from "../utils/eventReportUtils";
+import { DATA_TYPE_EVENTS } from "../utils/constants";
+import { createMockEventReports } from "../utils/mockData";
+import { useDemoMode } from "./useDemoMode";
+
+// Fields needed to rebuild the analytics query of an event report
+const EVENT_REPORT_FIELDS = [
+  'id', 'name', 'displayName', 'description', 'created', 'lastUpdated',
+  'program[id,displayName,programType]', 'programStage[id,displayName]',
+  'dataElementDimensions[dataElement[id,displayName],programStage[id],filter,legendSet[id]]',
+  'attributeDimensions[attribute[id,displayName],filter,legendSet[id]]',
+  'columnDimensions', 'rowDimensions', 'filterDimensions',
+  'organisationUnits[id,displayName]', 'organisationUnitLevels',
+  'itemOrganisationUnitGroups[id]', 'userOrganisationUnit',
+  'userOrganisationUnitChildren', 'userOrganisationUnitGrandChildren',
+  'relativePeriods', 'periods[id]',
+  'startDate', 'endDate', 'outputType', 'dataType'
+];
+
+// Layout fields of an event visualization dimension (columns, rows and filters)
+const VISUALIZATION_DIMENSION_FIELDS =
+  'dimension,filter,legendSet[id],programStage[id],items[id]';
+
+// Fields needed to rebuild the analytics query of an event visualization (line list)
+const EVENT_VISUALIZATION_FIELDS = [
+  'id', 'name', 'displayName', 'description', 'created', 'lastUpdated', 'type',
+  'program[id,displayName,programType]', 'programStage[id,displayName]',
+  'programDimensions[id,displayName,programType]',
+  `columns[${VISUALIZATION_DIMENSION_FIELDS}]`,
+  `rows[${VISUALIZATION_DIMENSION_FIELDS}]`,
+  `filters[${VISUALIZATION_DIMENSION_FIELDS}]`,
+  'startDate', 'endDate', 'outputType'
+];
+
+// Only line lists and pivot tables can be shown as an event report
+const EVENT_VISUALIZATION_TYPE_FILTER = `type:in:[${EVENT_VISUALIZATION_TYPES.join(',')}]`;
+
+// Number of event reports requested per page while loading all of them
+const EVENT_REPORTS_PAGE_SIZE = 100;
+
+// Maximum number of matches returned by a server-side search
+const SEARCH_PAGE_SIZE = 50;
+
+/**
+ * Merge event reports into a list, replacing existing entries with the same ID
+ * @param {Array} current - Event reports already loaded
+ * @param {Array} incoming - Event reports to add
+ * @returns {Array} Combined event reports sorted by name
+ */
+const mergeEventReports = (current, incoming) => {
+  const byId = new Map(current.map((report) => [report.id, report]));
+  incoming.forEach((report) => byId.set(report.id, report));
+  return [...byId.values()].sort((a, b) =>
+    (a.name || "").localeCompare(b.name || "")
+  );
+};
+
+/**
+ * Load every object of a metadata resource, walking all pages
+ * @param {Object} engine - DHIS2 data engine
+ * @param {string} resource - Metadata resource, e.g. eventReports
+ * @param {Object} params - Query parameters (fields, filter, order)
+ * @returns {Promise<Array>} All objects of the resource
+ */
+const queryAllPages = async (engine, resource, params) => {
+  let allItems = [];
+  let page = 1;
+  let pageCount = 1;
+
+  do {
+    const response = await engine.query({
+      items: {
+        resource,
+        params: { ...params, page, pageSize: EVENT_REPORTS_PAGE_SIZE }
+      }
+    });
+
+    allItems = [...allItems, ...(response?.items?.[resource] || [])];
+    pageCount = response?.items?.pager?.pageCount || 1;
+    page += 1;
+  } while (page <= pageCount);
+
+  return allItems;
+};
+
+/**
+ * Mark event visualizations so getAnalyticsParams maps their layout instead
+ * @param {Array} visualizations - Event visualizations from the API
+ * @returns {Array} Event visualizations tagged with their source
+ */
+const tagEventVisualizations = (visualizations) =>
+  visualizations.map((visualization) => ({
+    ...visualization,
+    source: EVENT_VISUALIZATION_SOURCE,
+  }));
 
 /**
  * Custom hook for fetching and managing Event Reports
  * Provides methods to retrieve, filter, and interact with event reports
+ * On DHIS2 2.39 and later, line lists from eventVisualizations are loaded too
  */
 const useEventReports = () => {
+  const engine = useDataEngine();
+  const { serverVersion } = useConfig();
+  const withVisualizations = supportsEventVisualizations(serverVersion);
+  const demoMode = useDemoMode();
+
   // State management
   const [eventReports, setEventReports] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -16,133 +126,111 @@ const useEventReports = () => {
     searchTerm: "",
   });
 
-  // Define static query to get all event reports with complete details
-  const eventReportsQuery = {
-    eventReports: {
-      resource: 'eventReports',
-      params: {
-        fields: [
-          'id', 'name', 'displayName', 'description', 'created', 'lastUpdated',
-          'program[id,displayName,programType]', 'programStage[id,displayName]',
-          'dataElementDimensions[dataElement[id,displayName],programStage[id]]',
-          'attributeDimensions[attribute[id,displayName]]',
-          'columnDimensions', 'rowDimensions', 'filterDimensions',
-          'organisationUnits[id,displayName]', 'relativePeriods', 'outputType'
-        ],
+  /**
+   * Load every event report, walking all pages of the eventReports endpoint
+   * (and of eventVisualizations where the server supports it)
+   */
+  const fetchEventReports = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    const [reportsResult, visualizationsResult] = await Promise.allSettled([
+      queryAllPages(engine, 'eventReports', {
+        fields: EVENT_REPORT_FIELDS,
         order: 'name:asc',
-        page: 1,
-        pageSize: 100
-      }
+      }),
+      withVisualizations
+        ? queryAllPages(engine, 'eventVisualizations', {
+          fields: EVENT_VISUALIZATION_FIELDS,
+          filter: EVENT_VISUALIZATION_TYPE_FILTER,
+          order: 'name:asc',
+        })
+        : Promise.resolve([]),
+    ]);
+
+    if (visualizationsResult.status === "rejected") {
+      console.warn("Error fetching event visualizations:", visualizationsResult.reason);
     }
-  };
 
-  // Use the query hook at the top level
-  const {
-    data,
-    loading: queryLoading,
-    error: queryError,
-    refetch,
-  } = useDataQuery(eventReportsQuery, {
-    onComplete: (data) => {
-      if (data?.eventReports?.eventReports) {
-        setEventReports(data.eventReports.eventReports);
-      } else {
-        // For demo purposes, create mock data if no real data available
+    // Event reports are also listed as event visualizations; keep the eventReports version
+    const allReports = mergeEventReports(
+      tagEventVisualizations(visualizationsResult.value || []),
+      reportsResult.value || []
+    );
+
+    if (reportsResult.status === "rejected" && !allReports.length) {
+      console.error("Error fetching event reports:", reportsResult.reason);
+      // Mock reports are only shown in demo mode, never in place of a real error
+      if (demoMode) {
         setEventReports(createMockEventReports());
+      } else {
+        setError(reportsResult.reason);
+        setEventReports([]);
       }
-      setLoading(false);
-    },
-    onError: (error) => {
-      console.error("Error fetching event reports:", error);
-      setError(error);
-      // For demo purposes, create mock data even on error
+    } else if (!allReports.length && demoMode) {
       setEventReports(createMockEventReports());
-      setLoading(false);
-    },
-  });
+    } else {
+      setEventReports(allReports);
+    }
+
+    setLoading(false);
+  }, [engine, withVisualizations, demoMode]);
+
+  // Load all event reports on mount
+  useEffect(() => {
+    fetchEventReports();
+  }, [fetchEventReports]);
 
   /**
-   * Create mock event reports for testing
-   * @returns {Array} - Mock event reports
+   * Search event reports (and line lists) by name on the server
+   * Matches are merged into eventReports so they can be selected and resolved by ID
+   * @param {string} searchTerm - Text to match against the report name
+   * @returns {Promise<Array|null>} Matching event reports, or null if the search failed
    */
-  const createMockEventReports = () => {
-    return [
-      {
-        id: "er1",
-        name: "Malaria Cases Report",
-        displayName: "Malaria Cases Report",
-        description: "Monthly report of malaria cases",
-        program: {
-          id: "p1",
-          displayName: "Malaria Program",
-          programType: "WITHOUT_REGISTRATION",
-        },
-        programStage: {
-          id: "ps1",
-          displayName: "Diagnosis Stage",
-        },
-        attributeDimensions: [
-          { attribute: { id: "attr1", displayName: "Patient Name" } },
-          { attribute: { id: "attr2", displayName: "Age" } },
-        ],
-        dataElementDimensions: [
-          {
-            dataElement: { id: "de1", displayName: "Diagnosis" },
-            programStage: { id: "ps1" },
-          },
-          {
-            dataElement: { id: "de2", displayName: "Treatment" },
-            programStage: { id: "ps1" },
-          },
-        ],
-        columnDimensions: ["pe", "ou", "attr1", "attr2", "de1", "de2"],
-        organisationUnits: [
-          { id: "orgUnit1", displayName: "District Hospital" },
-        ],
-        created: "2023-01-15T10:30:45.123",
-        lastUpdated: "2023-02-20T14:15:30.456",
-        relativePeriods: {
-          last12Months: true,
-        },
-      },
-      {
-        id: "er2",
-        name: "Immunization Coverage",
-        displayName: "Immunization Coverage",
-        description: "Quarterly immunization coverage report",
-        program: {
-          id: "p2",
-          displayName: "Immunization Program",
-          programType: "WITH_REGISTRATION",
-        },
-        programStage: {
-          id: "ps2",
-          displayName: "Vaccination Stage",
-        },
-        attributeDimensions: [
-          { attribute: { id: "attr3", displayName: "Patient ID" } },
-          { attribute: { id: "attr4", displayName: "Gender" } },
-        ],
-        dataElementDimensions: [
-          {
-            dataElement: { id: "de3", displayName: "Vaccine Type" },
-            programStage: { id: "ps2" },
-          },
-          {
-            dataElement: { id: "de4", displayName: "Dose Number" },
-            programStage: { id: "ps2" },
+  const searchEventReports = useCallback(
+    async (searchTerm) => {
+      const term = (searchTerm || "").trim();
+      if (!term) return null;
+
+      const nameFilter = `displayName:ilike:${term}`;
+
+      try {
+        const response = await engine.query({
+          eventReports: {
+            resource: 'eventReports',
+            params: {
+              fields: EVENT_REPORT_FIELDS,
+              filter: nameFilter,
+              order: 'name:asc',
+              pageSize: SEARCH_PAGE_SIZE
+            }
           },
-        ],
-        columnDimensions: ["pe", "ou", "attr3", "attr4", "de3", "de4"],
-        organisationUnits: [{ id: "orgUnit2", displayName: "City Clinic" }],
-        created: "2023-03-10T09:20:15.789",
-        lastUpdated: "2023-03-10T09:20:15.789",
-        relativePeriods: {
-          thisQuarter: true,
-        },
-      },
-    ];
-  };
+          ...(withVisualizations && {
+            eventVisualizations: {
+              resource: 'eventVisualizations',
+              params: {
+                fields: EVENT_VISUALIZATION_FIELDS,
+                filter: [EVENT_VISUALIZATION_TYPE_FILTER, nameFilter],
+                order: 'name:asc',
+                pageSize: SEARCH_PAGE_SIZE
+              }
+            }
+          })
+        });
+
+        const matches = mergeEventReports(
+          tagEventVisualizations(response?.eventVisualizations?.eventVisualizations || []),
+          response?.eventReports?.eventReports || []
+        );
+        setEventReports((prev) => mergeEventReports(prev, matches));
+        return matches;
+      } catch (error) {
+        console.error("Error searching event reports:", error);
+        return null;
+      }
+    },
+    [engine, withVisualizations]
+  );
 
   /**
    * Get event report details by ID
@@ -156,11 +244,6 @@ const useEventReports = () => {
     [eventReports]
   );
 
-  /**
-   * Extract analytics query parameters from an event report
-   * @param {string} reportId - ID of the event report
-   * @returns {Object|null} Query parameters for analytics
-   */
   /**
    * Extract analytics query parameters from an event report
    * @param {string} reportId - ID of the event report
@@ -171,37 +254,45 @@ const useEventReports = () => {
       const report = getEventReportDetails(reportId);
       if (!report) return null;
 
+      // Line lists from eventVisualizations describe their layout differently
+      if (report.source === EVENT_VISUALIZATION_SOURCE) {
+        return getVisualizationAnalyticsParams(report);
+      }
+
       // Get program and program stage
       const programId = report.program?.id;
       const programStageId = report.programStage?.id;
 
       if (!programId) return null;
 
-      // Extract organization units
-      const orgUnits = report.organisationUnits?.map((ou) => ou.id) || [];
-      const orgUnit = orgUnits.length > 0 ? orgUnits[0] : "USER_ORGUNIT";
-
-      // Determine period based on relative periods
-      let period = "LAST_12_MONTHS";
-      if (report.relativePeriods) {
-        if (report.relativePeriods.last12Months) period = "LAST_12_MONTHS";
-        else if (report.relativePeriods.last6Months) period = "LAST_6_MONTHS";
-        else if (report.relativePeriods.last3Months) period = "LAST_3_MONTHS";
-        else if (report.relativePeriods.thisYear) period = "THIS_YEAR";
-        else if (report.relativePeriods.lastYear) period = "LAST_YEAR";
-      }
+      // Rebuild the full org unit selection (units, user org units, levels and groups)
+      const orgUnit = getOrgUnitDimension(report);
+
+      // Combine relative and fixed periods, or use the report's custom date range
+      const { period, startDate, endDate } = getPeriodDimension(report);
 
       // Extract the output type (EVENT or ENROLLMENT)
       const outputType = report.outputType || "EVENT";
 
-      // Extract dimensions
+      // Extract dimensions, and the items the report only uses as filters
       const dimensions = [];
+      const filters = [];
+
+      // Keep the saved filter and legend set, and send filter-only items as filter=
+      const addItemDimension = (itemId, dimension) => {
+        const param = getItemDimension(itemId, dimension);
+        if (isFilterDimension(report, itemId)) {
+          filters.push(param);
+        } else {
+          dimensions.push(param);
+        }
+      };
 
       // Process attribute dimensions - for API v29, don't add the ATTRIBUTE: prefix
       if (report.attributeDimensions && report.attributeDimensions.length > 0) {
         report.attributeDimensions.forEach((dimension) => {
           if (dimension.attribute && dimension.attribute.id) {
-            dimensions.push(dimension.attribute.id);
+            addItemDimension(dimension.attribute.id, dimension);
           }
         });
       }
@@ -216,7 +307,7 @@ const useEventReports = () => {
             // Include the program stage ID if available
             const stageId = dimension.programStage?.id || programStageId;
             if (stageId) {
-              dimensions.push(`${stageId}.${dimension.dataElement.id}`);
+              addItemDimension(`${stageId}.${dimension.dataElement.id}`, dimension);
             }
           }
         });
@@ -225,6 +316,7 @@ const useEventReports = () => {
       // Process column dimensions if no explicit dimensions were found
       if (
         !dimensions.length &&
+        !filters.length &&
         report.columnDimensions &&
         report.columnDimensions.length > 0
       ) {
@@ -258,10 +350,17 @@ const useEventReports = () => {
         programStageId,
         orgUnit,
         period,
+        startDate,
+        endDate,
         dimensions,
+        filters,
         pageSize: 100,
         page: 1,
         outputType, // Include the output type in the parameters
+        // Aggregated reports are shown as a pivot table using the saved layout
+        dataType: report.dataType || DATA_TYPE_EVENTS,
+        rowDimensions: report.rowDimensions || [],
+        columnDimensions: report.columnDimensions || [],
       };
     },
     [getEventReportDetails]
@@ -309,14 +408,8 @@ const useEventReports = () => {
    * Refresh event reports data
    */
   const refreshEventReports = useCallback(() => {
-    setLoading(true);
-    refetch();
-  }, [refetch]);
-
-  // Update loading state based on query loading
-  useEffect(() => {
-    setLoading(queryLoading);
-  }, [queryLoading]);
+    return fetchEventReports();
+  }, [fetchEventReports]);
 
   return {
     // Event reports data
@@ -331,6 +424,7 @@ const useEventReports = () => {
     getEventReportDetails,
     getAnalyticsParams,
     filterEventReports,
+    searchEventReports,
     refreshEventReports,
 
     // Current filters
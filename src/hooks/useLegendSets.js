@@ -0,0 +1,41 @@
+import { useEffect } from 'react';
+import { useDataQuery } from '@dhis2/app-runtime';
+
+// Legend sets with their colour ranges, optionally only some of them
+const LEGEND_SETS_QUERY = {
+  legendSets: {
+    resource: 'legendSets',
+    params: ({ ids }) => ({
+      fields: ['id', 'displayName', 'legends[id,displayName,startValue,endValue,color]'],
+      order: 'displayName:asc',
+      paging: false,
+      ...(ids ? { filter: `id:in:[${ids.join(',')}]` } : {})
+    })
+  }
+};
+
+/**
+ * Custom hook for loading DHIS2 legend sets, used to colour cells by value
+ * @param {Array} ids - Legend sets to load; all legend sets when omitted, none when empty
+ * @returns {Object} { legendSets: [{ id, displayName, legends }], loading, error }
+ */
+export const useLegendSets = (ids) => {
+  const { data, loading, error, refetch } = useDataQuery(LEGEND_SETS_QUERY, {
+    lazy: true
+  });
+
+  // Compare ids by value, callers usually build a new array on every render
+  const idsKey = ids ? ids.join(',') : null;
+  const skip = idsKey === '';
+
+  useEffect(() => {
+    if (skip) return;
+    refetch({ ids: idsKey ? idsKey.split(',') : undefined });
+  }, [idsKey, skip, refetch]);
+
+  return {
+    legendSets: skip ? [] : data?.legendSets?.legendSets || [],
+    loading: !skip && loading,
+    error
+  };
+};
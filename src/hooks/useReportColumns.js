@@ -0,0 +1,70 @@
+import { useState, useEffect } from 'react';
+import { useDataEngine } from '@dhis2/app-runtime';
+import { buildEventQuery } from './useAnalytics';
+import { useDemoMode } from './useDemoMode';
+import { queryWithTimeout } from '../utils/analyticsErrors';
+import { createMockAnalyticsData } from '../utils/mockData';
+
+/**
+ * Custom hook listing the columns an event report returns
+ * Reads the headers of a one-row analytics query, so the list matches the columns
+ * the viewer shows (e.g. to pick hidden or masked columns while configuring)
+ * @param {Object} analyticsParams - Parameters from getAnalyticsParams, null when no report is selected
+ * @param {string} outputType - Type of analytics (EVENT or ENROLLMENT)
+ * @returns {Object} { columns: [{ name, column, valueType, optionSet }], loading, error }
+ */
+export const useReportColumns = (analyticsParams, outputType = 'EVENT') => {
+  const engine = useDataEngine();
+  const demoMode = useDemoMode();
+
+  const [columns, setColumns] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Compare parameters by value, getAnalyticsParams builds a new object on every call
+  const paramsKey = JSON.stringify(analyticsParams || null);
+
+  useEffect(() => {
+    const params = JSON.parse(paramsKey);
+    if (!params) {
+      setColumns([]);
+      setError(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const { query } = buildEventQuery({ ...params, pageSize: 1 }, outputType, 1);
+
+    setLoading(true);
+    setError(null);
+
+    queryWithTimeout(engine, query, { signal: controller.signal })
+      .then(response => {
+        const headers = response?.analytics?.headers || [];
+        setColumns(headers.map(header => ({
+          name: header.name,
+          column: header.column,
+          valueType: header.valueType,
+          optionSet: header.optionSet
+        })));
+      })
+      .catch(queryError => {
+        if (controller.signal.aborted) return;
+        console.error('Error loading report columns:', queryError);
+        setError(queryError);
+
+        // Mock columns are only shown in demo mode
+        const mockHeaders = demoMode ? createMockAnalyticsData(outputType).data[0] : [];
+        setColumns(mockHeaders.map(header => ({ name: header, column: header, valueType: 'TEXT' })));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, [paramsKey, outputType, engine, demoMode]);
+
+  return { columns, loading, error };
+};
@@ -0,0 +1,27 @@
+import { useDataQuery } from '@dhis2/app-runtime';
+
+// User groups that can be given export access
+const USER_GROUPS_QUERY = {
+  userGroups: {
+    resource: 'userGroups',
+    params: {
+      fields: ['id', 'displayName'],
+      order: 'displayName:asc',
+      paging: false
+    }
+  }
+};
+
+/**
+ * Custom hook for listing the user groups of the instance
+ * @returns {Object} { userGroups: [{ id, displayName }], loading, error }
+ */
+export const useUserGroups = () => {
+  const { data, loading, error } = useDataQuery(USER_GROUPS_QUERY);
+
+  return {
+    userGroups: data?.userGroups?.userGroups || [],
+    loading,
+    error
+  };
+};
@@ -0,0 +1,44 @@
+import {
+  ANALYTICS_ERROR_TYPES,
+  classifyAnalyticsError,
+  withRetry
+} from '../../utils/analyticsErrors';
+
+describe('analyticsErrors', () => {
+  test('classifyAnalyticsError reads the HTTP status and server message', () => {
+    const missingTables = classifyAnalyticsError({
+      type: 'unknown',
+      details: { httpStatusCode: 409, message: 'Query failed, likely because the requested analytics table does not exist' }
+    });
+    expect(missingTables.type).toBe(ANALYTICS_ERROR_TYPES.ANALYTICS_TABLES_MISSING);
+    expect(missingTables.title).toBe('Analytics tables have not been generated');
+    expect(missingTables.retryable).toBe(false);
+
+    expect(classifyAnalyticsError({ details: { httpStatusCode: 409, errorCode: 'E7144', message: 'Query failed' } }).type)
+      .toBe(ANALYTICS_ERROR_TYPES.ANALYTICS_TABLES_MISSING);
+    // Invalid queries are answered with 409 as well
+    expect(classifyAnalyticsError({
+      details: { httpStatusCode: 409, errorCode: 'E7222', message: 'Query item or filter is invalid: `ABC:XX:1`' }
+    }).type).toBe(ANALYTICS_ERROR_TYPES.BAD_REQUEST);
+
+    expect(classifyAnalyticsError({ type: 'access', details: { httpStatusCode: 403 } }).type)
+      .toBe(ANALYTICS_ERROR_TYPES.PERMISSION);
+    expect(classifyAnalyticsError({ details: { httpStatusCode: 502 } }).retryable).toBe(true);
+    expect(classifyAnalyticsError({ type: 'network', message: 'Failed to fetch' }).type)
+      .toBe(ANALYTICS_ERROR_TYPES.NETWORK);
+    expect(classifyAnalyticsError({ type: 'aborted' }).type).toBe(ANALYTICS_ERROR_TYPES.ABORTED);
+  });
+
+  test('withRetry retries transient errors only', async () => {
+    const serverError = { details: { httpStatusCode: 503 } };
+    const flaky = jest.fn()
+      .mockRejectedValueOnce(serverError)
+      .mockResolvedValueOnce('rows');
+    await expect(withRetry(flaky, { delay: () => 0 })).resolves.toBe('rows');
+    expect(flaky).toHaveBeenCalledTimes(2);
+
+    const forbidden = jest.fn().mockRejectedValue({ details: { httpStatusCode: 403 } });
+    await expect(withRetry(forbidden, { delay: () => 0 })).rejects.toEqual({ details: { httpStatusCode: 403 } });
+    expect(forbidden).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,67 @@
+import {
+  parseFilterExpression,
+  matchesFilterExpression,
+  buildServerQueryOptions,
+  sortAnalyticsData
+} from '../../utils/analyticsUtils';
+
+describe('analyticsUtils', () => {
+  test('parseFilterExpression reads operators, shorthands and plain text', () => {
+    expect(parseFilterExpression('GT:5')).toEqual({ operator: 'GT', value: '5' });
+    expect(parseFilterExpression('>= 10')).toEqual({ operator: 'GE', value: '10' });
+    expect(parseFilterExpression('Malaria')).toEqual({ operator: 'LIKE', value: 'Malaria' });
+    expect(parseFilterExpression('  ')).toBeNull();
+  });
+
+  test('matchesFilterExpression compares numbers numerically', () => {
+    expect(matchesFilterExpression(12, '>5')).toBe(true);
+    expect(matchesFilterExpression('3', '>5')).toBe(false);
+    expect(matchesFilterExpression('Female', 'EQ:female')).toBe(true);
+  });
+
+  test('the header valueType decides how values are filtered and sorted', () => {
+    expect(matchesFilterExpression('0912', '>100', 'TEXT')).toBe(false);
+    expect(matchesFilterExpression('2023-01-05 10:30:00.0', 'EQ:2023-01-05', 'DATETIME')).toBe(true);
+    expect(matchesFilterExpression('true', 'EQ:yes', 'BOOLEAN')).toBe(true);
+
+    const data = [['Code'], ['10'], ['9'], ['100']];
+    expect(sortAnalyticsData(data, 0, 'asc', 'TEXT').map(row => row[0])).toEqual(['Code', '10', '100', '9']);
+    expect(sortAnalyticsData(data, 0, 'asc', 'INTEGER').map(row => row[0])).toEqual(['Code', '9', '10', '100']);
+  });
+
+  test('buildServerQueryOptions pushes dimension filters and sort to the server', () => {
+    const result = buildServerQueryOptions({
+      dimensions: ['stage1.age123', 'attrName001'],
+      columnFilters: { age123: '>5', psi: 'abc' },
+      search: { term: 'john', column: 'attrName001' },
+      sort: { column: 'eventdate', direction: 'desc' }
+    });
+
+    expect(result.dimensions).toEqual(['stage1.age123:GT:5', 'attrName001:LIKE:john']);
+    expect(result.sortParams).toEqual({ desc: 'EVENTDATE' });
+    expect(result.clientFilters).toEqual({ psi: 'abc' });
+    expect(result.clientSearch).toBeNull();
+  });
+
+  test('buildServerQueryOptions falls back to the client for free text search and unknown sort', () => {
+    const result = buildServerQueryOptions({
+      dimensions: ['stage1.age123'],
+      search: { term: 'john', column: null },
+      sort: { column: 'storedby', direction: 'asc' }
+    });
+
+    expect(result.clientSearch).toBe('john');
+    expect(result.sortParams).toBeNull();
+    expect(result.clientSort).toEqual({ column: 'storedby', direction: 'asc' });
+  });
+
+  test('buildServerQueryOptions filters values holding a colon on the client', () => {
+    const result = buildServerQueryOptions({
+      dimensions: ['stage1.visitTime', 'stage1.age123'],
+      columnFilters: { visitTime: 'GT:2024-01-05T10:30', age123: 'EQ:12' }
+    });
+
+    expect(result.dimensions).toEqual(['stage1.visitTime', 'stage1.age123:EQ:12']);
+    expect(result.clientFilters).toEqual({ visitTime: 'GT:2024-01-05T10:30' });
+  });
+});
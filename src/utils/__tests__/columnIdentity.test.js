@@ -0,0 +1,39 @@
+import {
+  COLUMN_ID_SCHEME,
+  getColumnKeys,
+  findColumnIndex,
+  needsColumnMigration,
+  migrateColumnReferences
+} from '../../utils/columnIdentity';
+
+describe('columnIdentity', () => {
+  const columns = [
+    { name: 'psi', column: 'Event' },
+    { name: 'tei', column: 'Tracked entity instance' },
+    { name: 'attrName', column: 'First name' }
+  ];
+
+  test('getColumnKeys and findColumnIndex use column names, falling back to labels', () => {
+    expect(getColumnKeys(['Event', 'First name', 'Age'], columns.slice(0, 1))).toEqual(['psi', 'First name', 'Age']);
+    expect(findColumnIndex(columns, ['tei'])).toBe(1);
+    expect(findColumnIndex(columns, ['pi', 'enrollment'])).toBe(-1);
+  });
+
+  test('migrateColumnReferences maps display names to column names', () => {
+    const config = {
+      hiddenColumns: ['Event', 'Stored by', 'attrName', 'Unknown column'],
+      pinnedColumns: ['First name'],
+      maskedColumns: { 'First name': 'MASK' },
+      columnSettings: { 'Tracked entity instance': { label: 'Person' } }
+    };
+    const migrated = migrateColumnReferences(config, columns);
+
+    expect(needsColumnMigration(config)).toBe(true);
+    expect(needsColumnMigration(migrated)).toBe(false);
+    expect(migrated.columnIdScheme).toBe(COLUMN_ID_SCHEME);
+    expect(migrated.hiddenColumns).toEqual(['psi', 'storedby', 'attrName', 'Unknown column']);
+    expect(migrated.pinnedColumns).toEqual(['attrName']);
+    expect(migrated.maskedColumns).toEqual({ attrName: 'MASK' });
+    expect(migrated.columnSettings).toEqual({ tei: { label: 'Person' } });
+  });
+});
@@ -0,0 +1,17 @@
+import { getDisplayOrder, getVisibleColumnIndices, moveColumn } from '../../utils/columnLayout';
+
+describe('columnLayout', () => {
+  test('getVisibleColumnIndices puts pinned and ordered columns first and skips hidden ones', () => {
+    const headers = ['Event', 'Event date', 'Name', 'Age', 'Village'];
+    const displayOrder = getDisplayOrder(['Age', 'Event date', 'Name'], ['Name']);
+
+    expect(displayOrder).toEqual(['Name', 'Age', 'Event date']);
+    expect(getVisibleColumnIndices(headers, ['Event'], displayOrder)).toEqual([2, 3, 1, 4]);
+  });
+
+  test('moveColumn moves a column to the position it was dropped on', () => {
+    expect(moveColumn(['A', 'B', 'C'], 'A', 'C')).toEqual(['B', 'C', 'A']);
+    expect(moveColumn(['A', 'B', 'C'], 'C', 'A')).toEqual(['C', 'A', 'B']);
+    expect(moveColumn(['A', 'B', 'C'], 'D', 'A')).toEqual(['A', 'B', 'C']);
+  });
+});
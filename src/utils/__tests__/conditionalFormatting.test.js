@@ -0,0 +1,48 @@
+import {
+  getCellColors,
+  getLegendColor,
+  getContrastTextColor,
+  RULE_TYPES,
+  RULE_SCOPES
+} from '../../utils/conditionalFormatting';
+
+describe('conditionalFormatting', () => {
+  const legendSet = {
+    id: 'muacLegend',
+    legends: [
+      { startValue: 11.5, endValue: 12.5, color: '#ffeb3b' },
+      { startValue: 0, endValue: 11.5, color: '#f44336' },
+      { startValue: 12.5, endValue: 30, color: '#4caf50' }
+    ]
+  };
+
+  test('getLegendColor picks the legend a value falls in', () => {
+    expect(getLegendColor('11.4', legendSet)).toBe('#f44336');
+    expect(getLegendColor('11.5', legendSet)).toBe('#ffeb3b');
+    expect(getLegendColor('30', legendSet)).toBe('#4caf50');
+    expect(getLegendColor('31', legendSet)).toBeNull();
+    expect(getLegendColor('n/a', legendSet)).toBeNull();
+  });
+
+  test('getCellColors applies cell rules before row rules, first match wins', () => {
+    const rows = [['MUAC', 'Status'], ['11', 'Active'], ['13', 'Overdue'], ['12', 'Active']];
+    const columns = [{ name: 'muac', valueType: 'NUMBER' }, { name: 'status', valueType: 'TEXT' }];
+    const rules = [
+      { type: RULE_TYPES.CONDITION, column: 'muac', operator: 'LT', value: '11.5', color: '#ffcdd2', scope: RULE_SCOPES.CELL },
+      { type: RULE_TYPES.LEGEND_SET, column: 'muac', legendSetId: 'muacLegend', scope: RULE_SCOPES.CELL },
+      { type: RULE_TYPES.CONDITION, column: 'status', operator: 'EQ', value: 'overdue', color: '#ffe0b2', scope: RULE_SCOPES.ROW },
+      { type: RULE_TYPES.CONDITION, column: 'missing', operator: 'EQ', value: 'x', color: '#000000', scope: RULE_SCOPES.ROW }
+    ];
+
+    expect(getCellColors(rows, columns, rules, [legendSet])).toEqual([
+      ['#ffcdd2', null],
+      ['#4caf50', '#ffe0b2'],
+      ['#ffeb3b', null]
+    ]);
+  });
+
+  test('getContrastTextColor keeps text readable', () => {
+    expect(getContrastTextColor('#ffcdd2')).toBe('#212934');
+    expect(getContrastTextColor('#b71c1c')).toBe('#ffffff');
+  });
+});
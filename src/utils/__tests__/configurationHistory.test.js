@@ -0,0 +1,58 @@
+import {
+  MAX_HISTORY_ENTRIES,
+  addHistoryEntry,
+  createHistoryEntry,
+  diffConfigurations,
+  getTargetHistory
+} from '../../utils/configurationHistory';
+
+describe('configurationHistory', () => {
+  test('diffConfigurations lists added, changed and removed settings only', () => {
+    const before = { pageSize: 10, period: 'LAST_12_MONTHS', hiddenColumns: ['psi'], revision: 'r1', items: {} };
+    const after = { pageSize: 25, hiddenColumns: ['psi'], eventReportId: 'malaria', revision: 'r2', items: { item1: {} } };
+
+    expect(diffConfigurations(before, after)).toEqual([
+      { field: 'pageSize', from: 10, to: 25 },
+      { field: 'period', from: 'LAST_12_MONTHS', to: undefined },
+      { field: 'eventReportId', from: undefined, to: 'malaria' }
+    ]);
+    expect(diffConfigurations(undefined, { pageSize: 10 })).toEqual([
+      { field: 'pageSize', from: undefined, to: 10 }
+    ]);
+  });
+
+  test('createHistoryEntry records who saved which settings', () => {
+    const entry = createHistoryEntry({
+      before: { pageSize: 10 },
+      after: { pageSize: 25, revision: 'r2', lastModified: '2024-01-01T00:00:00.000Z', items: { item1: {} } },
+      itemId: null,
+      user: { id: 'u1', username: 'admin', displayName: 'Admin', authorities: ['ALL'] }
+    });
+
+    expect(entry).toEqual({
+      id: 'r2',
+      itemId: null,
+      timestamp: '2024-01-01T00:00:00.000Z',
+      user: { id: 'u1', username: 'admin', displayName: 'Admin' },
+      changes: [{ field: 'pageSize', from: 10, to: 25 }],
+      settings: { pageSize: 25 }
+    });
+  });
+
+  test('addHistoryEntry keeps the newest entries first', () => {
+    const entries = Array.from({ length: MAX_HISTORY_ENTRIES }, (_, index) => ({ id: `r${index}` }));
+    const updated = addHistoryEntry(entries, { id: 'new' });
+
+    expect(updated).toHaveLength(MAX_HISTORY_ENTRIES);
+    expect(updated[0].id).toBe('new');
+    expect(updated[MAX_HISTORY_ENTRIES - 1].id).toBe(`r${MAX_HISTORY_ENTRIES - 2}`);
+  });
+
+  test('getTargetHistory separates the dashboard from its widget instances', () => {
+    const entries = [{ id: 'r3', itemId: 'item1' }, { id: 'r2', itemId: null }, { id: 'r1' }];
+
+    expect(getTargetHistory(entries).map(entry => entry.id)).toEqual(['r2', 'r1']);
+    expect(getTargetHistory(entries, 'item1').map(entry => entry.id)).toEqual(['r3']);
+    expect(getTargetHistory(undefined, 'item1')).toEqual([]);
+  });
+});
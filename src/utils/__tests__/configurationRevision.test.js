@@ -0,0 +1,96 @@
+import {
+  getRevision,
+  isConflictError,
+  mergeConfigurations,
+  saveWithConcurrencyCheck
+} from '../../utils/configurationRevision';
+
+// In-memory Data Store key, with a hook to let another admin write between our calls
+const createStore = (initial) => {
+  let value = JSON.parse(JSON.stringify(initial));
+  const store = {
+    reads: 0,
+    beforeRead: null,
+    read: async () => {
+      store.reads += 1;
+      if (store.beforeRead) await store.beforeRead(store.reads);
+      return JSON.parse(JSON.stringify(value));
+    },
+    write: async (configs) => {
+      value = JSON.parse(JSON.stringify(configs));
+    },
+    get value() {
+      return value;
+    }
+  };
+  return store;
+};
+
+describe('configurationRevision', () => {
+  test('concurrent saves of different dashboards both survive', async () => {
+    const store = createStore({ dash1: { pageSize: 10 }, dash2: { pageSize: 10 } });
+
+    // Both admins read before either writes
+    const stale = await store.read();
+    await store.write({ ...stale, dash2: { ...stale.dash2, pageSize: 50 } });
+    await saveWithConcurrencyCheck(store, 'dash1', { pageSize: 25 });
+
+    expect(store.value.dash1.pageSize).toBe(25);
+    expect(store.value.dash2.pageSize).toBe(50);
+  });
+
+  test('a save overwritten by a concurrent save of another dashboard is applied again', async () => {
+    const store = createStore({ dash1: { pageSize: 10 }, dash2: { pageSize: 10 } });
+    const stale = await store.read();
+
+    // The other admin writes the configurations read before our save, right after it
+    store.beforeRead = async (reads) => {
+      if (reads === 3) {
+        await store.write({ ...stale, dash2: { ...stale.dash2, pageSize: 50 } });
+      }
+    };
+    await saveWithConcurrencyCheck(store, 'dash1', { pageSize: 25 });
+
+    expect(store.value.dash1.pageSize).toBe(25);
+    expect(store.value.dash2.pageSize).toBe(50);
+  });
+
+  test('a save based on an outdated revision of the same dashboard is a conflict', async () => {
+    const store = createStore({ dash1: { pageSize: 10, revision: 'r1' } });
+    await saveWithConcurrencyCheck(store, 'dash1', { pageSize: 50 }, { baseRevision: 'r1' });
+
+    const error = await saveWithConcurrencyCheck(store, 'dash1', { pageSize: 25 }, { baseRevision: 'r1' })
+      .catch(caught => caught);
+
+    expect(isConflictError(error)).toBe(true);
+    expect(error.current.pageSize).toBe(50);
+    expect(store.value.dash1.pageSize).toBe(50);
+
+    await saveWithConcurrencyCheck(store, 'dash1', { pageSize: 25 }, { baseRevision: getRevision(error.current) });
+    expect(store.value.dash1.pageSize).toBe(25);
+  });
+
+  test('widget instance saves are checked against the revision of the instance', async () => {
+    const store = createStore({ dash1: { pageSize: 10, revision: 'r1' } });
+    await saveWithConcurrencyCheck(store, 'dash1', { eventReportId: 'referrals' }, { itemId: 'item1', baseRevision: null });
+    await saveWithConcurrencyCheck(store, 'dash1', { pageSize: 50 }, { baseRevision: 'r1' });
+
+    expect(store.value.dash1.items.item1.eventReportId).toBe('referrals');
+    expect(store.value.dash1.pageSize).toBe(50);
+
+    const error = await saveWithConcurrencyCheck(store, 'dash1', { pageSize: 5 }, { itemId: 'item1', baseRevision: null })
+      .catch(caught => caught);
+    expect(isConflictError(error)).toBe(true);
+  });
+
+  test('mergeConfigurations keeps my changes over the stored configuration', () => {
+    const base = { pageSize: 10, period: 'LAST_12_MONTHS', hiddenColumns: ['psi'] };
+    const mine = { pageSize: 25, period: 'LAST_12_MONTHS', hiddenColumns: ['psi', 'ps'] };
+    const theirs = { pageSize: 50, period: 'THIS_YEAR', hiddenColumns: ['psi'], revision: 'r2' };
+
+    expect(mergeConfigurations(base, mine, theirs)).toEqual({
+      merged: { pageSize: 25, period: 'THIS_YEAR', hiddenColumns: ['psi', 'ps'], revision: 'r2' },
+      conflicts: ['pageSize']
+    });
+  });
+});
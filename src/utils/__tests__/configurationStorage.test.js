@@ -0,0 +1,86 @@
+import {
+  DATASTORE_NAMESPACE,
+  createDashboardStore,
+  getDashboardIdFromKey,
+  migrateLegacyConfigurations,
+  readAllDashboardConfigurations
+} from '../../utils/configurationStorage';
+
+// Data engine backed by an in-memory namespace
+const createEngine = (initial) => {
+  const keys = { ...initial };
+  const notFound = () => Object.assign(new Error('Not found'), { details: { httpStatusCode: 404 } });
+  const prefix = `dataStore/${DATASTORE_NAMESPACE}`;
+
+  return {
+    keys,
+    query: async (query) => {
+      const [alias, { resource }] = Object.entries(query)[0];
+      if (resource === prefix) return { [alias]: Object.keys(keys) };
+      const key = resource.slice(prefix.length + 1);
+      if (!(key in keys)) throw notFound();
+      return { [alias]: JSON.parse(JSON.stringify(keys[key])) };
+    },
+    mutate: async ({ id, type, data }) => {
+      if (type !== 'create' && !(id in keys)) throw notFound();
+      if (type === 'delete') {
+        delete keys[id];
+      } else {
+        keys[id] = JSON.parse(JSON.stringify(data));
+      }
+    }
+  };
+};
+
+describe('configurationStorage', () => {
+  const legacy = {
+    default: { pageSize: 10 },
+    dash1: { eventReportId: 'malaria' },
+    dash2: { eventReportId: 'referrals' }
+  };
+
+  test('getDashboardIdFromKey only reads dashboard keys', () => {
+    expect(getDashboardIdFromKey('dashboard_dash1')).toBe('dash1');
+    expect(getDashboardIdFromKey('globalConfiguration')).toBeNull();
+    expect(getDashboardIdFromKey('dashboard_')).toBeNull();
+  });
+
+  test('migrateLegacyConfigurations moves each dashboard to its own key, once', async () => {
+    const engine = createEngine({ dashboardConfigurations: legacy, globalConfiguration: {} });
+
+    expect(await migrateLegacyConfigurations(engine)).toEqual(['default', 'dash1', 'dash2']);
+    expect(Object.keys(engine.keys).sort()).toEqual([
+      'dashboard_dash1', 'dashboard_dash2', 'dashboard_default', 'globalConfiguration'
+    ]);
+    expect(await readAllDashboardConfigurations(engine)).toEqual(legacy);
+
+    expect(await migrateLegacyConfigurations(engine)).toEqual([]);
+    expect(await readAllDashboardConfigurations(engine)).toEqual(legacy);
+  });
+
+  test('an interrupted migration resumes without overwriting newer dashboard keys', async () => {
+    const engine = createEngine({
+      dashboardConfigurations: legacy,
+      dashboard_dash1: { eventReportId: 'cholera' }
+    });
+
+    // Until migrated, dashboards without a key of their own are read from the former key
+    expect((await readAllDashboardConfigurations(engine)).dash1.eventReportId).toBe('cholera');
+    expect((await readAllDashboardConfigurations(engine)).dash2.eventReportId).toBe('referrals');
+    expect(await createDashboardStore(engine, 'dash2').read()).toEqual({ dash2: legacy.dash2 });
+
+    expect(await migrateLegacyConfigurations(engine)).toEqual(['default', 'dash2']);
+    expect(engine.keys.dashboard_dash1.eventReportId).toBe('cholera');
+    expect(engine.keys.dashboardConfigurations).toBeUndefined();
+  });
+
+  test('createDashboardStore writes only the key of its dashboard', async () => {
+    const engine = createEngine({ dashboard_dash1: { pageSize: 10 }, dashboard_dash2: { pageSize: 10 } });
+    const store = createDashboardStore(engine, 'dash1');
+
+    await store.write({ dash1: { pageSize: 25 } });
+
+    expect(engine.keys.dashboard_dash1.pageSize).toBe(25);
+    expect(engine.keys.dashboard_dash2.pageSize).toBe(10);
+  });
+});
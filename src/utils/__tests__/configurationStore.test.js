@@ -0,0 +1,157 @@
+import { DATASTORE_NAMESPACE } from '../../utils/configurationStorage';
+import { DEFAULT_GLOBAL_CONFIG, createConfigurationStore } from '../../utils/configurationStore';
+
+// Data engine backed by an in-memory namespace
+const createEngine = (initial) => {
+  const keys = { ...initial };
+  const notFound = () => Object.assign(new Error('Not found'), { details: { httpStatusCode: 404 } });
+  const prefix = `dataStore/${DATASTORE_NAMESPACE}`;
+
+  return {
+    keys,
+    query: async (query) => {
+      const [alias, { resource }] = Object.entries(query)[0];
+      if (resource === prefix) return { [alias]: Object.keys(keys) };
+      const key = resource.slice(prefix.length + 1);
+      if (!(key in keys)) throw notFound();
+      return { [alias]: JSON.parse(JSON.stringify(keys[key])) };
+    },
+    mutate: async ({ id, type, data }) => {
+      if (type !== 'create' && !(id in keys)) throw notFound();
+      if (type === 'delete') {
+        delete keys[id];
+      } else {
+        keys[id] = JSON.parse(JSON.stringify(data));
+      }
+    }
+  };
+};
+
+describe('configurationStore', () => {
+  test('load reads every dashboard and falls back to the default global configuration', async () => {
+    const store = createConfigurationStore(createEngine({ dashboard_dash1: { pageSize: 25 } }));
+    expect(store.getSnapshot().loading).toBe(true);
+
+    await store.load();
+
+    expect(store.getSnapshot()).toEqual({
+      configurations: { dash1: { pageSize: 25 } },
+      globalConfig: DEFAULT_GLOBAL_CONFIG,
+      history: {},
+      loading: false,
+      error: null
+    });
+  });
+
+  test('a save is seen by every subscriber without reloading', async () => {
+    const engine = createEngine({ dashboard_dash1: { pageSize: 10 } });
+    const store = createConfigurationStore(engine);
+    await store.load();
+
+    const seen = [];
+    const unsubscribe = store.subscribe(() => seen.push(store.getSnapshot().configurations.dash1?.pageSize));
+    await store.saveConfiguration('dash1', { pageSize: 50 });
+    unsubscribe();
+
+    expect(store.getSnapshot().configurations.dash1.pageSize).toBe(50);
+    expect(seen[seen.length - 1]).toBe(50);
+    expect(engine.keys.dashboard_dash1.pageSize).toBe(50);
+  });
+
+  test('a previous snapshot is left unchanged by later changes', async () => {
+    const store = createConfigurationStore(createEngine({ dashboard_dash1: { pageSize: 10 } }));
+    await store.load();
+    const before = store.getSnapshot();
+
+    await store.deleteConfiguration('dash1');
+
+    expect(before.configurations.dash1.pageSize).toBe(10);
+    expect(store.getSnapshot().configurations).toEqual({});
+  });
+
+  test('resetAllConfigurations keeps only the default configurations', async () => {
+    const engine = createEngine({
+      dashboard_default: { pageSize: 25 },
+      dashboard_dash1: { pageSize: 10 },
+      globalConfiguration: { pageSize: 50, globalFallback: false }
+    });
+    const store = createConfigurationStore(engine);
+    await store.load();
+
+    await store.resetAllConfigurations();
+
+    expect(Object.keys(store.getSnapshot().configurations)).toEqual(['default']);
+    expect(Object.keys(engine.keys).sort()).toEqual(['dashboard_default', 'globalConfiguration']);
+    expect(engine.keys.globalConfiguration.globalFallback).toBe(true);
+    expect(store.getSnapshot().globalConfig.pageSize).toBe(DEFAULT_GLOBAL_CONFIG.pageSize);
+  });
+
+  test('saves are recorded in the history and a previous version can be restored', async () => {
+    const engine = createEngine({ dashboard_dash1: { pageSize: 10, items: { item1: { pageSize: 5 } } } });
+    const store = createConfigurationStore(engine);
+    store.setUser({ id: 'u1', username: 'admin', displayName: 'Admin' });
+    await store.load();
+
+    await store.saveConfiguration('dash1', { pageSize: 25 });
+    await store.saveConfiguration('dash1', { period: 'THIS_YEAR' });
+    await store.saveConfiguration('dash1', { pageSize: 25 });
+
+    // Saves changing nothing are left out
+    const [latest, first] = await store.loadHistory('dash1');
+    expect(engine.keys.history_dash1).toHaveLength(2);
+    expect(latest.changes).toEqual([{ field: 'period', from: undefined, to: 'THIS_YEAR' }]);
+    expect(first.user.username).toBe('admin');
+
+    await store.restoreVersion('dash1', first);
+
+    expect(engine.keys.dashboard_dash1.period).toBeUndefined();
+    expect(engine.keys.dashboard_dash1.pageSize).toBe(25);
+    expect(engine.keys.dashboard_dash1.items).toEqual({ item1: { pageSize: 5 } });
+    expect(store.getSnapshot().history.dash1[0]).toMatchObject({
+      restoredFrom: first.id,
+      changes: [{ field: 'period', from: 'THIS_YEAR', to: undefined }]
+    });
+  });
+
+  test('interleaved saves of the same dashboard both stay in the history', async () => {
+    const engine = createEngine({ dashboard_dash1: { pageSize: 10 } });
+    const first = createConfigurationStore(engine);
+    const second = createConfigurationStore(engine);
+    await Promise.all([first.load(), second.load()]);
+
+    // Hold the first history writes until both saves have read the history, then
+    // write them one after the other so the second overwrites the first
+    const mutate = engine.mutate;
+    const held = [];
+    engine.mutate = (mutation) => {
+      if (!mutation.id.startsWith('history_') || held.length === 2) return mutate(mutation);
+      return new Promise(resolve => {
+        held.push(() => resolve(mutate(mutation)));
+        if (held.length === 2) held.forEach(release => release());
+      });
+    };
+
+    await Promise.all([
+      first.saveConfiguration('dash1', { pageSize: 25 }, { itemId: 'item1' }),
+      second.saveConfiguration('dash1', { pageSize: 50 }, { itemId: 'item2' })
+    ]);
+
+    expect(engine.keys.history_dash1.map(entry => entry.itemId).sort()).toEqual(['item1', 'item2']);
+  });
+
+  test('a layout save made while viewing a widget is left out of the history', async () => {
+    const engine = createEngine({ dashboard_dash1: { pageSize: 10 } });
+    const store = createConfigurationStore(engine);
+    await store.load();
+
+    await store.saveConfiguration('dash1', { pageSize: 25 });
+    await store.saveConfiguration('dash1', { pageSize: 50, hiddenColumns: ['psi'] }, {
+      itemId: 'item1',
+      recordHistory: false
+    });
+
+    expect(engine.keys.dashboard_dash1.items.item1.pageSize).toBe(50);
+    expect(engine.keys.history_dash1).toHaveLength(1);
+    expect(engine.keys.history_dash1[0].itemId).toBeNull();
+  });
+});
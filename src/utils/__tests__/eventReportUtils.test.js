@@ -0,0 +1,126 @@
+import {
+  getPeriodDimension,
+  getOrgUnitDimension,
+  getItemDimension,
+  isFilterDimension,
+  getVisualizationAnalyticsParams,
+  supportsEventVisualizations
+} from '../../utils/eventReportUtils';
+
+describe('eventReportUtils', () => {
+  test('getPeriodDimension combines every relative and fixed period', () => {
+    const report = {
+      relativePeriods: { thisMonth: true, last4Weeks: true, last52Weeks: true, lastYear: false },
+      periods: [{ id: '2024Q1' }]
+    };
+
+    expect(getPeriodDimension(report)).toEqual({
+      period: 'LAST_4_WEEKS;LAST_52_WEEKS;THIS_MONTH;2024Q1'
+    });
+  });
+
+  test('getPeriodDimension uses the custom date range when no period is selected', () => {
+    const report = {
+      relativePeriods: {},
+      periods: [],
+      startDate: '2024-01-01T00:00:00.000',
+      endDate: '2024-03-31T00:00:00.000'
+    };
+
+    expect(getPeriodDimension(report)).toEqual({ startDate: '2024-01-01', endDate: '2024-03-31' });
+  });
+
+  test('getPeriodDimension falls back to the last 12 months', () => {
+    expect(getPeriodDimension({})).toEqual({ period: 'LAST_12_MONTHS' });
+  });
+
+  test('getOrgUnitDimension keeps every org unit, level, group and user org unit flag', () => {
+    const report = {
+      organisationUnits: [{ id: 'ouA' }, { id: 'ouB' }],
+      organisationUnitLevels: [3],
+      itemOrganisationUnitGroups: [{ id: 'grp1' }],
+      userOrganisationUnitChildren: true
+    };
+
+    expect(getOrgUnitDimension(report)).toBe('USER_ORGUNIT_CHILDREN;ouA;ouB;LEVEL-3;OU_GROUP-grp1');
+  });
+
+  test('getOrgUnitDimension falls back to the user org unit', () => {
+    expect(getOrgUnitDimension({ organisationUnits: [] })).toBe('USER_ORGUNIT');
+  });
+
+  test('getItemDimension keeps the saved legend set and filter', () => {
+    expect(getItemDimension('stage1.age123', { filter: 'GT:5' })).toBe('stage1.age123:GT:5');
+    expect(getItemDimension('stage1.muac12', { legendSet: { id: 'lgs1' }, filter: 'IN:lg1;lg2' }))
+      .toBe('stage1.muac12-lgs1:IN:lg1;lg2');
+    expect(getItemDimension('attrName001', {})).toBe('attrName001');
+  });
+
+  test('isFilterDimension matches items with or without their program stage', () => {
+    const report = { filterDimensions: ['age123', 'pe'] };
+    expect(isFilterDimension(report, 'stage1.age123')).toBe(true);
+    expect(isFilterDimension(report, 'attrName001')).toBe(false);
+  });
+
+  test('supportsEventVisualizations requires DHIS2 2.39 or later', () => {
+    expect(supportsEventVisualizations({ major: 2, minor: 38 })).toBe(false);
+    expect(supportsEventVisualizations({ major: 2, minor: 40 })).toBe(true);
+    expect(supportsEventVisualizations(undefined)).toBe(false);
+  });
+
+  test('getVisualizationAnalyticsParams maps line list columns, rows and filters', () => {
+    const params = getVisualizationAnalyticsParams({
+      programDimensions: [{ id: 'prog1' }],
+      outputType: 'ENROLLMENT',
+      columns: [
+        { dimension: 'ou', items: [{ id: 'USER_ORGUNIT' }, { id: 'LEVEL-abc' }] },
+        { dimension: 'age123', programStage: { id: 'stage1' }, filter: 'GT:5' },
+        { dimension: 'attrName001', legendSet: { id: 'lgs1' } }
+      ],
+      rows: [{ dimension: 'eventDate', items: [{ id: 'LAST_12_MONTHS' }, { id: '202301' }] }],
+      filters: [{ dimension: 'sex123', programStage: { id: 'stage1' }, filter: 'EQ:Female' }]
+    });
+
+    expect(params).toMatchObject({
+      programId: 'prog1',
+      orgUnit: 'USER_ORGUNIT;LEVEL-abc',
+      period: 'LAST_12_MONTHS;202301',
+      dimensions: ['stage1.age123:GT:5', 'attrName001-lgs1'],
+      filters: ['stage1.sex123:EQ:Female'],
+      outputType: 'ENROLLMENT',
+      dataType: 'EVENTS',
+      rowDimensions: ['pe'],
+      columnDimensions: ['ou', 'stage1.age123', 'attrName001']
+    });
+  });
+
+  test('getVisualizationAnalyticsParams turns a date range item into start and end dates', () => {
+    const params = getVisualizationAnalyticsParams({
+      program: { id: 'prog1' },
+      filters: [{ dimension: 'eventDate', items: [{ id: '2023-01-01_2023-03-31' }] }]
+    });
+
+    expect(params.period).toBeUndefined();
+    expect(params.startDate).toBe('2023-01-01');
+    expect(params.endDate).toBe('2023-03-31');
+    expect(params.orgUnit).toBe('USER_ORGUNIT');
+  });
+
+  test('getVisualizationAnalyticsParams sends periods of another time dimension with its time field', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const params = getVisualizationAnalyticsParams({
+      program: { id: 'prog1' },
+      columns: [{ dimension: 'lastUpdated', items: [{ id: 'LAST_3_MONTHS' }] }],
+      filters: [{ dimension: 'scheduledDate', items: [{ id: 'THIS_YEAR' }] }]
+    });
+
+    expect(params.period).toBe('LAST_3_MONTHS');
+    expect(params.timeField).toBe('LAST_UPDATED');
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(getVisualizationAnalyticsParams({
+      program: { id: 'prog1' },
+      rows: [{ dimension: 'eventDate', items: [{ id: 'LAST_12_MONTHS' }] }]
+    }).timeField).toBeUndefined();
+    warn.mockRestore();
+  });
+});
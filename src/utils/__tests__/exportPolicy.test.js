@@ -0,0 +1,25 @@
+import { canExport, applyColumnMasks, MASK_ACTIONS, MASKED_VALUE } from '../../utils/exportPolicy';
+
+describe('exportPolicy', () => {
+  test('canExport allows everyone without restrictions and checks authorities and groups', () => {
+    const permissions = { authorities: ['F_EXPORT_DATA'], userGroups: ['grpSupervisors'] };
+
+    expect(canExport(undefined, {})).toBe(true);
+    expect(canExport({ authorities: [], userGroups: [] }, {})).toBe(true);
+    expect(canExport(permissions, { authorities: ['F_EXPORT_DATA'] })).toBe(true);
+    expect(canExport(permissions, { userGroups: [{ id: 'grpSupervisors' }] })).toBe(true);
+    expect(canExport(permissions, { authorities: ['ALL'] })).toBe(true);
+    expect(canExport(permissions, { authorities: ['F_VIEW_EVENT_ANALYTICS'], userGroups: [{ id: 'grpOther' }] })).toBe(false);
+  });
+
+  test('applyColumnMasks masks values and drops columns by label or name', () => {
+    const result = applyColumnMasks(
+      [['Name', 'Phone', 'Age'], ['Ana', '0812', '12'], ['', '0813', '30']],
+      [{ name: 'attrName' }, { name: 'attrPhone' }, { name: 'age' }],
+      { Name: MASK_ACTIONS.MASK, attrPhone: MASK_ACTIONS.DROP }
+    );
+
+    expect(result.data).toEqual([['Name', 'Age'], [MASKED_VALUE, '12'], ['', '30']]);
+    expect(result.columns).toEqual([{ name: 'attrName' }, { name: 'age' }]);
+  });
+});
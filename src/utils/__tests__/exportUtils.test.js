@@ -0,0 +1,39 @@
+import { toCSV, toTypedCellValue, selectVisibleColumns } from '../../utils/exportUtils';
+
+describe('exportUtils', () => {
+  test('toCSV quotes values with delimiters, quotes and line breaks', () => {
+    const csv = toCSV([
+      ['Name', 'Comment'],
+      ['João, Silva', 'said "ok"'],
+      ['Renée', 'line 1\nline 2'],
+      [null, { type: 'action' }]
+    ]);
+
+    expect(csv).toBe([
+      'Name,Comment',
+      '"João, Silva","said ""ok"""',
+      'Renée,"line 1\nline 2"',
+      ','
+    ].join('\r\n'));
+  });
+
+  test('toTypedCellValue returns numbers and UTC dates for typed columns', () => {
+    expect(toTypedCellValue('12.5', 'NUMBER')).toBe(12.5);
+    expect(toTypedCellValue('n/a', 'INTEGER')).toBe('n/a');
+    expect(toTypedCellValue('2023-01-15 10:30:00.0', 'DATETIME'))
+      .toEqual(new Date(Date.UTC(2023, 0, 15, 10, 30, 0)));
+    expect(toTypedCellValue('0123', 'TEXT')).toBe('0123');
+    expect(toTypedCellValue('', 'NUMBER')).toBeNull();
+  });
+
+  test('selectVisibleColumns drops hidden columns, by column name, from rows and column metadata', () => {
+    const result = selectVisibleColumns(
+      [['Event', 'Name', 'Age'], ['ev1', 'Ana', '12']],
+      [{ name: 'psi' }, { name: 'attrName' }, { name: 'age', valueType: 'INTEGER' }],
+      ['psi']
+    );
+
+    expect(result.data).toEqual([['Name', 'Age'], ['Ana', '12']]);
+    expect(result.columns).toEqual([{ name: 'attrName' }, { name: 'age', valueType: 'INTEGER' }]);
+  });
+});
@@ -0,0 +1,36 @@
+import {
+  COLUMN_FORMATS,
+  formatColumnValue,
+  formatRelativeTime,
+  getFormatsForColumn,
+  applyColumnSettings
+} from '../../utils/formatUtils';
+
+describe('formatUtils', () => {
+  test('formatColumnValue applies date, number and boolean formats', () => {
+    const now = new Date(Date.UTC(2024, 0, 10, 12, 0, 0));
+
+    expect(formatColumnValue('2024-01-07 08:00:00.0', { format: COLUMN_FORMATS.RELATIVE }, now))
+      .toBe(formatRelativeTime(new Date(Date.UTC(2024, 0, 7, 8, 0, 0)), now));
+    expect(formatColumnValue('1234.5', { format: COLUMN_FORMATS.NUMBER, decimals: 0 }))
+      .toBe((1235).toLocaleString());
+    expect(formatColumnValue('true', { format: COLUMN_FORMATS.YES_NO })).toBe('Yes');
+    expect(formatColumnValue('*****', { format: COLUMN_FORMATS.DATE })).toBe('*****');
+    expect(formatColumnValue('Malaria', { format: COLUMN_FORMATS.TAG })).toBe('Malaria');
+  });
+
+  test('getFormatsForColumn offers formats matching the value type', () => {
+    expect(getFormatsForColumn({ valueType: 'DATE' })).toContain(COLUMN_FORMATS.RELATIVE);
+    expect(getFormatsForColumn({ valueType: 'INTEGER' })).toContain(COLUMN_FORMATS.NUMBER);
+    expect(getFormatsForColumn({ valueType: 'TEXT', optionSet: 'os1' })).toEqual([COLUMN_FORMATS.AUTO, COLUMN_FORMATS.TAG]);
+  });
+
+  test('applyColumnSettings renames headers and formats values unless asked not to', () => {
+    const rows = [['Sex', 'Pregnant'], ['Female', 'true']];
+    const columns = [{ name: 'sex123' }, { name: 'preg123' }];
+    const settings = { sex123: { label: 'Gender' }, preg123: { format: COLUMN_FORMATS.YES_NO } };
+
+    expect(applyColumnSettings(rows, columns, settings)).toEqual([['Gender', 'Pregnant'], ['Female', 'Yes']]);
+    expect(applyColumnSettings(rows, columns, settings, { formatValues: false })).toEqual([['Gender', 'Pregnant'], ['Female', 'true']]);
+  });
+});
@@ -0,0 +1,29 @@
+import { isDemoMode, createMockAnalyticsData } from '../../utils/mockData';
+
+describe('mockData', () => {
+  const originalDemoMode = process.env.REACT_APP_DHIS2_DEMO_MODE;
+
+  afterEach(() => {
+    if (originalDemoMode === undefined) {
+      delete process.env.REACT_APP_DHIS2_DEMO_MODE;
+    } else {
+      process.env.REACT_APP_DHIS2_DEMO_MODE = originalDemoMode;
+    }
+  });
+
+  test('isDemoMode is off unless the build or the global configuration enables it', () => {
+    delete process.env.REACT_APP_DHIS2_DEMO_MODE;
+    expect(isDemoMode({})).toBe(false);
+    expect(isDemoMode(undefined)).toBe(false);
+    expect(isDemoMode({ demoMode: true })).toBe(true);
+
+    process.env.REACT_APP_DHIS2_DEMO_MODE = 'true';
+    expect(isDemoMode({})).toBe(true);
+  });
+
+  test('createMockAnalyticsData marks its metadata as demo data', () => {
+    const mockData = createMockAnalyticsData('ENROLLMENT', 'report1');
+    expect(mockData.metadata).toMatchObject({ demo: true, reportId: 'report1', outputType: 'ENROLLMENT' });
+    expect(mockData.data[0][0]).toBe('Enrollment Date');
+  });
+});
@@ -0,0 +1,55 @@
+import { buildPivotTable, pivotTableToRows } from '../../utils/pivotUtils';
+
+describe('pivotUtils', () => {
+  const response = {
+    headers: [
+      { name: 'ou', column: 'Organisation unit' },
+      { name: 'pe', column: 'Period' },
+      { name: 'value', column: 'Value' }
+    ],
+    rows: [
+      ['distB', '202302', '4'],
+      ['distA', '202301', '3'],
+      ['distA', '202302', '5']
+    ],
+    metaData: {
+      items: {
+        distA: { name: 'District A' },
+        distB: { name: 'District B' },
+        202301: { name: 'January 2023' },
+        202302: { name: 'February 2023' }
+      },
+      dimensions: { ou: ['distA', 'distB'], pe: ['202301', '202302'] }
+    }
+  };
+
+  test('buildPivotTable places dimensions on rows and columns with totals', () => {
+    const pivot = buildPivotTable(response, { rowDimensions: ['ou'], columnDimensions: ['pe'] });
+
+    expect(pivot.columns.map(column => column.labels)).toEqual([['January 2023'], ['February 2023']]);
+    expect(pivot.rows.map(row => row.labels)).toEqual([['District A'], ['District B']]);
+    expect(pivot.rows[0].values).toEqual([3, 5]);
+    expect(pivot.rows[1].values).toEqual([null, 4]);
+    expect(pivot.rows.map(row => row.total)).toEqual([8, 4]);
+    expect(pivot.columnTotals).toEqual([3, 9]);
+    expect(pivot.grandTotal).toBe(12);
+  });
+
+  test('buildPivotTable adds dimensions missing from the layout to the rows', () => {
+    const pivot = buildPivotTable(response, { rowDimensions: [], columnDimensions: ['pe'] });
+
+    expect(pivot.rowDimensions).toEqual([{ id: 'ou', label: 'Organisation unit' }]);
+    expect(pivot.grandTotal).toBe(12);
+  });
+
+  test('pivotTableToRows flattens the table with a totals row', () => {
+    const pivot = buildPivotTable(response, { rowDimensions: ['ou'], columnDimensions: ['pe'] });
+
+    expect(pivotTableToRows(pivot)).toEqual([
+      ['Organisation unit', 'January 2023', 'February 2023', 'Total'],
+      ['District A', 3, 5, 8],
+      ['District B', null, 4, 4],
+      ['Total', 3, 9, 12]
+    ]);
+  });
+});
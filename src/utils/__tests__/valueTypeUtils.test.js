@@ -0,0 +1,30 @@
+import {
+  compareCellValues,
+  parseCoordinate,
+  getSafeUrl,
+  parseBooleanValue
+} from '../../utils/valueTypeUtils';
+
+describe('valueTypeUtils', () => {
+  test('compareCellValues compares by value type, not by how values look', () => {
+    expect(compareCellValues('9', '10', 'INTEGER')).toBeLessThan(0);
+    expect(compareCellValues('9', '10', 'TEXT')).toBeGreaterThan(0);
+    expect(compareCellValues('2023-02-01', '2023-10-01 08:00:00.0', 'DATETIME')).toBeLessThan(0);
+    expect(compareCellValues('true', 'false', 'BOOLEAN')).toBeGreaterThan(0);
+    expect(compareCellValues('', 'a', 'TEXT')).toBeLessThan(0);
+  });
+
+  test('parseCoordinate reads COORDINATE values and GeoJSON points', () => {
+    expect(parseCoordinate('[13.2, -8.8]')).toEqual({ latitude: -8.8, longitude: 13.2 });
+    expect(parseCoordinate('{"type":"Point","coordinates":[13.2,-8.8]}')).toEqual({ latitude: -8.8, longitude: 13.2 });
+    expect(parseCoordinate('Luanda')).toBeNull();
+  });
+
+  test('getSafeUrl only keeps web links and parseBooleanValue reads yes/no values', () => {
+    expect(getSafeUrl('https://dhis2.org/docs')).toBe('https://dhis2.org/docs');
+    expect(getSafeUrl('javascript:alert(1)')).toBeNull();
+    expect(parseBooleanValue('Yes')).toBe(true);
+    expect(parseBooleanValue('0')).toBe(false);
+    expect(parseBooleanValue('maybe')).toBeNull();
+  });
+});
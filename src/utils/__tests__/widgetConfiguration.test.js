@@ -0,0 +1,42 @@
+import {
+  hasDashboardSettings,
+  removeItemConfiguration,
+  resolveWidgetConfiguration,
+  setItemConfiguration
+} from '../../utils/widgetConfiguration';
+
+describe('widgetConfiguration', () => {
+  const dashboardConfig = {
+    eventReportId: 'malaria',
+    pageSize: 10,
+    items: {
+      item1: { eventReportId: 'referrals' },
+      item2: { pageSize: 25 }
+    }
+  };
+
+  test('resolveWidgetConfiguration layers the widget settings over the dashboard configuration', () => {
+    expect(resolveWidgetConfiguration(dashboardConfig, dashboardConfig.items.item1))
+      .toEqual({ eventReportId: 'referrals', pageSize: 10 });
+    expect(resolveWidgetConfiguration(dashboardConfig, dashboardConfig.items.item2))
+      .toEqual({ eventReportId: 'malaria', pageSize: 25 });
+    expect(resolveWidgetConfiguration(dashboardConfig, undefined))
+      .toEqual({ eventReportId: 'malaria', pageSize: 10 });
+    expect(resolveWidgetConfiguration(null, null)).toBeNull();
+  });
+
+  test('setItemConfiguration and removeItemConfiguration only change one widget', () => {
+    const updated = setItemConfiguration(dashboardConfig, 'item2', { hiddenColumns: ['psi'] }, '2024-01-01');
+    expect(updated.items.item2).toEqual({ pageSize: 25, hiddenColumns: ['psi'], lastModified: '2024-01-01' });
+    expect(updated.items.item1).toBe(dashboardConfig.items.item1);
+    expect(updated.eventReportId).toBe('malaria');
+
+    expect(removeItemConfiguration(updated, 'item1').items).toEqual({ item2: updated.items.item2 });
+  });
+
+  test('hasDashboardSettings ignores configurations holding only widget instances', () => {
+    expect(hasDashboardSettings(dashboardConfig)).toBe(true);
+    expect(hasDashboardSettings(setItemConfiguration(undefined, 'item1', {}, '2024-01-01'))).toBe(false);
+    expect(hasDashboardSettings(undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Error classification and retry policy for analytics requests
+ */
+
+/**
+ * Kinds of analytics errors, each with its own message and retry behaviour
+ */
+export const ANALYTICS_ERROR_TYPES = {
+  NETWORK: 'NETWORK',
+  PERMISSION: 'PERMISSION',
+  ANALYTICS_TABLES_MISSING: 'ANALYTICS_TABLES_MISSING',
+  SERVER: 'SERVER',
+  TIMEOUT: 'TIMEOUT',
+  BAD_REQUEST: 'BAD_REQUEST',
+  ABORTED: 'ABORTED',
+  UNKNOWN: 'UNKNOWN'
+};
+
+/**
+ * Transient errors that are retried automatically
+ */
+const RETRYABLE_TYPES = [
+  ANALYTICS_ERROR_TYPES.NETWORK,
+  ANALYTICS_ERROR_TYPES.SERVER,
+  ANALYTICS_ERROR_TYPES.TIMEOUT
+];
+
+/**
+ * Title and explanation shown to the user for each kind of error
+ */
+const ERROR_MESSAGES = {
+  [ANALYTICS_ERROR_TYPES.NETWORK]: {
+    title: 'Server could not be reached',
+    description: 'Check your network connection and try again.'
+  },
+  [ANALYTICS_ERROR_TYPES.PERMISSION]: {
+    title: 'No access to this data',
+    description: 'You do not have permission to view the data of this event report. Ask an administrator to share the program and its data with you.'
+  },
+  [ANALYTICS_ERROR_TYPES.ANALYTICS_TABLES_MISSING]: {
+    title: 'Analytics tables have not been generated',
+    description: 'The event report reads from the analytics tables. Ask an administrator to run analytics table generation in the Data Administration app.'
+  },
+  [ANALYTICS_ERROR_TYPES.SERVER]: {
+    title: 'Server error',
+    description: 'The server failed to process the analytics request. Try again later.'
+  },
+  [ANALYTICS_ERROR_TYPES.TIMEOUT]: {
+    title: 'The request timed out',
+    description: 'The analytics query took too long. Try a shorter period or fewer organisation units.'
+  },
+  [ANALYTICS_ERROR_TYPES.BAD_REQUEST]: {
+    title: 'The event report could not be queried',
+    description: 'The server rejected the analytics query built from this event report and its filters. Clear the filters, or check the event report in the Event Reports or Line Listing app.'
+  },
+  [ANALYTICS_ERROR_TYPES.ABORTED]: {
+    title: 'Request cancelled',
+    description: 'The request was replaced by a newer one.'
+  },
+  [ANALYTICS_ERROR_TYPES.UNKNOWN]: {
+    title: 'Error loading event report',
+    description: 'An unexpected error occurred.'
+  }
+};
+
+/**
+ * Time after which an analytics request is cancelled and reported as timed out
+ */
+export const ANALYTICS_TIMEOUT_MS = 120000;
+
+/**
+ * Number of automatic retries for transient errors
+ */
+export const MAX_RETRIES = 2;
+
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 8000;
+
+// Server error codes and messages that mean the analytics tables are missing (HTTP 409,
+// which the server also answers for invalid queries)
+const MISSING_TABLES_ERROR_CODES = ['E7144'];
+const MISSING_TABLES_MESSAGE = /analytics table/i;
+
+/**
+ * Create the error thrown when a request is cancelled
+ * @returns {Error} Error named AbortError
+ */
+const createAbortError = () => {
+  const error = new Error('The request was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Classify an error thrown by the data engine for an analytics request
+ * The data engine puts the server response (httpStatusCode, errorCode, message) in error.details
+ * @param {Error} error - Error thrown by engine.query
+ * @returns {Object} { type, httpStatus, title, message, serverMessage, retryable, cause }
+ */
+export const classifyAnalyticsError = (error) => {
+  const httpStatus = [error?.details?.httpStatusCode, error?.httpStatusCode, error?.status]
+    .find(Number.isInteger) || null;
+  const serverMessage = error?.details?.message || error?.message || null;
+
+  let type = ANALYTICS_ERROR_TYPES.UNKNOWN;
+  if (error?.name === 'AbortError' || error?.type === 'aborted') {
+    type = ANALYTICS_ERROR_TYPES.ABORTED;
+  } else if (error?.type === ANALYTICS_ERROR_TYPES.TIMEOUT || httpStatus === 408 || httpStatus === 504) {
+    type = ANALYTICS_ERROR_TYPES.TIMEOUT;
+  } else if (httpStatus === 401 || httpStatus === 403 || error?.type === 'access') {
+    type = ANALYTICS_ERROR_TYPES.PERMISSION;
+  } else if (MISSING_TABLES_ERROR_CODES.includes(error?.details?.errorCode) ||
+    (serverMessage && MISSING_TABLES_MESSAGE.test(serverMessage))) {
+    type = ANALYTICS_ERROR_TYPES.ANALYTICS_TABLES_MISSING;
+  } else if (httpStatus >= 500) {
+    type = ANALYTICS_ERROR_TYPES.SERVER;
+  } else if (httpStatus >= 400) {
+    type = ANALYTICS_ERROR_TYPES.BAD_REQUEST;
+  } else if (error?.type === 'network' || error instanceof TypeError) {
+    type = ANALYTICS_ERROR_TYPES.NETWORK;
+  }
+
+  return {
+    type,
+    httpStatus,
+    title: ERROR_MESSAGES[type].title,
+    message: ERROR_MESSAGES[type].description,
+    serverMessage,
+    retryable: RETRYABLE_TYPES.includes(type),
+    cause: error
+  };
+};
+
+/**
+ * Delay before a retry, doubling with every attempt
+ * @param {number} attempt - Retry number, starting at 0
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attempt) =>
+  Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+
+/**
+ * Wait for a number of milliseconds, stopping early when the signal aborts
+ * @param {number} ms - Time to wait
+ * @param {AbortSignal} signal - Signal cancelling the wait
+ * @returns {Promise} Resolves after the delay, rejects with an AbortError when cancelled
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  }, { once: true });
+});
+
+/**
+ * Run a request, retrying transient errors (network, 5xx, timeout) with backoff
+ * @param {Function} request - Function returning the request promise
+ * @param {Object} options - Retry options
+ * @param {AbortSignal} options.signal - Signal cancelling the request and any pending retry
+ * @param {number} options.retries - Maximum number of retries
+ * @param {Function} options.delay - Delay in milliseconds for a retry number
+ * @returns {Promise} Result of the first successful attempt
+ */
+export const withRetry = async (request, { signal, retries = MAX_RETRIES, delay = getRetryDelay } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      const { retryable } = classifyAnalyticsError(error);
+      if (!retryable || attempt >= retries || signal?.aborted) {
+        throw error;
+      }
+      console.warn(`Analytics request failed, retrying (${attempt + 1}/${retries})`, error);
+      await wait(delay(attempt), signal);
+    }
+  }
+};
+
+/**
+ * Run a data engine query that is cancelled by the signal or after a timeout
+ * @param {Object} engine - DHIS2 data engine
+ * @param {Object} query - Data engine query
+ * @param {Object} options - Query options
+ * @param {AbortSignal} options.signal - Signal cancelling the query
+ * @param {number} options.timeoutMs - Time after which the query is cancelled as timed out
+ * @returns {Promise<Object>} Query response
+ */
+export const queryWithTimeout = (engine, query, { signal, timeoutMs = ANALYTICS_TIMEOUT_MS } = {}) => {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort);
+
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  return engine.query(query, { signal: controller.signal })
+    .catch(error => {
+      if (timedOut) {
+        const timeoutError = new Error(`The analytics request took longer than ${timeoutMs / 1000} seconds`);
+        timeoutError.type = ANALYTICS_ERROR_TYPES.TIMEOUT;
+        throw timeoutError;
+      }
+      throw error;
+    })
+    .finally(() => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    });
+};
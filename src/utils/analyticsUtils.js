@@ -1,6 +1,13 @@
 /**
  * Utility functions for working with analytics data
  */
+import {
+  compareCellValues,
+  isBooleanValueType,
+  isDateValueType,
+  isNumericValueType,
+  parseBooleanValue
+} from './valueTypeUtils';
 
 /**
  * Filter out hidden columns from analytics data
@@ -30,9 +37,11 @@ export const filterHiddenColumns = (analyticsData, hiddenColumns = []) => {
    * @param {Array} analyticsData - 2D array with headers in first row
    * @param {number} columnIndex - Index of column to sort by
    * @param {string} direction - Sort direction ('asc' or 'desc')
+   * @param {string} valueType - Analytics header valueType of the column; without it
+   *   numbers and dates are recognised from the values
    * @returns {Array} Sorted analytics data (keeps header row at index 0)
    */
-  export const sortAnalyticsData = (analyticsData, columnIndex, direction = 'asc') => {
+  export const sortAnalyticsData = (analyticsData, columnIndex, direction = 'asc', valueType) => {
     if (!analyticsData || analyticsData.length <= 1) return analyticsData;
     
     // Extract header and data rows
@@ -43,6 +52,12 @@ export const filterHiddenColumns = (analyticsData, hiddenColumns = []) => {
     const sortedDataRows = dataRows.sort((a, b) => {
       const aValue = a[columnIndex];
       const bValue = b[columnIndex];
+
+      // Compare by the column type when analytics provides it
+      if (valueType) {
+        const result = compareCellValues(aValue, bValue, valueType);
+        return direction === 'asc' ? result : -result;
+      }
       
       // Handle numeric sorting
       if (!isNaN(aValue) && !isNaN(bValue)) {
@@ -95,13 +110,211 @@ export const filterHiddenColumns = (analyticsData, hiddenColumns = []) => {
     return [headerRow, ...filteredDataRows];
   };
   
+  /**
+   * Shorthand symbols users can type in a column filter, mapped to analytics operators
+   * (longest symbols first so ">=" is not read as ">")
+   */
+  const FILTER_OPERATOR_SHORTHANDS = [
+    ['>=', 'GE'],
+    ['<=', 'LE'],
+    ['!=', 'NE'],
+    ['>', 'GT'],
+    ['<', 'LT'],
+    ['=', 'EQ']
+  ];
+
+  /**
+   * Operators supported by analytics dimension filters
+   */
+  export const ANALYTICS_FILTER_OPERATORS = ['EQ', 'NE', 'GT', 'GE', 'LT', 'LE', 'LIKE', 'NLIKE', 'IN'];
+
+  /**
+   * Fixed analytics columns the server can sort on, mapped to their sort keys
+   */
+  const SERVER_SORTABLE_COLUMNS = {
+    eventdate: 'EVENTDATE',
+    enrollmentdate: 'ENROLLMENTDATE',
+    incidentdate: 'INCIDENTDATE',
+    scheduleddate: 'SCHEDULEDDATE',
+    lastupdated: 'LASTUPDATED',
+    ouname: 'OUNAME',
+    oucode: 'OUCODE'
+  };
+
+  /**
+   * Parse a column filter typed by the user into an analytics operator and value.
+   * Accepts explicit operators ("GT:5"), shorthands (">5", "!=Male") and plain text (LIKE).
+   * @param {string} expression - Filter text
+   * @returns {Object|null} { operator, value } or null for an empty filter
+   */
+  export const parseFilterExpression = (expression) => {
+    const text = String(expression ?? '').trim();
+    if (!text) return null;
+
+    const explicit = text.match(/^([A-Za-z]+):(.*)$/);
+    if (explicit && ANALYTICS_FILTER_OPERATORS.includes(explicit[1].toUpperCase())) {
+      return { operator: explicit[1].toUpperCase(), value: explicit[2].trim() };
+    }
+
+    const shorthand = FILTER_OPERATOR_SHORTHANDS.find(([symbol]) => text.startsWith(symbol));
+    if (shorthand) {
+      return { operator: shorthand[1], value: text.slice(shorthand[0].length).trim() };
+    }
+
+    return { operator: 'LIKE', value: text };
+  };
+
+  /**
+   * Check a single cell value against a column filter expression (client-side fallback)
+   * @param {any} cellValue - Cell value
+   * @param {string} expression - Filter text as accepted by parseFilterExpression
+   * @param {string} valueType - Analytics header valueType of the column; without it
+   *   values that look like numbers compare as numbers
+   * @returns {boolean} True if the value matches the filter
+   */
+  export const matchesFilterExpression = (cellValue, expression, valueType) => {
+    const filter = parseFilterExpression(expression);
+    if (!filter) return true;
+
+    const negated = filter.operator === 'NE' || filter.operator === 'NLIKE';
+    if (cellValue === null || cellValue === undefined || cellValue === '') return negated;
+
+    let text = String(cellValue).toLowerCase();
+    let target = filter.value.toLowerCase();
+
+    // Yes/no columns match "yes", "true" or "1" alike
+    if (isBooleanValueType(valueType) && parseBooleanValue(target) !== null) {
+      text = String(parseBooleanValue(text));
+      target = String(parseBooleanValue(target));
+    }
+
+    // Dates are compared at the precision of the filter, e.g. "2023-01-05" matches the whole day
+    if (isDateValueType(valueType)) {
+      text = text.slice(0, target.length);
+    }
+
+    // Compare numerically when both sides are numbers, otherwise as strings (ISO dates compare correctly)
+    // Codes and IDs of text columns that look like numbers still compare as text
+    const isNumeric = valueType ? isNumericValueType(valueType) : true;
+    const compare = () => {
+      if (isNumeric && text !== '' && target !== '' && !isNaN(text) && !isNaN(target)) {
+        return Number(text) - Number(target);
+      }
+      return text.localeCompare(target);
+    };
+
+    switch (filter.operator) {
+      case 'EQ': return text === target;
+      case 'NE': return text !== target;
+      case 'GT': return compare() > 0;
+      case 'GE': return compare() >= 0;
+      case 'LT': return compare() < 0;
+      case 'LE': return compare() <= 0;
+      case 'IN': return target.split(';').includes(text);
+      case 'NLIKE': return !text.includes(target);
+      default: return text.includes(target);
+    }
+  };
+
+  /**
+   * Get the item identifier of an analytics dimension, without legend set or filter parts
+   * e.g. "stageId.dataElementId-legendSetId:GT:5" -> "stageId.dataElementId"
+   * @param {string} dimension - Dimension parameter
+   * @returns {string} Dimension item identifier
+   */
+  export const getDimensionItemId = (dimension) =>
+    String(dimension).split(':')[0].split('-')[0];
+
+  /**
+   * Find the dimension parameter that produces a given analytics column
+   * @param {Array} dimensions - Dimension parameters of the query
+   * @param {string} columnName - Header name (UID) of the column
+   * @returns {number} Index in dimensions, or -1 if the column is not a query dimension
+   */
+  export const findDimensionIndex = (dimensions = [], columnName) => {
+    if (!columnName) return -1;
+    return dimensions.findIndex(dimension => {
+      const itemId = getDimensionItemId(dimension);
+      return itemId === columnName || itemId.split('.').pop() === columnName.split('.').pop();
+    });
+  };
+
+  /**
+   * Translate the viewer's column filters, search and sort into analytics query options.
+   * Columns backed by a query dimension are filtered server-side with dimension operators,
+   * sortable columns use asc/desc; everything else is returned for client-side filtering
+   * of the loaded page, as the analytics API cannot filter or sort on it.
+   * @param {Object} options
+   * @param {Array} options.dimensions - Dimension parameters of the query
+   * @param {Object} options.columnFilters - Object mapping column names (UIDs) to filter text
+   * @param {Object} options.search - { term, column } search box state, column is optional
+   * @param {Object} options.sort - { column, direction } sort state
+   * @returns {Object} { dimensions, sortParams, clientFilters, clientSearch, clientSort }
+   */
+  export const buildServerQueryOptions = ({ dimensions = [], columnFilters = {}, search = null, sort = null }) => {
+    const serverDimensions = [...dimensions];
+    const clientFilters = {};
+    let clientSearch = null;
+    let clientSort = null;
+    let sortParams = null;
+
+    const applyFilter = (columnName, expression) => {
+      const filter = parseFilterExpression(expression);
+      if (!filter) return;
+
+      // ":" separates operators in the dimension syntax, so a value holding one
+      // (e.g. a time) can only be filtered client-side
+      const index = findDimensionIndex(serverDimensions, columnName);
+      if (index >= 0 && !filter.value.includes(':')) {
+        serverDimensions[index] = `${serverDimensions[index]}:${filter.operator}:${filter.value}`;
+      } else {
+        clientFilters[columnName] = expression;
+      }
+    };
+
+    Object.entries(columnFilters).forEach(([columnName, expression]) => {
+      applyFilter(columnName, expression);
+    });
+
+    // The API cannot OR across columns, so a search without a column stays client-side
+    if (search?.term) {
+      if (search.column) {
+        applyFilter(search.column, `LIKE:${search.term}`);
+      } else {
+        clientSearch = search.term;
+      }
+    }
+
+    if (sort?.column) {
+      const direction = sort.direction === 'desc' ? 'desc' : 'asc';
+      const index = findDimensionIndex(dimensions, sort.column);
+      const sortKey = SERVER_SORTABLE_COLUMNS[sort.column] ||
+        (index >= 0 ? getDimensionItemId(dimensions[index]).split('.').pop() : null);
+
+      if (sortKey) {
+        sortParams = { [direction]: sortKey };
+      } else {
+        clientSort = { column: sort.column, direction };
+      }
+    }
+
+    return {
+      dimensions: serverDimensions,
+      sortParams,
+      clientFilters,
+      clientSearch,
+      clientSort
+    };
+  };
+
   /**
    * Apply column-specific filters to analytics data
    * @param {Array} analyticsData - 2D array with headers in first row
    * @param {Object} columnFilters - Object mapping column indices to filter values
+   * @param {Array} valueTypes - Analytics header valueType by column index
    * @returns {Array} Filtered analytics data (keeps header row at index 0)
    */
-  export const applyColumnFilters = (analyticsData, columnFilters = {}) => {
+  export const applyColumnFilters = (analyticsData, columnFilters = {}, valueTypes = []) => {
     if (!analyticsData || analyticsData.length <= 1) return analyticsData;
     if (Object.keys(columnFilters).length === 0) return analyticsData;
     
@@ -112,9 +325,7 @@ export const filterHiddenColumns = (analyticsData, hiddenColumns = []) => {
     const filteredDataRows = dataRows.filter(row => 
       Object.entries(columnFilters).every(([columnIndex, filterValue]) => {
         if (!filterValue) return true;
-        const cellValue = row[columnIndex];
-        return cellValue !== null && 
-               String(cellValue).toLowerCase().includes(filterValue.toLowerCase());
+        return matchesFilterExpression(row[columnIndex], filterValue, valueTypes[columnIndex]);
       })
     );
     
@@ -184,44 +395,21 @@ export const filterHiddenColumns = (analyticsData, hiddenColumns = []) => {
   };
   
   /**
-   * Check if a column appears to contain date values
-   * @param {Array} analyticsData - 2D array with headers in first row
+   * Check if a column contains date values, from its analytics header valueType
+   * (guessing from sampled values misclassified codes like "2023-01")
+   * @param {Array} columns - Column metadata ({ valueType }) by column index
    * @param {number} columnIndex - Index of column to check
-   * @returns {boolean} True if column appears to contain dates
+   * @returns {boolean} True if the column holds dates
    */
-  export const isDateColumn = (analyticsData, columnIndex) => {
-    if (!analyticsData || analyticsData.length <= 2) return false;
-    
-    // Take a sample of data rows (skip header)
-    const sampleRows = analyticsData.slice(1, Math.min(11, analyticsData.length));
-    const sampleValues = sampleRows.map(row => row[columnIndex]).filter(v => v !== null);
-    
-    // Check if most values match date format (YYYY-MM-DD)
-    const datePattern = /^\d{4}-\d{2}-\d{2}/;
-    const dateCount = sampleValues.filter(value => 
-      datePattern.test(String(value)) && !isNaN(new Date(value))
-    ).length;
-    
-    return dateCount > (sampleValues.length / 2);
-  };
+  export const isDateColumn = (columns, columnIndex) =>
+    isDateValueType(columns?.[columnIndex]?.valueType);
   
   /**
-   * Check if a column appears to contain numeric values
-   * @param {Array} analyticsData - 2D array with headers in first row
+   * Check if a column contains numeric values, from its analytics header valueType
+   * (guessing from sampled values misclassified numeric IDs)
+   * @param {Array} columns - Column metadata ({ valueType }) by column index
    * @param {number} columnIndex - Index of column to check
-   * @returns {boolean} True if column appears to contain numbers
+   * @returns {boolean} True if the column holds numbers
    */
-  export const isNumericColumn = (analyticsData, columnIndex) => {
-    if (!analyticsData || analyticsData.length <= 2) return false;
-    
-    // Take a sample of data rows (skip header)
-    const sampleRows = analyticsData.slice(1, Math.min(11, analyticsData.length));
-    const sampleValues = sampleRows.map(row => row[columnIndex]).filter(v => v !== null);
-    
-    // Check if most values are numbers
-    const numberCount = sampleValues.filter(value => 
-      !isNaN(value) && typeof value !== 'boolean'
-    ).length;
-    
-    return numberCount > (sampleValues.length / 2);
-  };
\ No newline at end of file
+  export const isNumericColumn = (columns, columnIndex) =>
+    isNumericValueType(columns?.[columnIndex]?.valueType);
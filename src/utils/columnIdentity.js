@@ -0,0 +1,134 @@
+/**
+ * Utility functions for identifying report columns by their analytics name (UID)
+ * Display names change with the UI language or when a data element is renamed,
+ * so configurations reference columns by the header `name` instead
+ */
+
+/**
+ * Marks configurations whose column references are analytics names
+ */
+export const COLUMN_ID_SCHEME = 'UID';
+
+/**
+ * English display names of the fixed analytics columns, by column name
+ * Used to migrate name-based configurations and as labels when no report is loaded
+ */
+export const FIXED_COLUMN_LABELS = {
+  psi: 'Event',
+  ps: 'Program stage',
+  storedby: 'Stored by',
+  createdbydisplayname: 'Created by',
+  lastupdatedbydisplayname: 'Last updated by',
+  lastupdated: 'Last updated on',
+  scheduleddate: 'Scheduled date',
+  enrollmentdate: 'Date of enrollment in the system',
+  incidentdate: 'Date of Report',
+  tei: 'Tracked entity instance',
+  pi: 'Program instance',
+  geometry: 'Geometry',
+  longitude: 'Longitude',
+  latitude: 'Latitude',
+  ounamehierarchy: 'Organisation unit name hierarchy',
+  oucode: 'Organisation unit code'
+};
+
+/**
+ * Key of each column of a header row: its analytics name, or the header label
+ * when no column metadata is available (e.g. demo data)
+ * @param {Array} headers - Header row
+ * @param {Array} columns - Column metadata by column index
+ * @returns {Array} Column keys by column index
+ */
+export const getColumnKeys = (headers = [], columns = []) =>
+  headers.map((header, index) => columns[index]?.name || header);
+
+/**
+ * Index of the first column with one of the given analytics names
+ * @param {Array} columns - Column metadata by column index
+ * @param {Array} names - Accepted column names, e.g. ['tei']
+ * @returns {number} Column index, or -1
+ */
+export const findColumnIndex = (columns = [], names = []) =>
+  columns.findIndex(column => names.includes(column?.name));
+
+/**
+ * Resolve a column reference of a configuration to the column name
+ * References that already are column names are kept; display names are looked up
+ * in the report columns, then in the fixed analytics columns
+ * @param {string} reference - Column name or display name
+ * @param {Array} columns - Report columns ({ name, column })
+ * @returns {string} Column name, or the reference if it cannot be resolved
+ */
+export const toColumnName = (reference, columns = []) => {
+  if (columns.some(column => column?.name === reference)) return reference;
+
+  const byLabel = columns.find(column => column?.column === reference);
+  if (byLabel?.name) return byLabel.name;
+
+  const fixedName = Object.keys(FIXED_COLUMN_LABELS)
+    .find(name => FIXED_COLUMN_LABELS[name] === reference);
+  return fixedName || reference;
+};
+
+/**
+ * Resolve a list of column references (hidden, ordered or pinned columns)
+ * @param {Array} references - Column names or display names
+ * @param {Array} columns - Report columns
+ * @returns {Array} Unique column names
+ */
+export const toColumnNames = (references = [], columns = []) =>
+  [...new Set(references.map(reference => toColumnName(reference, columns)))];
+
+/**
+ * Resolve the keys of a per-column setting object (masked columns, column settings)
+ * @param {Object} settings - Settings keyed by column name or display name
+ * @param {Array} columns - Report columns
+ * @returns {Object} Settings keyed by column name
+ */
+export const toColumnNameKeys = (settings = {}, columns = []) =>
+  Object.fromEntries(Object.entries(settings)
+    .map(([reference, value]) => [toColumnName(reference, columns), value]));
+
+/**
+ * Check whether a configuration still references columns by display name
+ * @param {Object} config - Dashboard configuration
+ * @returns {boolean} True if the column references need a migration
+ */
+export const needsColumnMigration = (config) =>
+  Boolean(config) && config.columnIdScheme !== COLUMN_ID_SCHEME;
+
+/**
+ * Migrate the column references of a configuration from display names to column names
+ * @param {Object} config - Dashboard configuration
+ * @param {Array} columns - Report columns, from the analytics headers
+ * @returns {Object} Configuration referencing columns by name
+ */
+export const migrateColumnReferences = (config, columns = []) => {
+  const migrated = { ...config, columnIdScheme: COLUMN_ID_SCHEME };
+
+  ['hiddenColumns', 'columnOrder', 'pinnedColumns'].forEach(key => {
+    if (Array.isArray(config[key])) {
+      migrated[key] = toColumnNames(config[key], columns);
+    }
+  });
+
+  ['maskedColumns', 'columnSettings'].forEach(key => {
+    if (config[key]) {
+      migrated[key] = toColumnNameKeys(config[key], columns);
+    }
+  });
+
+  return migrated;
+};
+
+/**
+ * Names of the columns not to display: the configured hidden columns plus the
+ * columns analytics flags as hidden
+ * @param {Array} hiddenColumns - Hidden column names of the configuration
+ * @param {Array} columns - Column metadata ({ name, hidden }) by column index
+ * @returns {Array} Column names
+ */
+export const getHiddenColumnNames = (hiddenColumns = [], columns = []) => [
+  ...hiddenColumns,
+  ...columns.filter(column => column?.hidden).map(column => column.name)
+];
@@ -0,0 +1,62 @@
+/**
+ * Utility functions for the column layout of the event list: order and pinned columns
+ * Columns are referenced by analytics column name (UID), like hiddenColumns
+ */
+
+/**
+ * Maximum number of columns that can be pinned to the left
+ */
+export const MAX_PINNED_COLUMNS = 3;
+
+/**
+ * Order in which columns are displayed: pinned columns first, then the others,
+ * each in the saved order
+ * @param {Array} columnOrder - Saved column order
+ * @param {Array} pinnedColumns - Pinned columns
+ * @returns {Array} Column names in display order
+ */
+export const getDisplayOrder = (columnOrder = [], pinnedColumns = []) => {
+  const ordered = [...columnOrder, ...pinnedColumns.filter(column => !columnOrder.includes(column))];
+  return [
+    ...ordered.filter(column => pinnedColumns.includes(column)),
+    ...ordered.filter(column => !pinnedColumns.includes(column))
+  ];
+};
+
+/**
+ * Indices of the visible columns, in display order
+ * Columns missing from the display order keep the analytics order, after the ordered ones
+ * @param {Array} columnKeys - Column keys by column index (see getColumnKeys)
+ * @param {Array} hiddenColumns - Hidden column names
+ * @param {Array} displayOrder - Column names in display order (see getDisplayOrder)
+ * @returns {Array} Column indices
+ */
+export const getVisibleColumnIndices = (columnKeys = [], hiddenColumns = [], displayOrder = []) => {
+  const rank = (index) => {
+    const position = displayOrder.indexOf(columnKeys[index]);
+    return position === -1 ? displayOrder.length : position;
+  };
+
+  return columnKeys
+    .map((key, index) => index)
+    .filter(index => !hiddenColumns.includes(columnKeys[index]))
+    .sort((a, b) => rank(a) - rank(b) || a - b);
+};
+
+/**
+ * Move a column to the position of another one (drag and drop)
+ * @param {Array} order - Column names in their current order
+ * @param {string} column - Dragged column
+ * @param {string} targetColumn - Column it was dropped on
+ * @returns {Array} New column order
+ */
+export const moveColumn = (order, column, targetColumn) => {
+  const fromIndex = order.indexOf(column);
+  const toIndex = order.indexOf(targetColumn);
+  if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return order;
+
+  const newOrder = [...order];
+  newOrder.splice(fromIndex, 1);
+  newOrder.splice(toIndex, 0, column);
+  return newOrder;
+};
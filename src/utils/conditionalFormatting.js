@@ -0,0 +1,141 @@
+/**
+ * Conditional formatting of a widget configuration: rules that colour cells or whole
+ * rows, by a condition on a column value or by a DHIS2 legend set
+ * (conditionalFormats: [{ id, type, column, operator, value, color, legendSetId, scope }])
+ */
+import { matchesFilterExpression } from './analyticsUtils';
+import { getColumnKeys } from './columnIdentity';
+
+/**
+ * How a rule picks its colour
+ */
+export const RULE_TYPES = {
+  CONDITION: 'CONDITION',
+  LEGEND_SET: 'LEGEND_SET'
+};
+
+/**
+ * What a matching rule colours
+ */
+export const RULE_SCOPES = {
+  CELL: 'CELL',
+  ROW: 'ROW'
+};
+
+/**
+ * Operators of condition rules, as understood by matchesFilterExpression
+ */
+export const RULE_OPERATORS = [
+  { value: 'EQ', label: 'equals' },
+  { value: 'NE', label: 'does not equal' },
+  { value: 'GT', label: 'greater than' },
+  { value: 'GE', label: 'greater than or equal to' },
+  { value: 'LT', label: 'less than' },
+  { value: 'LE', label: 'less than or equal to' },
+  { value: 'LIKE', label: 'contains' }
+];
+
+/**
+ * Colours offered for condition rules
+ */
+export const RULE_COLORS = [
+  { value: '#ffcdd2', label: 'Red' },
+  { value: '#ffe0b2', label: 'Amber' },
+  { value: '#fff9c4', label: 'Yellow' },
+  { value: '#c8e6c9', label: 'Green' },
+  { value: '#bbdefb', label: 'Blue' },
+  { value: '#e0e0e0', label: 'Grey' }
+];
+
+/**
+ * Colour of the legend a value falls in
+ * Legends cover startValue up to, but not including, endValue; the last one includes it
+ * @param {*} value - Cell value
+ * @param {Object} legendSet - Legend set with legends [{ startValue, endValue, color }]
+ * @returns {string|null} Legend colour, or null outside every legend
+ */
+export const getLegendColor = (value, legendSet) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) return null;
+
+  const legends = [...(legendSet?.legends || [])].sort((a, b) => a.startValue - b.startValue);
+  const legend = legends.find((item, index) =>
+    number >= item.startValue &&
+    (number < item.endValue || (index === legends.length - 1 && number === item.endValue))
+  );
+  return legend?.color || null;
+};
+
+/**
+ * Text colour readable on a background colour
+ * @param {string} backgroundColor - Hex colour, e.g. "#ffcdd2"
+ * @returns {string} Dark or white text colour
+ */
+export const getContrastTextColor = (backgroundColor) => {
+  const hex = String(backgroundColor || '').replace('#', '');
+  if (!/^[0-9a-f]{6}$/i.test(hex)) return '#212934';
+
+  const [red, green, blue] = [0, 2, 4].map(start => parseInt(hex.slice(start, start + 2), 16));
+  const luminance = (0.299 * red + 0.587 * green + 0.114 * blue) / 255;
+  return luminance > 0.5 ? '#212934' : '#ffffff';
+};
+
+/**
+ * Colour a rule gives to a value, or null if the rule does not match
+ * @param {Object} rule - Conditional format rule
+ * @param {*} value - Value of the rule's column
+ * @param {string} valueType - Analytics header valueType of the column
+ * @param {Array} legendSets - Legend sets referenced by the rules
+ * @returns {string|null} Colour
+ */
+const getRuleColor = (rule, value, valueType, legendSets) => {
+  if (rule.type === RULE_TYPES.LEGEND_SET) {
+    return getLegendColor(value, legendSets.find(legendSet => legendSet.id === rule.legendSetId));
+  }
+  if (!rule.operator || rule.value === undefined || rule.value === '') return null;
+  return matchesFilterExpression(value, `${rule.operator}:${rule.value}`, valueType) ? rule.color || null : null;
+};
+
+/**
+ * Background colour of every cell of the data rows
+ * Rules are matched in order and the first matching rule of a cell wins; cell rules
+ * take precedence over row rules. Rules of columns missing from the rows are ignored.
+ * @param {Array} rows - Rows including the header row, with raw (unformatted) values
+ * @param {Array} columns - Column metadata ({ name, valueType }) by column index
+ * @param {Array} rules - Conditional format rules of the configuration
+ * @param {Array} legendSets - Legend sets referenced by the rules
+ * @returns {Array} Colour (or null) by data row and column index
+ */
+export const getCellColors = (rows, columns = [], rules = [], legendSets = []) => {
+  if (!rows || rows.length <= 1) return [];
+
+  const columnKeys = getColumnKeys(rows[0], columns);
+  const activeRules = rules
+    .map(rule => ({ ...rule, columnIndex: columnKeys.indexOf(rule.column) }))
+    .filter(rule => rule.columnIndex >= 0);
+
+  return rows.slice(1).map(row => {
+    const colorOf = (rule) =>
+      getRuleColor(rule, row[rule.columnIndex], columns[rule.columnIndex]?.valueType, legendSets);
+
+    const rowRule = activeRules.find(rule => rule.scope === RULE_SCOPES.ROW && colorOf(rule));
+    const rowColor = rowRule ? colorOf(rowRule) : null;
+
+    return row.map((cell, index) => {
+      const cellRule = activeRules.find(rule =>
+        rule.scope !== RULE_SCOPES.ROW && rule.columnIndex === index && colorOf(rule)
+      );
+      return cellRule ? colorOf(cellRule) : rowColor;
+    });
+  });
+};
+
+/**
+ * Legend set ids referenced by the rules of a configuration
+ * @param {Array} rules - Conditional format rules
+ * @returns {Array} Unique legend set ids
+ */
+export const getRuleLegendSetIds = (rules = []) => [...new Set(rules
+  .filter(rule => rule.type === RULE_TYPES.LEGEND_SET && rule.legendSetId)
+  .map(rule => rule.legendSetId))];
@@ -0,0 +1,82 @@
+/**
+ * Change history of the dashboard and widget instance configurations
+ * Every save appends an entry (who, when, which fields changed) holding the saved
+ * settings, so any previous version can be restored. The history of a dashboard and
+ * of its widget instances is kept together, newest entry first.
+ */
+import { BOOKKEEPING_FIELDS } from './configurationRevision';
+
+/**
+ * Entries kept per dashboard, older ones are dropped
+ */
+export const MAX_HISTORY_ENTRIES = 50;
+
+/**
+ * Fields left out of the history: stamped on every save, or holding the widget
+ * instances that have a history of their own
+ */
+const UNTRACKED_FIELDS = [...BOOKKEEPING_FIELDS, 'items'];
+
+/**
+ * Settings of a configuration as recorded in the history
+ * @param {Object} config - Dashboard or widget instance configuration
+ * @returns {Object} Settings without bookkeeping fields and widget instances
+ */
+export const getVersionSettings = (config) =>
+  Object.fromEntries(Object.entries(config || {})
+    .filter(([field]) => !UNTRACKED_FIELDS.includes(field)));
+
+/**
+ * Fields changed between two versions of a configuration
+ * @param {Object} before - Configuration before the save
+ * @param {Object} after - Configuration after the save
+ * @returns {Array} Changes: { field, from, to }, from or to undefined when the field was added or removed
+ */
+export const diffConfigurations = (before, after) => {
+  const previous = getVersionSettings(before);
+  const current = getVersionSettings(after);
+  const fields = [...new Set([...Object.keys(previous), ...Object.keys(current)])];
+
+  return fields
+    .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(current[field]))
+    .map(field => ({ field, from: previous[field], to: current[field] }));
+};
+
+/**
+ * History entry of a save
+ * @param {Object} params - Entry details
+ * @param {Object} params.before - Configuration before the save
+ * @param {Object} params.after - Configuration after the save
+ * @param {string} params.itemId - Dashboard item of the widget instance, null for the dashboard
+ * @param {Object} params.user - User who saved ({ id, username, displayName })
+ * @param {string} params.restoredFrom - ID of the restored entry, when the save was a restore
+ * @returns {Object} Entry, identified by the revision of the saved configuration
+ */
+export const createHistoryEntry = ({ before, after, itemId = null, user = null, restoredFrom = null }) => ({
+  id: after.revision,
+  itemId,
+  timestamp: after.lastModified || new Date().toISOString(),
+  user: user ? { id: user.id, username: user.username, displayName: user.displayName } : null,
+  changes: diffConfigurations(before, after),
+  ...(restoredFrom ? { restoredFrom } : {}),
+  settings: getVersionSettings(after)
+});
+
+/**
+ * History with an entry added, keeping the newest MAX_HISTORY_ENTRIES
+ * @param {Array} entries - History entries, newest first
+ * @param {Object} entry - New entry
+ * @returns {Array} Updated history
+ */
+export const addHistoryEntry = (entries, entry) =>
+  [entry, ...(entries || []).filter(existing => existing.id !== entry.id)]
+    .slice(0, MAX_HISTORY_ENTRIES);
+
+/**
+ * History of one configuration: the dashboard's own, or one widget instance's
+ * @param {Array} entries - History of the dashboard and its widget instances
+ * @param {string} itemId - Dashboard item of the widget instance, null for the dashboard
+ * @returns {Array} Entries, newest first
+ */
+export const getTargetHistory = (entries, itemId = null) =>
+  (entries || []).filter(entry => (entry.itemId || null) === (itemId || null));
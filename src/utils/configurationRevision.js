@@ -0,0 +1,157 @@
+/**
+ * Optimistic concurrency for the dashboard configurations in the Data Store
+ * Every save stamps the saved dashboard (or widget instance) configuration with a new
+ * revision. A save based on an older revision than the stored one is a conflict, and
+ * a save overwritten by a concurrent save of another configuration is retried.
+ */
+import {
+  getItemConfigurations,
+  removeItemConfiguration,
+  setItemConfiguration
+} from './widgetConfiguration';
+
+/**
+ * Code of the errors thrown when a configuration changed since it was loaded
+ */
+export const CONFIGURATION_CONFLICT = 'CONFIGURATION_CONFLICT';
+
+/**
+ * Saves attempted before giving up on concurrent writes
+ */
+export const MAX_SAVE_ATTEMPTS = 3;
+
+/**
+ * Fields stamped on every save, never reported as conflicting changes
+ */
+export const BOOKKEEPING_FIELDS = ['revision', 'lastModified', 'metadata'];
+
+/**
+ * New revision stamp, unique across users saving at the same moment
+ * @returns {string} Revision
+ */
+export const createRevision = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Revision of a stored configuration; configurations saved before revisions
+ * were stamped are identified by their modification time
+ * @param {Object} config - Dashboard or widget instance configuration
+ * @returns {string|null} Revision, or null if there is no configuration
+ */
+export const getRevision = (config) => config?.revision || config?.lastModified || null;
+
+/**
+ * Stored configuration of a dashboard, or of a widget instance on it
+ * @param {Object} configs - All dashboard configurations
+ * @param {string} dashboardId - Dashboard ID
+ * @param {string} itemId - Dashboard item of the widget instance, if any
+ * @returns {Object|undefined} Configuration
+ */
+export const getTargetConfiguration = (configs, dashboardId, itemId = null) =>
+  itemId
+    ? getItemConfigurations(configs?.[dashboardId])[itemId]
+    : configs?.[dashboardId];
+
+/**
+ * Error telling that a configuration was changed by someone else
+ * @param {Object} current - Configuration as currently stored
+ * @returns {Error} Error with code CONFIGURATION_CONFLICT and the stored configuration
+ */
+export const createConflictError = (current) => {
+  const error = new Error('The configuration was changed by someone else since it was loaded');
+  error.code = CONFIGURATION_CONFLICT;
+  error.current = current || null;
+  return error;
+};
+
+/**
+ * Check whether an error is a configuration conflict
+ * @param {Error} error - Error thrown by a save
+ * @returns {boolean} True for conflicts
+ */
+export const isConflictError = (error) => error?.code === CONFIGURATION_CONFLICT;
+
+/**
+ * Merge my changes with the ones saved by someone else since the configuration was loaded
+ * Fields I changed are kept, every other field takes the stored value
+ * @param {Object} base - Configuration as it was loaded
+ * @param {Object} mine - Configuration about to be saved
+ * @param {Object} theirs - Configuration as currently stored
+ * @returns {Object} { merged, conflicts }, conflicts listing fields both sides changed differently
+ */
+export const mergeConfigurations = (base = {}, mine = {}, theirs = {}) => {
+  const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const merged = { ...theirs };
+  const conflicts = [];
+
+  Object.keys(mine).forEach(key => {
+    if (isSame(mine[key], base[key])) return;
+    if (!BOOKKEEPING_FIELDS.includes(key) &&
+      !isSame(theirs[key], base[key]) && !isSame(theirs[key], mine[key])) {
+      conflicts.push(key);
+    }
+    merged[key] = mine[key];
+  });
+
+  return { merged, conflicts };
+};
+
+/**
+ * Save one dashboard (or widget instance) configuration into the stored configurations
+ * The Data Store has no conditional writes, so the stored configurations are read just
+ * before writing and read back afterwards: a save lost to a concurrent write of another
+ * configuration is applied again, one based on an outdated revision is a conflict.
+ * @param {Object} store - { read, write }: read resolves to all configurations, write stores them
+ * @param {string} dashboardId - Dashboard ID
+ * @param {Object} config - Configuration to merge into the stored one
+ * @param {Object} options - Save options
+ * @param {string} options.itemId - Dashboard item of the widget instance, if only that one
+ * @param {string|null} options.baseRevision - Revision the changes are based on; not checked when undefined
+ * @param {boolean} options.replace - Replace the stored settings instead of merging into them; the
+ * widget instances of a dashboard are kept
+ * @returns {Promise<Object>} All configurations as stored after the save
+ */
+export const saveWithConcurrencyCheck = async (store, dashboardId, config, {
+  itemId = null,
+  baseRevision,
+  replace = false
+} = {}) => {
+  const revision = createRevision();
+  let current;
+
+  for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt += 1) {
+    const currentConfigs = await store.read();
+    current = getTargetConfiguration(currentConfigs, dashboardId, itemId);
+
+    if (baseRevision !== undefined && getRevision(current) !== (baseRevision || null)) {
+      throw createConflictError(current);
+    }
+
+    const lastModified = new Date().toISOString();
+    const dashboardConfig = currentConfigs[dashboardId];
+    const items = getItemConfigurations(dashboardConfig);
+    await store.write({
+      ...currentConfigs,
+      [dashboardId]: itemId
+        ? setItemConfiguration(
+          replace ? removeItemConfiguration(dashboardConfig, itemId) : dashboardConfig,
+          itemId,
+          { ...config, revision },
+          lastModified
+        )
+        : {
+          ...(replace ? (Object.keys(items).length > 0 ? { items } : {}) : (dashboardConfig || {})),
+          ...config,
+          revision,
+          lastModified
+        }
+    });
+
+    const savedConfigs = await store.read();
+    if (getRevision(getTargetConfiguration(savedConfigs, dashboardId, itemId)) === revision) {
+      return savedConfigs;
+    }
+  }
+
+  throw createConflictError(current);
+};
@@ -0,0 +1,242 @@
+/**
+ * Data Store layout of the dashboard configurations: one key per dashboard
+ * (EVENT_REPORT_WIDGET/dashboard_<dashboardId>), listed through the namespace keys,
+ * next to the global configuration (EVENT_REPORT_WIDGET/globalConfiguration) and the
+ * change history of each dashboard (EVENT_REPORT_WIDGET/history_<dashboardId>).
+ * Configurations used to share one dashboardConfigurations key, which is migrated
+ * to this layout once and still read until then.
+ */
+
+/**
+ * Data Store namespace of the app
+ */
+export const DATASTORE_NAMESPACE = 'EVENT_REPORT_WIDGET';
+
+/**
+ * Former key holding the configurations of every dashboard
+ */
+export const LEGACY_DASHBOARD_CONFIGS_KEY = 'dashboardConfigurations';
+
+/**
+ * Key of the settings shared by all dashboards
+ */
+export const GLOBAL_CONFIG_KEY = 'globalConfiguration';
+
+/**
+ * Prefix of the keys holding one dashboard configuration
+ */
+export const DASHBOARD_KEY_PREFIX = 'dashboard_';
+
+/**
+ * Prefix of the keys holding the change history of one dashboard configuration
+ */
+export const HISTORY_KEY_PREFIX = 'history_';
+
+/**
+ * Data Store key of a dashboard configuration
+ * @param {string} dashboardId - Dashboard ID, or 'default'
+ * @returns {string} Key
+ */
+export const getDashboardKey = (dashboardId) => `${DASHBOARD_KEY_PREFIX}${dashboardId}`;
+
+/**
+ * Dashboard ID stored under a Data Store key
+ * @param {string} key - Data Store key
+ * @returns {string|null} Dashboard ID, or null for keys of other settings
+ */
+export const getDashboardIdFromKey = (key) =>
+  key.startsWith(DASHBOARD_KEY_PREFIX) ? key.slice(DASHBOARD_KEY_PREFIX.length) || null : null;
+
+/**
+ * Check whether a data engine error is a missing key or namespace
+ * @param {Error} error - Error thrown by the data engine
+ * @returns {boolean} True for 404 responses
+ */
+const isNotFound = (error) =>
+  error?.details?.httpStatusCode === 404 || error?.httpStatusCode === 404;
+
+/**
+ * Read a Data Store key
+ * @param {Object} engine - DHIS2 data engine
+ * @param {string} key - Data Store key
+ * @returns {Promise<*>} Stored value, or undefined if the key does not exist
+ */
+const readKey = async (engine, key) => {
+  try {
+    const { value } = await engine.query({
+      value: { resource: `dataStore/${DATASTORE_NAMESPACE}/${key}` }
+    });
+    return value;
+  } catch (error) {
+    if (isNotFound(error)) return undefined;
+    throw error;
+  }
+};
+
+/**
+ * Write a Data Store key, creating it if it does not exist yet
+ * @param {Object} engine - DHIS2 data engine
+ * @param {string} key - Data Store key
+ * @param {*} data - Value to store
+ */
+const writeKey = async (engine, key, data) => {
+  const mutation = { resource: `dataStore/${DATASTORE_NAMESPACE}`, id: key, data };
+  try {
+    await engine.mutate({ ...mutation, type: 'update' });
+  } catch (error) {
+    if (!isNotFound(error)) throw error;
+    await engine.mutate({ ...mutation, type: 'create' });
+  }
+};
+
+/**
+ * Delete a Data Store key; a missing key is already deleted
+ * @param {Object} engine - DHIS2 data engine
+ * @param {string} key - Data Store key
+ */
+const deleteKey = async (engine, key) => {
+  try {
+    await engine.mutate({ resource: `dataStore/${DATASTORE_NAMESPACE}`, id: key, type: 'delete' });
+  } catch (error) {
+    if (!isNotFound(error)) throw error;
+  }
+};
+
+/**
+ * Keys of the app namespace
+ * @param {Object} engine - DHIS2 data engine
+ * @returns {Promise<Array>} Keys, empty if the namespace does not exist yet
+ */
+const listKeys = async (engine) => {
+  try {
+    const { keys } = await engine.query({
+      keys: { resource: `dataStore/${DATASTORE_NAMESPACE}` }
+    });
+    return keys || [];
+  } catch (error) {
+    if (isNotFound(error)) return [];
+    throw error;
+  }
+};
+
+/**
+ * Read the configuration of one dashboard
+ * @param {Object} engine - DHIS2 data engine
+ * @param {string} dashboardId - Dashboard ID, or 'default'
+ * @returns {Promise<Object|undefined>} Configuration, or undefined if there is none
+ */
+export const readDashboardConfiguration = (engine, dashboardId) =>
+  readKey(engine, getDashboardKey(dashboardId));
+
+/**
+ * Store the configuration of one dashboard
+ * @param {Object} engine - DHIS2 data engine
+ * @param {string} dashboardId - Dashboard ID, or 'default'
+ * @param {Object} config - Configuration
+ */
+export const writeDashboardConfiguration = (engine, dashboardId, config) =>
+  writeKey(engine, getDashboardKey(dashboardId), config);
+
+/**
+ * Remove the configuration of one dashboard
+ * @param {Object} engine - DHIS2 data engine
+ * @param {string} dashboardId - Dashboard ID
+ */
+export const deleteDashboardConfiguration = (engine, dashboardId) =>
+  deleteKey(engine, getDashboardKey(dashboardId));
+
+/**
+ * Read the global configuration
+ * @param {Object} engine - DHIS2 data engine
+ * @returns {Promise<Object|undefined>} Global configuration, or undefined if there is none
+ */
+export const readGlobalConfiguration = (engine) => readKey(engine, GLOBAL_CONFIG_KEY);
+
+/**
+ * Store the global configuration
+ * @param {Object} engine - DHIS2 data engine
+ * @param {Object} config - Global configuration
+ */
+export const writeGlobalConfiguration = (engine, config) =>
+  writeKey(engine, GLOBAL_CONFIG_KEY, config);
+
+/**
+ * Read the change history of one dashboard configuration and its widget instances
+ * @param {Object} engine - DHIS2 data engine
+ * @param {string} dashboardId - Dashboard ID, or 'default'
+ * @returns {Promise<Array>} History entries, newest first
+ */
+export const readConfigurationHistory = async (engine, dashboardId) =>
+  await readKey(engine, `${HISTORY_KEY_PREFIX}${dashboardId}`) || [];
+
+/**
+ * Store the change history of one dashboard configuration and its widget instances
+ * @param {Object} engine - DHIS2 data engine
+ * @param {string} dashboardId - Dashboard ID, or 'default'
+ * @param {Array} entries - History entries, newest first
+ */
+export const writeConfigurationHistory = (engine, dashboardId, entries) =>
+  writeKey(engine, `${HISTORY_KEY_PREFIX}${dashboardId}`, entries);
+
+/**
+ * Read the configurations of all dashboards
+ * Dashboards not migrated from the former single key yet are read from it
+ * @param {Object} engine - DHIS2 data engine
+ * @returns {Promise<Object>} Configurations by dashboard ID
+ */
+export const readAllDashboardConfigurations = async (engine) => {
+  const keys = await listKeys(engine);
+  const dashboardIds = keys.map(getDashboardIdFromKey).filter(Boolean);
+
+  const configs = await Promise.all(dashboardIds.map(dashboardId =>
+    readDashboardConfiguration(engine, dashboardId)
+  ));
+  const legacyConfigs = keys.includes(LEGACY_DASHBOARD_CONFIGS_KEY)
+    ? await readKey(engine, LEGACY_DASHBOARD_CONFIGS_KEY)
+    : null;
+
+  return dashboardIds.reduce((all, dashboardId, index) => (
+    configs[index] ? { ...all, [dashboardId]: configs[index] } : all
+  ), { ...(legacyConfigs || {}) });
+};
+
+/**
+ * Store of one dashboard configuration for saveWithConcurrencyCheck, reading
+ * dashboards not migrated from the former single key yet from it
+ * @param {Object} engine - DHIS2 data engine
+ * @param {string} dashboardId - Dashboard ID, or 'default'
+ * @returns {Object} { read, write } on configurations by dashboard ID
+ */
+export const createDashboardStore = (engine, dashboardId) => ({
+  read: async () => {
+    const config = await readDashboardConfiguration(engine, dashboardId) ||
+      (await readKey(engine, LEGACY_DASHBOARD_CONFIGS_KEY))?.[dashboardId];
+    return config ? { [dashboardId]: config } : {};
+  },
+  write: (configs) => writeDashboardConfiguration(engine, dashboardId, configs[dashboardId])
+});
+
+/**
+ * Move the configurations of the former single key to one key per dashboard
+ * Safe to run again or after an interruption: dashboards that already have their own
+ * key are left as they are, and the former key is only removed once all are copied.
+ * @param {Object} engine - DHIS2 data engine
+ * @returns {Promise<Array>} IDs of the dashboards migrated by this run
+ */
+export const migrateLegacyConfigurations = async (engine) => {
+  const keys = await listKeys(engine);
+  if (!keys.includes(LEGACY_DASHBOARD_CONFIGS_KEY)) return [];
+
+  const legacyConfigs = await readKey(engine, LEGACY_DASHBOARD_CONFIGS_KEY) || {};
+  const migrated = [];
+
+  for (const [dashboardId, config] of Object.entries(legacyConfigs)) {
+    if (config && !keys.includes(getDashboardKey(dashboardId))) {
+      await writeDashboardConfiguration(engine, dashboardId, config);
+      migrated.push(dashboardId);
+    }
+  }
+
+  await deleteKey(engine, LEGACY_DASHBOARD_CONFIGS_KEY);
+  return migrated;
+};
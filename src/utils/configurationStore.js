@@ -0,0 +1,385 @@
+/**
+ * Configuration store shared by every component of the app
+ * Holds the dashboard and global configurations read from the Data Store, performs
+ * every change to them and notifies its subscribers, so a save in the configuration
+ * manager is seen by all widgets at once. Other instances of the app (each dashboard
+ * widget runs in its own frame) are told to reload through a broadcast channel.
+ * Saves of dashboard and widget instance configurations are recorded in their history.
+ */
+import { DEFAULT_HIDDEN_COLUMNS } from './constants';
+import { COLUMN_ID_SCHEME } from './columnIdentity';
+import { getItemConfigurations, removeItemConfiguration } from './widgetConfiguration';
+import {
+  MAX_SAVE_ATTEMPTS,
+  getTargetConfiguration,
+  isConflictError,
+  saveWithConcurrencyCheck
+} from './configurationRevision';
+import { addHistoryEntry, createHistoryEntry } from './configurationHistory';
+import {
+  DATASTORE_NAMESPACE,
+  createDashboardStore,
+  deleteDashboardConfiguration,
+  readAllDashboardConfigurations,
+  readDashboardConfiguration,
+  readConfigurationHistory,
+  readGlobalConfiguration,
+  writeConfigurationHistory,
+  writeDashboardConfiguration,
+  writeGlobalConfiguration
+} from './configurationStorage';
+
+/**
+ * Global configuration used until one is stored
+ */
+export const DEFAULT_GLOBAL_CONFIG = {
+  theme: 'default',
+  language: 'en',
+  pageSize: 10,
+  refreshInterval: 0,
+  globalFallback: true
+};
+
+/**
+ * Broadcast channel telling the other instances of the app that configurations changed
+ */
+const CHANNEL_NAME = `${DATASTORE_NAMESPACE}/configurations`;
+
+/**
+ * Default dashboard configuration, as created on first use or on reset
+ * @returns {Object} Configuration
+ */
+export const createDefaultDashboardConfiguration = () => ({
+  pageSize: 10,
+  period: 'LAST_12_MONTHS',
+  hiddenColumns: DEFAULT_HIDDEN_COLUMNS,
+  columnIdScheme: COLUMN_ID_SCHEME,
+  metadata: {
+    createdAt: new Date().toISOString(),
+    lastModified: new Date().toISOString()
+  }
+});
+
+/**
+ * Create the configuration store of the app
+ * @param {Object} engine - DHIS2 data engine
+ * @returns {Object} Store: getSnapshot and subscribe (for useSyncExternalStore), connect, setUser,
+ * and the load, save, delete, reset, history and restore operations
+ */
+export const createConfigurationStore = (engine) => {
+  let state = {
+    configurations: {},
+    globalConfig: DEFAULT_GLOBAL_CONFIG,
+    // Change history by dashboard ID, for the dashboards it was loaded for
+    history: {},
+    loading: true,
+    error: null
+  };
+  const listeners = new Set();
+  let channel = null;
+  let pendingLoad = null;
+  // User recorded in the history of the saves
+  let currentUser = null;
+
+  const setState = (update) => {
+    state = { ...state, ...(typeof update === 'function' ? update(state) : update) };
+    listeners.forEach(listener => listener());
+  };
+
+  const notifyOtherInstances = () => {
+    channel?.postMessage({ type: 'configurationsChanged' });
+  };
+
+  // Run a change of the stored configurations, keeping the loading and error state
+  const change = async (description, operation, { isExpectedError = () => false } = {}) => {
+    setState({ loading: true });
+    try {
+      const result = await operation();
+      notifyOtherInstances();
+      return result;
+    } catch (error) {
+      console.error(`Error ${description}:`, error);
+      if (!isExpectedError(error)) {
+        setState({ error });
+      }
+      throw error;
+    } finally {
+      setState({ loading: false });
+    }
+  };
+
+  /**
+   * (Re)load the change history of a dashboard and its widget instances
+   * @param {string} dashboardId - Dashboard ID, or 'default'
+   * @returns {Promise<Array>} History entries, newest first
+   */
+  const loadHistory = async (dashboardId) => {
+    try {
+      const entries = await readConfigurationHistory(engine, dashboardId);
+      setState(prev => ({ history: { ...prev.history, [dashboardId]: entries } }));
+      return entries;
+    } catch (error) {
+      console.error(`Error loading configuration history for dashboard ${dashboardId}:`, error);
+      return state.history[dashboardId] || [];
+    }
+  };
+
+  // Add a save to the history of its dashboard; a save is kept even if recording it fails.
+  // Like the configurations, the history is read back after writing and the entry added
+  // again when a concurrent save of the same dashboard overwrote it
+  const recordHistory = async (dashboardId, { itemId, before, after, restoredFrom }) => {
+    const entry = createHistoryEntry({ before, after, itemId, user: currentUser, restoredFrom });
+    if (entry.changes.length === 0 && !restoredFrom) return;
+
+    try {
+      for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt += 1) {
+        const entries = addHistoryEntry(await readConfigurationHistory(engine, dashboardId), entry);
+        await writeConfigurationHistory(engine, dashboardId, entries);
+
+        const savedEntries = await readConfigurationHistory(engine, dashboardId);
+        if (savedEntries.some(saved => saved.id === entry.id)) {
+          setState(prev => ({ history: { ...prev.history, [dashboardId]: entries } }));
+          return;
+        }
+      }
+      console.error(`Configuration history for dashboard ${dashboardId} kept being overwritten, the save is not recorded`);
+    } catch (error) {
+      console.error(`Error recording configuration history for dashboard ${dashboardId}:`, error);
+    }
+  };
+
+  /**
+   * (Re)load all configurations; concurrent calls share the same reading
+   * @returns {Promise<void>}
+   */
+  const load = () => {
+    if (!pendingLoad) {
+      setState({ loading: true });
+      pendingLoad = Promise.all([
+        readAllDashboardConfigurations(engine),
+        readGlobalConfiguration(engine)
+      ])
+        .then(([configurations, globalConfig]) => {
+          setState({
+            configurations,
+            globalConfig: globalConfig || DEFAULT_GLOBAL_CONFIG,
+            error: null
+          });
+          // Histories shown so far may have new entries as well
+          Object.keys(state.history).forEach(loadHistory);
+        })
+        .catch(error => {
+          console.error('Error loading configurations:', error);
+          setState({ error });
+        })
+        .finally(() => {
+          pendingLoad = null;
+          setState({ loading: false });
+        });
+    }
+    return pendingLoad;
+  };
+
+  // Save a dashboard (or widget instance) configuration and record it in the history,
+  // unless told not to (layout changes made while viewing a widget)
+  const save = (dashboardId, config, {
+    itemId = null,
+    baseRevision,
+    replace = false,
+    restoredFrom = null,
+    recordHistory: isRecorded = true
+  } = {}) => {
+    if (!dashboardId) {
+      return Promise.reject(new Error('Dashboard ID is required'));
+    }
+
+    return change(`saving configuration for dashboard ${dashboardId}`, async () => {
+      // Only the key of this dashboard is read and written; the configurations read
+      // last before writing are the ones the save changed
+      const dashboardStore = createDashboardStore(engine, dashboardId);
+      let readConfigs = {};
+      let previousConfigs = {};
+      const updatedConfigs = await saveWithConcurrencyCheck({
+        read: async () => (readConfigs = await dashboardStore.read()),
+        write: (configs) => {
+          previousConfigs = readConfigs;
+          return dashboardStore.write(configs);
+        }
+      }, dashboardId, config, { itemId, baseRevision, replace });
+      setState(prev => ({ configurations: { ...prev.configurations, ...updatedConfigs } }));
+
+      if (isRecorded) {
+        await recordHistory(dashboardId, {
+          itemId,
+          before: getTargetConfiguration(previousConfigs, dashboardId, itemId),
+          after: getTargetConfiguration(updatedConfigs, dashboardId, itemId),
+          restoredFrom
+        });
+      }
+      return updatedConfigs;
+    }, {
+      // Conflicts are resolved by the caller
+      isExpectedError: isConflictError
+    });
+  };
+
+  /**
+   * Save the configuration of a dashboard, or of one widget instance on it
+   * @param {string} dashboardId - Dashboard ID, or 'default'
+   * @param {Object} config - Configuration to merge into the stored one
+   * @param {Object} options - { itemId, baseRevision }, see saveWithConcurrencyCheck, and
+   * recordHistory: false to leave the save out of the history
+   * @returns {Promise<Object>} Configurations of the dashboard as stored
+   */
+  const saveConfiguration = (dashboardId, config, { itemId = null, baseRevision, recordHistory = true } = {}) =>
+    save(dashboardId, config, { itemId, baseRevision, recordHistory });
+
+  /**
+   * Restore a previous version of a dashboard (or widget instance) configuration,
+   * saved as a new version so the restore can be undone as well
+   * @param {string} dashboardId - Dashboard ID, or 'default'
+   * @param {Object} entry - History entry of the version to restore
+   * @returns {Promise<Object>} Configurations of the dashboard as stored
+   */
+  const restoreVersion = (dashboardId, entry) =>
+    save(dashboardId, entry.settings, { itemId: entry.itemId || null, replace: true, restoredFrom: entry.id });
+
+  /**
+   * Merge settings into the stored global configuration
+   * @param {Object} newGlobalConfig - Settings to change
+   * @returns {Promise<Object>} Global configuration as stored
+   */
+  const saveGlobalConfiguration = (newGlobalConfig) =>
+    change('saving global configuration', async () => {
+      const updatedConfig = {
+        ...DEFAULT_GLOBAL_CONFIG,
+        ...(await readGlobalConfiguration(engine)),
+        ...newGlobalConfig,
+        lastModified: new Date().toISOString()
+      };
+      await writeGlobalConfiguration(engine, updatedConfig);
+      setState({ globalConfig: updatedConfig });
+      return updatedConfig;
+    });
+
+  /**
+   * Delete a dashboard configuration, or only the configuration of one widget instance on it
+   * @param {string} dashboardId - Dashboard ID
+   * @param {string} itemId - Dashboard item of the widget instance, if only that one
+   * @returns {Promise<void>}
+   */
+  const deleteConfiguration = (dashboardId, itemId = null) => {
+    if (!dashboardId) {
+      return Promise.reject(new Error('Dashboard ID is required'));
+    }
+    if (dashboardId === 'default' && !itemId) {
+      return Promise.reject(new Error('Cannot delete default configuration'));
+    }
+
+    return change(`deleting configuration for dashboard ${dashboardId}`, async () => {
+      if (!itemId) {
+        await deleteDashboardConfiguration(engine, dashboardId);
+      } else {
+        const currentConfig = await readDashboardConfiguration(engine, dashboardId);
+        if (getItemConfigurations(currentConfig)[itemId]) {
+          await writeDashboardConfiguration(engine, dashboardId, removeItemConfiguration(currentConfig, itemId));
+        }
+      }
+
+      setState(prev => {
+        const { [dashboardId]: removed, ...otherConfigs } = prev.configurations;
+        if (!itemId) return { configurations: otherConfigs };
+        return removed
+          ? { configurations: { ...prev.configurations, [dashboardId]: removeItemConfiguration(removed, itemId) } }
+          : {};
+      });
+    });
+  };
+
+  // Remove every stored dashboard configuration, except the given ones
+  const removeDashboardConfigurations = async (keptDashboardIds = []) => {
+    const storedConfigs = await readAllDashboardConfigurations(engine);
+    await Promise.all(Object.keys(storedConfigs)
+      .filter(dashboardId => !keptDashboardIds.includes(dashboardId))
+      .map(dashboardId => deleteDashboardConfiguration(engine, dashboardId)));
+  };
+
+  // Store the default global configuration
+  const storeDefaultGlobalConfiguration = async () => {
+    const defaultGlobalConfig = { ...DEFAULT_GLOBAL_CONFIG, lastModified: new Date().toISOString() };
+    await writeGlobalConfiguration(engine, defaultGlobalConfig);
+    return defaultGlobalConfig;
+  };
+
+  /**
+   * Restore the default global configuration
+   * @returns {Promise<void>}
+   */
+  const resetGlobalConfiguration = () =>
+    change('resetting global configuration', async () => {
+      setState({ globalConfig: await storeDefaultGlobalConfiguration() });
+    });
+
+  /**
+   * Remove the configurations of all dashboards, the default one included
+   * @returns {Promise<void>}
+   */
+  const removeAllDashboardConfigurations = () =>
+    change('removing dashboard configurations', async () => {
+      await removeDashboardConfigurations();
+      setState({ configurations: {} });
+    });
+
+  /**
+   * Remove all dashboard configurations and restore the default dashboard and global ones
+   * @returns {Promise<void>}
+   */
+  const resetAllConfigurations = () =>
+    change('resetting configurations', async () => {
+      const defaultConfig = createDefaultDashboardConfiguration();
+
+      await removeDashboardConfigurations(['default']);
+      await writeDashboardConfiguration(engine, 'default', defaultConfig);
+      const globalConfig = await storeDefaultGlobalConfiguration();
+
+      setState({ configurations: { default: defaultConfig }, globalConfig });
+    });
+
+  /**
+   * Listen to the other instances of the app, reloading when they change configurations
+   * @returns {Function} Stops listening
+   */
+  const connect = () => {
+    if (typeof BroadcastChannel === 'undefined') return () => {};
+
+    const ownChannel = new BroadcastChannel(CHANNEL_NAME);
+    ownChannel.onmessage = () => load();
+    channel = ownChannel;
+
+    return () => {
+      ownChannel.close();
+      if (channel === ownChannel) channel = null;
+    };
+  };
+
+  return {
+    getSnapshot: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    connect,
+    setUser: (user) => {
+      currentUser = user;
+    },
+    load,
+    loadHistory,
+    saveConfiguration,
+    restoreVersion,
+    saveGlobalConfiguration,
+    deleteConfiguration,
+    resetGlobalConfiguration,
+    removeAllDashboardConfigurations,
+    resetAllConfigurations
+  };
+};
@@ -1,3 +1,8 @@
+import { REPORT_PERIOD } from "./constants";
+import { MASK_ACTIONS } from "./exportPolicy";
+import { COLUMN_FORMATS } from "./formatUtils";
+import { RULE_TYPES } from "./conditionalFormatting";
+
 /**
  * Configuration Validation Utility
  * Provides validation methods for various configuration types
@@ -36,6 +41,7 @@ export const configurationValidator = {
 
     // Validate period
     const validPeriods = [
+      REPORT_PERIOD,
       "LAST_12_MONTHS",
       "LAST_6_MONTHS",
       "THIS_YEAR",
@@ -52,6 +58,59 @@ export const configurationValidator = {
         `Invalid output type. Must be one of: ${validOutputTypes.join(", ")}`
       );
     }
+    // Validate export permissions
+    if (config.exportPermissions) {
+      const { authorities = [], userGroups = [] } = config.exportPermissions;
+      if (!Array.isArray(authorities) || !Array.isArray(userGroups)) {
+        errors.push("Export authorities and user groups must be lists");
+      }
+    }
+
+    // Validate masked columns
+    if (config.maskedColumns) {
+      const validActions = Object.values(MASK_ACTIONS);
+      const invalidColumns = Object.entries(config.maskedColumns)
+        .filter(([, action]) => !validActions.includes(action))
+        .map(([column]) => column);
+      if (invalidColumns.length > 0) {
+        errors.push(
+          `Invalid export setting for columns: ${invalidColumns.join(", ")}`
+        );
+      }
+    }
+
+    // Validate column display formats
+    if (config.columnSettings) {
+      const validFormats = Object.values(COLUMN_FORMATS);
+      const invalidColumns = Object.entries(config.columnSettings)
+        .filter(([, setting]) => setting?.format && !validFormats.includes(setting.format))
+        .map(([column]) => column);
+      if (invalidColumns.length > 0) {
+        errors.push(
+          `Invalid display format for columns: ${invalidColumns.join(", ")}`
+        );
+      }
+    }
+
+    // Validate conditional formatting rules
+    if (config.conditionalFormats) {
+      if (!Array.isArray(config.conditionalFormats)) {
+        errors.push("Conditional formatting rules must be a list");
+      } else {
+        const invalidRules = config.conditionalFormats.filter(rule =>
+          !rule?.column ||
+          !Object.values(RULE_TYPES).includes(rule.type) ||
+          (rule.type === RULE_TYPES.LEGEND_SET && !rule.legendSetId) ||
+          (rule.type === RULE_TYPES.CONDITION && (rule.value === undefined || rule.value === ""))
+        );
+        if (invalidRules.length > 0) {
+          errors.push(
+            `${invalidRules.length} conditional formatting rule(s) need a column and a value or legend set`
+          );
+        }
+      }
+    }
+
     // Validate metadata
     if (config.metadata) {
       if (
@@ -12,21 +12,29 @@ export const PAGE_SIZE_OPTIONS = [
   
   export const DEFAULT_PAGE_SIZE = '10';
   
+  // Period setting meaning "use the periods saved in the event report"
+  export const REPORT_PERIOD = 'REPORT_PERIOD';
+
+  // Event report data types: raw event lists or aggregated (pivot table) values
+  export const DATA_TYPE_EVENTS = 'EVENTS';
+  export const DATA_TYPE_AGGREGATED = 'AGGREGATED_VALUES';
+  
+  // Columns hidden by default, by analytics column name (see utils/columnIdentity)
   export const DEFAULT_HIDDEN_COLUMNS = [
-    'Event',
-    'Program stage',
-    'Stored by',
-    'Created by',
-    'Last updated by',
-    'Last updated on',
-    'Scheduled date',
-    'Date of enrollment in the system',
-    'Date of Report',
-    'Tracked entity instance',
-    'Program instance',
-    'Geometry',
-    'Longitude',
-    'Latitude',
-    'Organisation unit name hierarchy',
-    'Organisation unit code'
+    'psi',
+    'ps',
+    'storedby',
+    'createdbydisplayname',
+    'lastupdatedbydisplayname',
+    'lastupdated',
+    'scheduleddate',
+    'enrollmentdate',
+    'incidentdate',
+    'tei',
+    'pi',
+    'geometry',
+    'longitude',
+    'latitude',
+    'ounamehierarchy',
+    'oucode'
   ];
\ No newline at end of file
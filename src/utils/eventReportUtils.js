@@ -0,0 +1,305 @@
+/**
+ * Utility functions for turning saved event reports into analytics query dimensions
+ */
+import { DATA_TYPE_AGGREGATED, DATA_TYPE_EVENTS } from './constants';
+
+/**
+ * Period used when an event report has no period selection at all
+ */
+export const DEFAULT_PERIOD = 'LAST_12_MONTHS';
+
+/**
+ * DHIS2 relativePeriods flags mapped to their analytics period identifiers,
+ * in the order the Event Reports app lists them
+ */
+export const RELATIVE_PERIODS = {
+  // Days
+  thisDay: 'TODAY',
+  yesterday: 'YESTERDAY',
+  last3Days: 'LAST_3_DAYS',
+  last7Days: 'LAST_7_DAYS',
+  last14Days: 'LAST_14_DAYS',
+  last30Days: 'LAST_30_DAYS',
+  last60Days: 'LAST_60_DAYS',
+  last90Days: 'LAST_90_DAYS',
+  last180Days: 'LAST_180_DAYS',
+  // Weeks
+  thisWeek: 'THIS_WEEK',
+  lastWeek: 'LAST_WEEK',
+  last4Weeks: 'LAST_4_WEEKS',
+  last12Weeks: 'LAST_12_WEEKS',
+  last52Weeks: 'LAST_52_WEEKS',
+  weeksThisYear: 'WEEKS_THIS_YEAR',
+  // Bi-weeks
+  thisBiWeek: 'THIS_BIWEEK',
+  lastBiWeek: 'LAST_BIWEEK',
+  last4BiWeeks: 'LAST_4_BIWEEKS',
+  // Months
+  thisMonth: 'THIS_MONTH',
+  lastMonth: 'LAST_MONTH',
+  last3Months: 'LAST_3_MONTHS',
+  last6Months: 'LAST_6_MONTHS',
+  last12Months: 'LAST_12_MONTHS',
+  monthsThisYear: 'MONTHS_THIS_YEAR',
+  monthsLastYear: 'MONTHS_LAST_YEAR',
+  // Bi-months
+  thisBimonth: 'THIS_BIMONTH',
+  lastBimonth: 'LAST_BIMONTH',
+  last6BiMonths: 'LAST_6_BIMONTHS',
+  biMonthsThisYear: 'BIMONTHS_THIS_YEAR',
+  // Quarters
+  thisQuarter: 'THIS_QUARTER',
+  lastQuarter: 'LAST_QUARTER',
+  last4Quarters: 'LAST_4_QUARTERS',
+  quartersThisYear: 'QUARTERS_THIS_YEAR',
+  quartersLastYear: 'QUARTERS_LAST_YEAR',
+  // Six-months
+  thisSixMonth: 'THIS_SIX_MONTH',
+  lastSixMonth: 'LAST_SIX_MONTH',
+  last2SixMonths: 'LAST_2_SIXMONTHS',
+  // Financial years
+  thisFinancialYear: 'THIS_FINANCIAL_YEAR',
+  lastFinancialYear: 'LAST_FINANCIAL_YEAR',
+  last5FinancialYears: 'LAST_5_FINANCIAL_YEARS',
+  last10FinancialYears: 'LAST_10_FINANCIAL_YEARS',
+  // Years
+  thisYear: 'THIS_YEAR',
+  lastYear: 'LAST_YEAR',
+  last5Years: 'LAST_5_YEARS',
+  last10Years: 'LAST_10_YEARS'
+};
+
+/**
+ * Build the period part of an analytics query from a saved event report.
+ * Relative and fixed periods are combined into one `pe:` dimension; a custom
+ * date range is returned as startDate/endDate, which analytics accepts instead of `pe`.
+ * @param {Object} report - Event report with relativePeriods, periods, startDate and endDate
+ * @returns {Object} { period } or { startDate, endDate }
+ */
+export const getPeriodDimension = (report = {}) => {
+  const relativePeriods = Object.entries(RELATIVE_PERIODS)
+    .filter(([flag]) => report.relativePeriods?.[flag])
+    .map(([, periodId]) => periodId);
+
+  const fixedPeriods = (report.periods || [])
+    .map(period => period?.id)
+    .filter(Boolean);
+
+  const periods = [...new Set([...relativePeriods, ...fixedPeriods])];
+  if (periods.length > 0) {
+    return { period: periods.join(';') };
+  }
+
+  if (report.startDate && report.endDate) {
+    return {
+      startDate: String(report.startDate).slice(0, 10),
+      endDate: String(report.endDate).slice(0, 10)
+    };
+  }
+
+  return { period: DEFAULT_PERIOD };
+};
+
+/**
+ * Org unit used when an event report has no org unit selection at all
+ */
+export const DEFAULT_ORG_UNIT = 'USER_ORGUNIT';
+
+/**
+ * Build the `ou:` dimension of an analytics query from a saved event report.
+ * Keeps every selected org unit, the user org unit flags, and org unit levels and
+ * groups (which analytics applies within the selected org units as boundaries).
+ * @param {Object} report - Event report with organisationUnits, organisationUnitLevels,
+ *   itemOrganisationUnitGroups and the userOrganisationUnit* flags
+ * @returns {string} Semicolon separated ou dimension items
+ */
+export const getOrgUnitDimension = (report = {}) => {
+  const items = [];
+
+  if (report.userOrganisationUnit) items.push('USER_ORGUNIT');
+  if (report.userOrganisationUnitChildren) items.push('USER_ORGUNIT_CHILDREN');
+  if (report.userOrganisationUnitGrandChildren) items.push('USER_ORGUNIT_GRANDCHILDREN');
+
+  (report.organisationUnits || []).forEach(orgUnit => {
+    if (orgUnit?.id) items.push(orgUnit.id);
+  });
+
+  (report.organisationUnitLevels || []).forEach(level => {
+    items.push(`LEVEL-${level}`);
+  });
+
+  (report.itemOrganisationUnitGroups || []).forEach(group => {
+    if (group?.id) items.push(`OU_GROUP-${group.id}`);
+  });
+
+  const uniqueItems = [...new Set(items)];
+  return uniqueItems.length > 0 ? uniqueItems.join(';') : DEFAULT_ORG_UNIT;
+};
+
+/**
+ * Build the analytics parameter for a data element or attribute dimension,
+ * including the legend set and filter saved in the event report
+ * e.g. "stageId.dataElementId-legendSetId:GT:5"
+ * @param {string} itemId - Dimension item identifier (attribute or stage.dataElement)
+ * @param {Object} dimension - Saved dimension with optional filter and legendSet
+ * @returns {string} Dimension parameter for the analytics query
+ */
+export const getItemDimension = (itemId, dimension = {}) => {
+  const legendSetPart = dimension.legendSet?.id ? `-${dimension.legendSet.id}` : '';
+  const filterPart = dimension.filter ? `:${dimension.filter}` : '';
+  return `${itemId}${legendSetPart}${filterPart}`;
+};
+
+/**
+ * Check whether an event report uses a dimension item as a filter rather than a column
+ * @param {Object} report - Event report with filterDimensions
+ * @param {string} itemId - Dimension item identifier (attribute or stage.dataElement)
+ * @returns {boolean} True if the item is one of the report's filter dimensions
+ */
+export const isFilterDimension = (report = {}, itemId) => {
+  const filterDimensions = report.filterDimensions || [];
+  return filterDimensions.includes(itemId) ||
+    filterDimensions.includes(String(itemId).split('.').pop());
+};
+
+/**
+ * Marks reports loaded from the eventVisualizations API (Line Listing app)
+ */
+export const EVENT_VISUALIZATION_SOURCE = 'eventVisualization';
+
+/**
+ * First DHIS2 minor version (2.39) that serves line lists through eventVisualizations
+ */
+export const EVENT_VISUALIZATIONS_MIN_VERSION = 39;
+
+/**
+ * Event visualization types that can be shown as an event report
+ */
+export const EVENT_VISUALIZATION_TYPES = ['LINE_LIST', 'PIVOT_TABLE'];
+
+// Time dimensions of line lists that select periods of the default time field
+const PERIOD_DIMENSIONS = ['pe', 'eventDate'];
+
+// Other time dimensions of line lists, by the analytics timeField their periods apply to
+const TIME_FIELDS = {
+  enrollmentDate: 'ENROLLMENT_DATE',
+  incidentDate: 'INCIDENT_DATE',
+  scheduledDate: 'SCHEDULED_DATE',
+  lastUpdated: 'LAST_UPDATED',
+  created: 'CREATED'
+};
+
+// Custom date range items, e.g. "2023-01-01_2023-03-31"
+const DATE_RANGE_ITEM = /^(\d{4}-\d{2}-\d{2})_(\d{4}-\d{2}-\d{2})$/;
+
+/**
+ * Check whether a server exposes the eventVisualizations API
+ * @param {Object} serverVersion - Server version from useConfig ({ major, minor })
+ * @returns {boolean} True for DHIS2 2.39 and later
+ */
+export const supportsEventVisualizations = (serverVersion) => {
+  if (!serverVersion) return false;
+  if (serverVersion.major > 2) return true;
+  return serverVersion.major === 2 && serverVersion.minor >= EVENT_VISUALIZATIONS_MIN_VERSION;
+};
+
+/**
+ * Build the analytics query parameters for an event visualization, in the same
+ * shape getAnalyticsParams returns for event reports. Period and org unit items
+ * are read from columns, rows and filters alike; other data items in filters are
+ * sent as analytics filters, the rest as dimensions. Pivot tables are aggregated
+ * and keep their row and column layout. Periods of a time dimension other than the
+ * event date (e.g. lastUpdated) are sent with its timeField; analytics takes one time
+ * field per query, so periods of a second one are left out with a warning.
+ * @param {Object} visualization - Event visualization with columns, rows, filters and programDimensions
+ * @returns {Object|null} Query parameters for analytics, or null without a program
+ */
+export const getVisualizationAnalyticsParams = (visualization = {}) => {
+  const programId = visualization.program?.id || visualization.programDimensions?.[0]?.id;
+  if (!programId) return null;
+
+  const programStageId = visualization.programStage?.id;
+  const periods = [];
+  const orgUnits = [];
+  const dimensions = [];
+  const filters = [];
+  const layoutDimensions = { columns: [], rows: [], filters: [] };
+  let dateRange = null;
+  let timeField;
+
+  const layout = ['columns', 'rows', 'filters'].flatMap(axis =>
+    (visualization[axis] || []).map(dimension => ({ dimension, axis }))
+  );
+
+  layout.forEach(({ dimension, axis }) => {
+    const dimensionId = dimension?.dimension;
+    if (!dimensionId) return;
+    const itemIds = (dimension.items || []).map(item => item?.id).filter(Boolean);
+
+    if (PERIOD_DIMENSIONS.includes(dimensionId) || TIME_FIELDS[dimensionId]) {
+      const dimensionTimeField = TIME_FIELDS[dimensionId] || null;
+      if (itemIds.length > 0 && timeField !== undefined && timeField !== dimensionTimeField) {
+        console.warn(`Periods of the ${dimensionId} dimension are left out: only one time field can be queried`);
+        return;
+      }
+      if (itemIds.length > 0) timeField = dimensionTimeField;
+
+      layoutDimensions[axis].push('pe');
+      itemIds.forEach(itemId => {
+        const range = itemId.match(DATE_RANGE_ITEM);
+        if (range) {
+          dateRange = dateRange || { startDate: range[1], endDate: range[2] };
+        } else {
+          periods.push(itemId);
+        }
+      });
+      return;
+    }
+
+    if (dimensionId === 'ou') {
+      layoutDimensions[axis].push('ou');
+      orgUnits.push(...itemIds);
+      return;
+    }
+
+    // Data elements are stage specific; attributes and program indicators are not
+    const stageId = dimension.programStage?.id;
+    const itemId = stageId && !dimensionId.includes('.')
+      ? `${stageId}.${dimensionId}`
+      : dimensionId;
+    const param = getItemDimension(itemId, dimension);
+    layoutDimensions[axis].push(itemId);
+
+    if (axis === 'filters') {
+      filters.push(param);
+    } else {
+      dimensions.push(param);
+    }
+  });
+
+  const { period, startDate, endDate } = getPeriodDimension({
+    periods: periods.map(id => ({ id })),
+    startDate: dateRange?.startDate || visualization.startDate,
+    endDate: dateRange?.endDate || visualization.endDate
+  });
+
+  const uniqueOrgUnits = [...new Set(orgUnits)];
+
+  return {
+    programId,
+    programStageId,
+    orgUnit: uniqueOrgUnits.length > 0 ? uniqueOrgUnits.join(';') : DEFAULT_ORG_UNIT,
+    period,
+    startDate,
+    endDate,
+    ...(timeField ? { timeField } : {}),
+    dimensions,
+    filters,
+    pageSize: 100,
+    page: 1,
+    outputType: visualization.outputType || 'EVENT',
+    dataType: visualization.type === 'PIVOT_TABLE' ? DATA_TYPE_AGGREGATED : DATA_TYPE_EVENTS,
+    rowDimensions: layoutDimensions.rows,
+    columnDimensions: layoutDimensions.columns
+  };
+};
@@ -0,0 +1,75 @@
+/**
+ * Export policy of a widget configuration: who may export, and which columns are
+ * masked or dropped from exported files
+ */
+
+/**
+ * What happens to a sensitive column on export
+ */
+export const MASK_ACTIONS = {
+  MASK: 'MASK',
+  DROP: 'DROP'
+};
+
+/**
+ * Value written instead of the content of a masked column
+ */
+export const MASKED_VALUE = '*****';
+
+/**
+ * Check whether a configuration limits who may export
+ * @param {Object} exportPermissions - { authorities, userGroups } from the configuration
+ * @returns {boolean} True if only some users may export
+ */
+export const hasExportRestrictions = (exportPermissions) =>
+  Boolean(exportPermissions?.authorities?.length || exportPermissions?.userGroups?.length);
+
+/**
+ * Check whether a user may export under the configured permissions
+ * Without restrictions everyone may export; super users (ALL) always may
+ * @param {Object} exportPermissions - { authorities, userGroups } from the configuration
+ * @param {Object} user - { authorities, userGroups } of the current user
+ * @returns {boolean} True if the user may export
+ */
+export const canExport = (exportPermissions, { authorities = [], userGroups = [] } = {}) => {
+  if (!hasExportRestrictions(exportPermissions)) return true;
+  if (authorities.includes('ALL')) return true;
+
+  const allowedAuthorities = exportPermissions.authorities || [];
+  const allowedGroups = exportPermissions.userGroups || [];
+
+  return allowedAuthorities.some(authority => authorities.includes(authority)) ||
+    userGroups.some(group => allowedGroups.includes(group?.id));
+};
+
+/**
+ * Mask or drop the sensitive columns of exported rows
+ * Columns are matched by column name, or by header label in configurations
+ * that were not migrated to column names yet
+ * @param {Array} rows - Rows including the header row
+ * @param {Array} columns - Column metadata ({ name }) by column index
+ * @param {Object} maskedColumns - MASK_ACTIONS value by column name (or label)
+ * @returns {Object} { data, columns } safe to export
+ */
+export const applyColumnMasks = (rows, columns = [], maskedColumns = {}) => {
+  if (!rows || rows.length === 0) return { data: [], columns: [] };
+
+  const actions = rows[0].map((header, index) =>
+    maskedColumns[columns[index]?.name] || maskedColumns[header] || null
+  );
+  const keptIndices = actions
+    .map((action, index) => action === MASK_ACTIONS.DROP ? -1 : index)
+    .filter(index => index !== -1);
+
+  const maskValue = (value, index) => {
+    if (actions[index] !== MASK_ACTIONS.MASK) return value;
+    return value === null || value === undefined || value === '' ? value : MASKED_VALUE;
+  };
+
+  return {
+    data: rows.map((row, rowIndex) => keptIndices.map(index =>
+      rowIndex === 0 ? row[index] : maskValue(row[index], index)
+    )),
+    columns: keptIndices.map(index => columns[index])
+  };
+};
@@ -0,0 +1,215 @@
+/**
+ * Utility functions for exporting event report data (escaping, typed cells, downloads)
+ */
+import { getVisibleColumnIndices } from './columnLayout';
+import { getColumnKeys } from './columnIdentity';
+
+/**
+ * Byte order mark so Excel reads CSV files as UTF-8 (accented names)
+ */
+export const UTF8_BOM = '\uFEFF';
+
+/**
+ * MIME type of Excel workbooks
+ */
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Analytics value types exported as numbers
+ */
+export const NUMERIC_VALUE_TYPES = [
+  'NUMBER',
+  'INTEGER',
+  'INTEGER_POSITIVE',
+  'INTEGER_NEGATIVE',
+  'INTEGER_ZERO_OR_POSITIVE',
+  'PERCENTAGE',
+  'UNIT_INTERVAL'
+];
+
+/**
+ * Analytics value types exported as dates
+ */
+export const DATE_VALUE_TYPES = ['DATE', 'DATETIME', 'AGE'];
+
+// Analytics dates, e.g. "2023-01-15", "2023-01-15 10:30:00.0" or "2023-01-15T10:30:00.000"
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/;
+
+/**
+ * Escape a value for a delimited text file
+ * Values containing the delimiter, quotes or line breaks are quoted, quotes are doubled
+ * @param {*} value - Cell value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Escaped value
+ */
+export const escapeDelimitedValue = (value, delimiter = ',') => {
+  if (value === null || value === undefined || typeof value === 'object') return '';
+  const text = String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Convert rows to CSV text (without BOM)
+ * @param {Array} rows - Rows including the header row
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} CSV content with CRLF line endings
+ */
+export const toCSV = (rows, delimiter = ',') =>
+  rows.map(row => row.map(cell => escapeDelimitedValue(cell, delimiter)).join(delimiter)).join('\r\n');
+
+/**
+ * Parse an analytics date value as a UTC date, so Excel shows the date as stored
+ * @param {string} value - Date value from analytics
+ * @returns {Date|null} Parsed date or null
+ */
+export const parseDateValue = (value) => {
+  const match = typeof value === 'string' && value.match(DATE_PATTERN);
+  if (!match) return null;
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+/**
+ * Convert an analytics value to a typed spreadsheet value
+ * @param {*} value - Cell value
+ * @param {string} valueType - Analytics value type of the column
+ * @returns {*} Number, Date, string or null
+ */
+export const toTypedCellValue = (value, valueType) => {
+  if (value === null || value === undefined || value === '' || typeof value === 'object') return null;
+
+  if (NUMERIC_VALUE_TYPES.includes(valueType) || typeof value === 'number') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : String(value);
+  }
+
+  if (DATE_VALUE_TYPES.includes(valueType)) {
+    return parseDateValue(value) || String(value);
+  }
+
+  return String(value);
+};
+
+/**
+ * Trigger a browser download of a file
+ * @param {string|ArrayBuffer} content - File content
+ * @param {string} filename - Name of the downloaded file
+ * @param {string} mimeType - MIME type of the file
+ */
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Build an Excel workbook with typed cells and a sheet describing the report
+ * exceljs is loaded on demand so it is not part of the main bundle
+ * @param {Array} rows - Rows including the header row
+ * @param {Object} options - Workbook options
+ * @param {Array} options.columns - Column metadata ({ valueType }) by column index
+ * @param {Array} options.reportInfo - [label, value] pairs for the report sheet
+ * @param {Array} options.cellColors - Conditional formatting colour by data row and column
+ * @returns {Promise<ArrayBuffer>} XLSX file content
+ */
+export const buildWorkbook = async (rows, { columns = [], reportInfo = [], cellColors = [] } = {}) => {
+  const { default: ExcelJS } = await import('exceljs');
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Event Report Widget';
+  workbook.created = new Date();
+
+  // Events sheet with a frozen, filterable header row
+  const [headers = [], ...dataRows] = rows;
+  const sheet = workbook.addWorksheet('Events', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  sheet.addRow(headers);
+  sheet.getRow(1).font = { bold: true };
+
+  dataRows.forEach((row, rowIndex) => {
+    const sheetRow = sheet.addRow(row.map((cell, index) => toTypedCellValue(cell, columns[index]?.valueType)));
+
+    // Conditional formatting colours, as solid cell fills
+    (cellColors[rowIndex] || []).forEach((color, index) => {
+      if (!/^#[0-9a-f]{6}$/i.test(color || '')) return;
+      sheetRow.getCell(index + 1).fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: `FF${color.replace('#', '').toUpperCase()}` }
+      };
+    });
+  });
+
+  headers.forEach((header, index) => {
+    const column = sheet.getColumn(index + 1);
+    const valueType = columns[index]?.valueType;
+    if (valueType === 'DATETIME') {
+      column.numFmt = 'yyyy-mm-dd hh:mm';
+    } else if (DATE_VALUE_TYPES.includes(valueType)) {
+      column.numFmt = 'yyyy-mm-dd';
+    }
+    column.width = Math.min(Math.max(String(header || '').length + 2, 12), 40);
+  });
+
+  if (headers.length > 0) {
+    sheet.autoFilter = {
+      from: { row: 1, column: 1 },
+      to: { row: 1, column: headers.length }
+    };
+  }
+
+  // Report sheet describing what was exported
+  const infoSheet = workbook.addWorksheet('Report');
+  reportInfo.forEach(([label, value]) => infoSheet.addRow([label, value]));
+  infoSheet.getColumn(1).font = { bold: true };
+  infoSheet.getColumn(1).width = 20;
+  infoSheet.getColumn(2).width = 60;
+
+  return workbook.xlsx.writeBuffer();
+};
+
+/**
+ * Describe the items of an analytics dimension (e.g. pe, ou) by name
+ * @param {Object} metaData - Analytics response metaData with items and dimensions
+ * @param {string} dimension - Dimension identifier
+ * @param {string} fallback - Text used when the response does not list the dimension
+ * @returns {string} Comma separated item names
+ */
+export const describeDimensionItems = (metaData, dimension, fallback = '') => {
+  const itemIds = metaData?.dimensions?.[dimension] || [];
+  if (itemIds.length === 0) return fallback;
+  return itemIds.map(itemId => metaData.items?.[itemId]?.name || itemId).join(', ');
+};
+
+/**
+ * Keep only the visible columns of analytics data, in display order
+ * @param {Array} rows - Rows including the header row
+ * @param {Array} columns - Column metadata by column index
+ * @param {Array} hiddenColumns - Names of the hidden columns
+ * @param {Array} displayOrder - Column names in display order (see getDisplayOrder)
+ * @returns {Object} { data, columns } with the hidden columns removed
+ */
+export const selectVisibleColumns = (rows, columns = [], hiddenColumns = [], displayOrder = []) => {
+  if (!rows || rows.length === 0) return { data: [], columns: [] };
+
+  const visibleIndices = getVisibleColumnIndices(getColumnKeys(rows[0], columns), hiddenColumns, displayOrder);
+
+  return {
+    data: rows.map(row => visibleIndices.map(index => row[index])),
+    columns: visibleIndices.map(index => columns[index])
+  };
+};
@@ -0,0 +1,12 @@
+import { csvExporter } from '../csvExporter';
+
+describe('csvExporter', () => {
+  test('build writes a BOM and quoted comma separated rows', () => {
+    const content = csvExporter.build([
+      ['Name', 'Village'],
+      ['Renée', 'Bukavu, Sud-Kivu']
+    ]);
+
+    expect(content).toBe('\uFEFFName,Village\r\nRenée,"Bukavu, Sud-Kivu"');
+  });
+});
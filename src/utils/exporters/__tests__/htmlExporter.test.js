@@ -0,0 +1,26 @@
+import { htmlExporter } from '../htmlExporter';
+
+describe('htmlExporter', () => {
+  test('build writes a self-contained page with escaped values', () => {
+    const content = htmlExporter.build(
+      [['Name', 'Comment'], ['Ana', '<b>"fever" & cough</b>']],
+      { reportInfo: [['Report', 'Malaria cases'], ['Period', 'Last 12 months']] }
+    );
+
+    expect(content).toMatch(/^<!DOCTYPE html>/);
+    expect(content).toContain('<style>');
+    expect(content).toContain('<h1>Malaria cases</h1>');
+    expect(content).toContain('<dt>Period</dt><dd>Last 12 months</dd>');
+    expect(content).toContain('<thead><tr><th>Name</th><th>Comment</th></tr></thead>');
+    expect(content).toContain('<td>&lt;b&gt;&quot;fever&quot; &amp; cough&lt;/b&gt;</td>');
+  });
+
+  test('build colours cells matched by conditional formatting', () => {
+    const content = htmlExporter.build(
+      [['MUAC'], ['11']],
+      { cellColors: [['#ffcdd2']] }
+    );
+
+    expect(content).toContain('<td style="background-color: #ffcdd2; color: #212934">11</td>');
+  });
+});
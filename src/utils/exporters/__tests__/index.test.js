@@ -0,0 +1,12 @@
+import { getExporter, getExporters, registerExporter } from '..';
+
+describe('exporter registry', () => {
+  test('lists the built-in formats and accepts new ones', () => {
+    expect(getExporters().map(exporter => exporter.id)).toEqual(['csv', 'tsv', 'json', 'html', 'xlsx']);
+
+    registerExporter({ id: 'txt', label: 'Text', extension: 'txt', mimeType: 'text/plain', build: () => '' });
+    expect(getExporter('txt').label).toBe('Text');
+    expect(getExporter('unknown')).toBeNull();
+    expect(() => registerExporter({ id: 'broken' })).toThrow();
+  });
+});
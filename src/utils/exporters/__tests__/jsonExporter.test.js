@@ -0,0 +1,22 @@
+import { jsonExporter } from '../jsonExporter';
+
+describe('jsonExporter', () => {
+  test('build writes header metadata, report details and row values', () => {
+    const content = jsonExporter.build(
+      [['Name', 'Age'], ['Ana', '12'], ['Ben', { type: 'action' }]],
+      {
+        columns: [{ name: 'attrName', valueType: 'TEXT' }, { name: 'age', valueType: 'INTEGER' }],
+        reportInfo: [['Report', 'Malaria cases']]
+      }
+    );
+
+    expect(JSON.parse(content)).toEqual({
+      report: { Report: 'Malaria cases' },
+      headers: [
+        { name: 'attrName', column: 'Name', valueType: 'TEXT' },
+        { name: 'age', column: 'Age', valueType: 'INTEGER' }
+      ],
+      rows: [['Ana', '12'], ['Ben', null]]
+    });
+  });
+});
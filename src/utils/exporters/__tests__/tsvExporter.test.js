@@ -0,0 +1,13 @@
+import { tsvExporter } from '../tsvExporter';
+
+describe('tsvExporter', () => {
+  test('build separates values with tabs and quotes values containing tabs', () => {
+    const content = tsvExporter.build([
+      ['Name', 'Village'],
+      ['Renée', 'Bukavu, Sud-Kivu'],
+      ['Ana', 'a\tb']
+    ]);
+
+    expect(content).toBe('\uFEFFName\tVillage\r\nRenée\tBukavu, Sud-Kivu\r\nAna\t"a\tb"');
+  });
+});
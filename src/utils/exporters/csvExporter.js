@@ -0,0 +1,12 @@
+import { UTF8_BOM, toCSV } from '../exportUtils';
+
+/**
+ * Comma separated values, with a BOM so Excel keeps accented characters
+ */
+export const csvExporter = {
+  id: 'csv',
+  label: 'CSV',
+  extension: 'csv',
+  mimeType: 'text/csv;charset=utf-8;',
+  build: (rows) => UTF8_BOM + toCSV(rows)
+};
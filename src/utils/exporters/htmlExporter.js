@@ -0,0 +1,85 @@
+import { getContrastTextColor } from '../conditionalFormatting';
+
+// Inline styles so the file looks the same wherever it is opened
+const HTML_STYLES = `
+  body { font-family: Roboto, Arial, sans-serif; font-size: 13px; color: #212934; margin: 16px; }
+  h1 { font-size: 18px; font-weight: 500; margin: 0 0 8px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; margin: 0 0 12px; }
+  dt { font-weight: 500; }
+  dd { margin: 0; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #a0adba; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background-color: #f3f5f7; }
+  thead { display: table-header-group; }
+`;
+
+/**
+ * Escape text for use in HTML content
+ * @param {*} value - Cell value
+ * @returns {string} Escaped text, empty for missing values and objects
+ */
+export const escapeHtml = (value) => {
+  if (value === null || value === undefined || typeof value === 'object') return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Build a self-contained HTML page with the report details and a table of the rows
+ * @param {Array} rows - Rows including the header row
+ * @param {Object} options - Export options
+ * @param {Array} options.reportInfo - [label, value] pairs describing the report
+ * @param {Array} options.cellColors - Conditional formatting colour by data row and column
+ * @returns {string} HTML document
+ */
+export const toHtmlDocument = (rows, { reportInfo = [], cellColors = [] } = {}) => {
+  const [headers = [], ...dataRows] = rows;
+  const title = reportInfo.find(([label]) => label === 'Report')?.[1] || 'Event Report';
+
+  const info = reportInfo
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join('');
+  const headerCells = headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+  const cellStyle = (color) => color
+    ? ` style="background-color: ${escapeHtml(color)}; color: ${getContrastTextColor(color)}"`
+    : '';
+  const bodyRows = dataRows
+    .map((row, rowIndex) => `<tr>${row
+      .map((cell, index) => `<td${cellStyle(cellColors[rowIndex]?.[index])}>${escapeHtml(cell)}</td>`)
+      .join('')}</tr>`)
+    .join('\n');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${HTML_STYLES}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    info ? `<dl>${info}</dl>` : '',
+    '<table>',
+    `<thead><tr>${headerCells}</tr></thead>`,
+    `<tbody>\n${bodyRows}\n</tbody>`,
+    '</table>',
+    '</body>',
+    '</html>'
+  ].join('\n');
+};
+
+/**
+ * Self-contained HTML table, for sharing by email or opening in a browser
+ */
+export const htmlExporter = {
+  id: 'html',
+  label: 'HTML table',
+  extension: 'html',
+  mimeType: 'text/html;charset=utf-8;',
+  build: (rows, options) => toHtmlDocument(rows, options)
+};
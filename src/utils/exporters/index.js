@@ -0,0 +1,40 @@
+/**
+ * Registry of export formats
+ * An exporter is { id, label, extension, mimeType, build(rows, { columns, reportInfo }) },
+ * where build returns the file content (or a promise of it). Column labels are always
+ * applied; display formats too unless the exporter sets keepsRawValues. Register new
+ * formats here and they show up in the export format chooser.
+ */
+import { csvExporter } from './csvExporter';
+import { tsvExporter } from './tsvExporter';
+import { jsonExporter } from './jsonExporter';
+import { htmlExporter } from './htmlExporter';
+import { xlsxExporter } from './xlsxExporter';
+
+const exporters = new Map();
+
+/**
+ * Add an export format to the registry, replacing any exporter with the same id
+ * @param {Object} exporter - Exporter definition
+ */
+export const registerExporter = (exporter) => {
+  if (!exporter?.id || typeof exporter.build !== 'function') {
+    throw new Error('An exporter needs an id and a build function');
+  }
+  exporters.set(exporter.id, exporter);
+};
+
+/**
+ * Look up an export format
+ * @param {string} id - Exporter id, e.g. "csv"
+ * @returns {Object|null} Exporter definition
+ */
+export const getExporter = (id) => exporters.get(id) || null;
+
+/**
+ * List the registered export formats, in registration order
+ * @returns {Array} Exporter definitions
+ */
+export const getExporters = () => [...exporters.values()];
+
+[csvExporter, tsvExporter, jsonExporter, htmlExporter, xlsxExporter].forEach(registerExporter);
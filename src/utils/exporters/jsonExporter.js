@@ -0,0 +1,38 @@
+/**
+ * Build the JSON document for exported rows
+ * Laid out like the analytics API: header metadata (column name, label, value type)
+ * followed by the rows as arrays of values
+ * @param {Array} rows - Rows including the header row
+ * @param {Object} options - Export options
+ * @param {Array} options.columns - Column metadata ({ name, valueType }) by column index
+ * @param {Array} options.reportInfo - [label, value] pairs describing the report
+ * @returns {Object} { report, headers, rows }
+ */
+export const toExportJson = (rows, { columns = [], reportInfo = [] } = {}) => {
+  const [headers = [], ...dataRows] = rows;
+
+  return {
+    report: Object.fromEntries(reportInfo),
+    headers: headers.map((header, index) => ({
+      name: columns[index]?.name || header,
+      column: header,
+      valueType: columns[index]?.valueType || 'TEXT'
+    })),
+    rows: dataRows.map(row => row.map(cell =>
+      cell === undefined || (cell !== null && typeof cell === 'object') ? null : cell
+    ))
+  };
+};
+
+/**
+ * JSON with header metadata, for loading into scripts and other systems
+ */
+export const jsonExporter = {
+  id: 'json',
+  label: 'JSON',
+  extension: 'json',
+  mimeType: 'application/json;charset=utf-8;',
+  // Meant for scripts, so values are not reformatted for display
+  keepsRawValues: true,
+  build: (rows, options) => JSON.stringify(toExportJson(rows, options), null, 2)
+};
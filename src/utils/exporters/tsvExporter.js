@@ -0,0 +1,12 @@
+import { UTF8_BOM, toCSV } from '../exportUtils';
+
+/**
+ * Tab separated values, for pasting into spreadsheets and statistics tools
+ */
+export const tsvExporter = {
+  id: 'tsv',
+  label: 'TSV',
+  extension: 'tsv',
+  mimeType: 'text/tab-separated-values;charset=utf-8;',
+  build: (rows) => UTF8_BOM + toCSV(rows, '\t')
+};
@@ -0,0 +1,14 @@
+import { XLSX_MIME_TYPE, buildWorkbook } from '../exportUtils';
+
+/**
+ * Excel workbook with typed date and number cells and a sheet describing the report
+ */
+export const xlsxExporter = {
+  id: 'xlsx',
+  label: 'Excel (XLSX)',
+  extension: 'xlsx',
+  mimeType: XLSX_MIME_TYPE,
+  // Cells are typed from the raw values, display formats would turn them into text
+  keepsRawValues: true,
+  build: (rows, options) => buildWorkbook(rows, options)
+};
@@ -0,0 +1,167 @@
+/**
+ * Utility functions for the per-column labels and display formats of a configuration
+ * (columnSettings: { [column name]: { label, format, decimals } })
+ */
+import { parseDateValue } from './exportUtils';
+import { isBooleanValueType, isDateValueType, isNumericValueType } from './valueTypeUtils';
+import { getColumnKeys } from './columnIdentity';
+
+/**
+ * Display formats a column can use
+ */
+export const COLUMN_FORMATS = {
+  AUTO: 'AUTO',
+  DATE: 'DATE',
+  DATETIME: 'DATETIME',
+  RELATIVE: 'RELATIVE',
+  NUMBER: 'NUMBER',
+  PERCENT: 'PERCENT',
+  YES_NO: 'YES_NO',
+  CHECKMARK: 'CHECKMARK',
+  TAG: 'TAG'
+};
+
+/**
+ * Labels of the display formats, for the configuration screen
+ */
+export const COLUMN_FORMAT_LABELS = {
+  [COLUMN_FORMATS.AUTO]: 'As returned by analytics',
+  [COLUMN_FORMATS.DATE]: 'Date only',
+  [COLUMN_FORMATS.DATETIME]: 'Date and time',
+  [COLUMN_FORMATS.RELATIVE]: 'Relative (e.g. 3 days ago)',
+  [COLUMN_FORMATS.NUMBER]: 'Number with thousand separators',
+  [COLUMN_FORMATS.PERCENT]: 'Percentage',
+  [COLUMN_FORMATS.YES_NO]: 'Yes / No',
+  [COLUMN_FORMATS.CHECKMARK]: 'Check mark',
+  [COLUMN_FORMATS.TAG]: 'Option as tag'
+};
+
+// Formats that only change how a value is shown on screen, not its text
+const SCREEN_ONLY_FORMATS = [COLUMN_FORMATS.TAG];
+
+/**
+ * Display formats that make sense for a column
+ * @param {Object} column - Column metadata ({ valueType, optionSet })
+ * @returns {Array} COLUMN_FORMATS values, AUTO first
+ */
+export const getFormatsForColumn = (column = {}) => {
+  const { valueType, optionSet } = column;
+
+  if (isDateValueType(valueType)) {
+    return [COLUMN_FORMATS.AUTO, COLUMN_FORMATS.DATE, COLUMN_FORMATS.DATETIME, COLUMN_FORMATS.RELATIVE];
+  }
+  if (optionSet) {
+    return [COLUMN_FORMATS.AUTO, COLUMN_FORMATS.TAG];
+  }
+  if (isNumericValueType(valueType)) {
+    return [COLUMN_FORMATS.AUTO, COLUMN_FORMATS.NUMBER, COLUMN_FORMATS.PERCENT];
+  }
+  if (isBooleanValueType(valueType)) {
+    return [COLUMN_FORMATS.AUTO, COLUMN_FORMATS.YES_NO, COLUMN_FORMATS.CHECKMARK];
+  }
+  return [COLUMN_FORMATS.AUTO, COLUMN_FORMATS.TAG];
+};
+
+// Relative time units, largest first, with their length in seconds
+const RELATIVE_TIME_UNITS = [
+  ['year', 365 * 24 * 3600],
+  ['month', 30 * 24 * 3600],
+  ['week', 7 * 24 * 3600],
+  ['day', 24 * 3600],
+  ['hour', 3600],
+  ['minute', 60]
+];
+
+/**
+ * Describe a date relative to now, e.g. "3 days ago" or "in 2 weeks"
+ * @param {Date} date - Date to describe
+ * @param {Date} now - Reference time
+ * @returns {string} Relative time
+ */
+export const formatRelativeTime = (date, now = new Date()) => {
+  const formatter = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+  const seconds = (date.getTime() - now.getTime()) / 1000;
+
+  const [unit, unitSeconds] = RELATIVE_TIME_UNITS.find(([, length]) => Math.abs(seconds) >= length) ||
+    RELATIVE_TIME_UNITS[RELATIVE_TIME_UNITS.length - 1];
+  return formatter.format(Math.round(seconds / unitSeconds), unit);
+};
+
+/**
+ * Format a cell value with the display format of its column
+ * Values the format does not apply to (e.g. masked values) are returned unchanged
+ * @param {*} value - Cell value
+ * @param {Object} setting - Column setting ({ format, decimals })
+ * @param {Date} now - Reference time for relative dates
+ * @returns {*} Formatted value
+ */
+export const formatColumnValue = (value, setting = {}, now = new Date()) => {
+  const format = setting.format || COLUMN_FORMATS.AUTO;
+  if (value === null || value === undefined || value === '' || typeof value === 'object') return value;
+  if (format === COLUMN_FORMATS.AUTO || SCREEN_ONLY_FORMATS.includes(format)) return value;
+
+  if ([COLUMN_FORMATS.DATE, COLUMN_FORMATS.DATETIME, COLUMN_FORMATS.RELATIVE].includes(format)) {
+    const date = parseDateValue(value);
+    if (!date) return value;
+    if (format === COLUMN_FORMATS.RELATIVE) return formatRelativeTime(date, now);
+    // Analytics dates carry no time zone, show them as stored
+    return format === COLUMN_FORMATS.DATE
+      ? date.toLocaleDateString(undefined, { timeZone: 'UTC' })
+      : date.toLocaleString(undefined, { timeZone: 'UTC', dateStyle: 'short', timeStyle: 'short' });
+  }
+
+  if (format === COLUMN_FORMATS.NUMBER || format === COLUMN_FORMATS.PERCENT) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return value;
+    const decimals = Number.isInteger(setting.decimals) ? setting.decimals : undefined;
+    const text = number.toLocaleString(undefined, {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals ?? 2
+    });
+    return format === COLUMN_FORMATS.PERCENT ? `${text}%` : text;
+  }
+
+  if (format === COLUMN_FORMATS.YES_NO || format === COLUMN_FORMATS.CHECKMARK) {
+    const text = String(value).toLowerCase();
+    const isTrue = ['true', '1', 'yes'].includes(text);
+    const isFalse = ['false', '0', 'no'].includes(text);
+    if (!isTrue && !isFalse) return value;
+    if (format === COLUMN_FORMATS.YES_NO) return isTrue ? 'Yes' : 'No';
+    return isTrue ? '✓' : '✗';
+  }
+
+  return value;
+};
+
+/**
+ * Display label of a column
+ * @param {string} header - Column label returned by analytics
+ * @param {Object} columnSettings - Column settings of the configuration
+ * @param {string} columnName - Column name the settings are keyed by, defaults to the label
+ * @returns {string} Custom label, or the analytics label
+ */
+export const getColumnLabel = (header, columnSettings = {}, columnName = header) =>
+  columnSettings[columnName]?.label || header;
+
+/**
+ * Apply the column labels, and optionally the display formats, to exported rows
+ * @param {Array} rows - Rows including the header row
+ * @param {Array} columns - Column metadata by column index
+ * @param {Object} columnSettings - Column settings of the configuration
+ * @param {Object} options - { formatValues } false keeps raw values (e.g. typed Excel cells)
+ * @returns {Array} Rows with the custom labels (and formatted values)
+ */
+export const applyColumnSettings = (rows, columns = [], columnSettings = {}, { formatValues = true } = {}) => {
+  if (!rows || rows.length === 0) return [];
+
+  const [headers, ...dataRows] = rows;
+  const columnKeys = getColumnKeys(headers, columns);
+  const now = new Date();
+
+  return [
+    headers.map((header, index) => getColumnLabel(header, columnSettings, columnKeys[index])),
+    ...dataRows.map(row => formatValues
+      ? row.map((cell, index) => formatColumnValue(cell, columnSettings[columnKeys[index]], now))
+      : row)
+  ];
+};
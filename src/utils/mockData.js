@@ -0,0 +1,178 @@
+/**
+ * Mock data for development and demo mode
+ * Never used as a fallback for real server errors; see isDemoMode
+ */
+
+/**
+ * Check whether demo mode was switched on at build time
+ * (DHIS2_DEMO_MODE=true, exposed by the app platform as REACT_APP_DHIS2_DEMO_MODE)
+ * @returns {boolean} True if the build enables demo mode
+ */
+export const isDemoModeBuild = () => process.env.REACT_APP_DHIS2_DEMO_MODE === 'true';
+
+/**
+ * Check whether demo mode is on, either at build time or through the
+ * `demoMode` flag of the global configuration in the data store
+ * @param {Object} globalConfiguration - Global configuration from the data store
+ * @returns {boolean} True if mock data may replace missing or failed server data
+ */
+export const isDemoMode = (globalConfiguration) =>
+  isDemoModeBuild() || globalConfiguration?.demoMode === true;
+
+/**
+ * Create mock analytics data in the shape returned by useAnalytics
+ * @param {string} outputType - Type of output data (EVENT or ENROLLMENT)
+ * @param {string} reportId - ID of the event report being shown
+ * @returns {Object} - Mock analytics data { data, metadata }
+ */
+export const createMockAnalyticsData = (outputType = 'EVENT', reportId = null) => {
+  let headers;
+
+  if (outputType === 'ENROLLMENT') {
+    headers = ['Enrollment Date', 'Organization Unit', "Patient's First Name", "Patient's Surname", 'Sex', 'Age', 'Weight'];
+  } else {
+    headers = ['Event Date', 'Organization Unit', 'Status', "Patient's First Name", "Patient's Surname", 'Sex', 'Age'];
+  }
+
+  // Generate some dummy rows
+  const rows = [];
+  const firstNames = ['John', 'Jane', 'Michael', 'Sarah', 'David', 'Emma', 'James', 'Emily'];
+  const lastNames = ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Miller', 'Davis', 'Wilson'];
+
+  for (let i = 1; i <= 20; i++) {
+    const date = new Date(2023, Math.floor(Math.random() * 12), Math.floor(Math.random() * 28) + 1);
+    const orgUnit = `Facility ${i % 5 + 1}`;
+    const firstName = firstNames[i % firstNames.length];
+    const lastName = lastNames[i % lastNames.length];
+    const gender = i % 2 === 0 ? 'Male' : 'Female';
+    const age = Math.floor(Math.random() * 60) + 18;
+
+    if (outputType === 'ENROLLMENT') {
+      const weight = Math.floor(Math.random() * 50) + 50; // 50-100 kg
+      rows.push([
+        date.toISOString().split('T')[0],
+        orgUnit,
+        firstName,
+        lastName,
+        gender,
+        age,
+        weight
+      ]);
+    } else {
+      const status = ['Active', 'Completed', 'Scheduled'][i % 3];
+      rows.push([
+        date.toISOString().split('T')[0],
+        orgUnit,
+        status,
+        firstName,
+        lastName,
+        gender,
+        age
+      ]);
+    }
+  }
+
+  return {
+    data: [headers, ...rows],
+    metadata: {
+      itemCount: rows.length,
+      headers: headers,
+      reportId,
+      outputType: outputType,
+      demo: true
+    }
+  };
+};
+
+/**
+ * Create mock event reports
+ * @returns {Array} - Mock event reports
+ */
+export const createMockEventReports = () => {
+  return [
+    {
+      id: 'er1',
+      name: 'Malaria Cases Report',
+      displayName: 'Malaria Cases Report',
+      description: 'Monthly report of malaria cases',
+      program: {
+        id: 'p1',
+        displayName: 'Malaria Program',
+        programType: 'WITHOUT_REGISTRATION',
+      },
+      programStage: {
+        id: 'ps1',
+        displayName: 'Diagnosis Stage',
+      },
+      attributeDimensions: [
+        { attribute: { id: 'attr1', displayName: 'Patient Name' } },
+        { attribute: { id: 'attr2', displayName: 'Age' } },
+      ],
+      dataElementDimensions: [
+        {
+          dataElement: { id: 'de1', displayName: 'Diagnosis' },
+          programStage: { id: 'ps1' },
+        },
+        {
+          dataElement: { id: 'de2', displayName: 'Treatment' },
+          programStage: { id: 'ps1' },
+        },
+      ],
+      columnDimensions: ['pe', 'ou', 'attr1', 'attr2', 'de1', 'de2'],
+      organisationUnits: [
+        { id: 'orgUnit1', displayName: 'District Hospital' },
+      ],
+      created: '2023-01-15T10:30:45.123',
+      lastUpdated: '2023-02-20T14:15:30.456',
+      relativePeriods: {
+        last12Months: true,
+      },
+    },
+    {
+      id: 'er2',
+      name: 'Immunization Coverage',
+      displayName: 'Immunization Coverage',
+      description: 'Quarterly immunization coverage report',
+      program: {
+        id: 'p2',
+        displayName: 'Immunization Program',
+        programType: 'WITH_REGISTRATION',
+      },
+      programStage: {
+        id: 'ps2',
+        displayName: 'Vaccination Stage',
+      },
+      attributeDimensions: [
+        { attribute: { id: 'attr3', displayName: 'Patient ID' } },
+        { attribute: { id: 'attr4', displayName: 'Gender' } },
+      ],
+      dataElementDimensions: [
+        {
+          dataElement: { id: 'de3', displayName: 'Vaccine Type' },
+          programStage: { id: 'ps2' },
+        },
+        {
+          dataElement: { id: 'de4', displayName: 'Dose Number' },
+          programStage: { id: 'ps2' },
+        },
+      ],
+      columnDimensions: ['pe', 'ou', 'attr3', 'attr4', 'de3', 'de4'],
+      organisationUnits: [{ id: 'orgUnit2', displayName: 'City Clinic' }],
+      created: '2023-03-10T09:20:15.789',
+      lastUpdated: '2023-03-10T09:20:15.789',
+      relativePeriods: {
+        thisQuarter: true,
+      },
+    },
+  ];
+};
+
+/**
+ * Create mock dashboards
+ * @returns {Array} - Mock dashboards
+ */
+export const createMockDashboards = () => [
+  { id: 'dashboard1', displayName: 'COVID-19 Dashboard' },
+  { id: 'dashboard2', displayName: 'Maternal Health Dashboard' },
+  { id: 'dashboard3', displayName: 'Immunization Dashboard' }
+];
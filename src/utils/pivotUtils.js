@@ -0,0 +1,176 @@
+/**
+ * Utility functions for turning aggregated event analytics into a pivot table
+ */
+
+/**
+ * Label used for the totals row and column
+ */
+export const TOTAL_LABEL = 'Total';
+
+/**
+ * Find the header index of a layout dimension
+ * Data element dimensions may come back with or without their program stage prefix
+ * @param {Array} headers - Analytics response headers
+ * @param {string} dimensionId - Dimension identifier from the report layout
+ * @returns {number} Header index or -1
+ */
+const findHeaderIndex = (headers, dimensionId) => {
+  const itemId = dimensionId.split('.').pop();
+  return headers.findIndex(header =>
+    header.name === dimensionId || header.name.split('.').pop() === itemId
+  );
+};
+
+/**
+ * Resolve a dimension item to its display name using the response metadata
+ * @param {Object} metaData - Analytics response metaData
+ * @param {string} itemId - Item identifier found in a row
+ * @returns {string} Display name, or the value itself when it is not a metadata item
+ */
+const getItemName = (metaData, itemId) => {
+  if (itemId === null || itemId === undefined || itemId === '') return '';
+  return metaData?.items?.[itemId]?.name ?? String(itemId);
+};
+
+/**
+ * Compare two keys using the item order of each dimension
+ * @param {Array} orders - One Map (item -> position) per dimension
+ * @returns {Function} Sort comparator for item arrays
+ */
+const compareKeys = (orders) => (a, b) => {
+  for (let i = 0; i < orders.length; i++) {
+    const difference = orders[i].get(a[i]) - orders[i].get(b[i]);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+};
+
+/**
+ * Build a pivot table from an analytics/events/aggregate response.
+ * Dimensions returned by the server that are not in the layout are added to the rows
+ * so no values are summed away; without column dimensions there is a single value column.
+ * @param {Object} response - Analytics response with headers, rows and metaData
+ * @param {Object} layout - Report layout
+ * @param {Array} layout.rowDimensions - Dimension identifiers shown as rows
+ * @param {Array} layout.columnDimensions - Dimension identifiers shown as columns
+ * @returns {Object} { rowDimensions, columnDimensions, rows, columns, columnTotals, grandTotal }
+ */
+export const buildPivotTable = (response, { rowDimensions = [], columnDimensions = [] } = {}) => {
+  const headers = response?.headers || [];
+  const metaData = response?.metaData || {};
+  const valueIndex = headers.findIndex(header => header.name === 'value');
+
+  const toDimension = (dimensionId) => {
+    const index = findHeaderIndex(headers, dimensionId);
+    return index >= 0 && index !== valueIndex
+      ? { id: headers[index].name, label: headers[index].column || headers[index].name, index }
+      : null;
+  };
+
+  const columnDims = columnDimensions.map(toDimension).filter(Boolean);
+  const layoutIndices = new Set(columnDims.map(dimension => dimension.index));
+  const rowDims = rowDimensions.map(toDimension)
+    .filter(dimension => dimension && !layoutIndices.has(dimension.index));
+  rowDims.forEach(dimension => layoutIndices.add(dimension.index));
+
+  headers.forEach((header, index) => {
+    if (index !== valueIndex && !layoutIndices.has(index)) {
+      rowDims.push({ id: header.name, label: header.column || header.name, index });
+    }
+  });
+
+  // Item order per dimension: metadata order where available, otherwise order of appearance
+  const itemOrder = (dimension) => {
+    const order = new Map();
+    (metaData.dimensions?.[dimension.id] || []).forEach(itemId => order.set(itemId, order.size));
+    (response?.rows || []).forEach(row => {
+      if (!order.has(row[dimension.index])) order.set(row[dimension.index], order.size);
+    });
+    return order;
+  };
+  const rowOrders = rowDims.map(itemOrder);
+  const columnOrders = columnDims.map(itemOrder);
+
+  const rowsByKey = new Map();
+  const columnsByKey = new Map();
+  const cells = new Map();
+
+  (response?.rows || []).forEach(row => {
+    const rowItems = rowDims.map(dimension => row[dimension.index]);
+    const columnItems = columnDims.map(dimension => row[dimension.index]);
+    const rowKey = JSON.stringify(rowItems);
+    const columnKey = JSON.stringify(columnItems);
+    const value = Number(valueIndex >= 0 ? row[valueIndex] : 0) || 0;
+
+    rowsByKey.set(rowKey, rowItems);
+    columnsByKey.set(columnKey, columnItems);
+    const cellKey = `${rowKey}|${columnKey}`;
+    cells.set(cellKey, (cells.get(cellKey) || 0) + value);
+  });
+
+  const sortedRows = [...rowsByKey.entries()].sort(([, a], [, b]) => compareKeys(rowOrders)(a, b));
+  const sortedColumns = [...columnsByKey.entries()].sort(([, a], [, b]) => compareKeys(columnOrders)(a, b));
+
+  const columns = sortedColumns.map(([key, items]) => ({
+    key,
+    labels: items.map(itemId => getItemName(metaData, itemId))
+  }));
+
+  const columnTotals = columns.map(() => 0);
+  let grandTotal = 0;
+
+  const rows = sortedRows.map(([rowKey, items]) => {
+    const values = sortedColumns.map(([columnKey], columnIndex) => {
+      const value = cells.has(`${rowKey}|${columnKey}`) ? cells.get(`${rowKey}|${columnKey}`) : null;
+      if (value !== null) columnTotals[columnIndex] += value;
+      return value;
+    });
+    const total = values.reduce((sum, value) => sum + (value || 0), 0);
+    grandTotal += total;
+
+    return {
+      key: rowKey,
+      labels: items.map(itemId => getItemName(metaData, itemId)),
+      values,
+      total
+    };
+  });
+
+  return {
+    rowDimensions: rowDims.map(({ id, label }) => ({ id, label })),
+    columnDimensions: columnDims.map(({ id, label }) => ({ id, label })),
+    rows,
+    columns,
+    columnTotals,
+    grandTotal
+  };
+};
+
+/**
+ * Flatten a pivot table into a header row plus data rows (e.g. for CSV export)
+ * Column headers combine the labels of all column dimensions, the last row holds the totals
+ * @param {Object} pivot - Output of buildPivotTable
+ * @returns {Array} [headers, ...rows, totalsRow]
+ */
+export const pivotTableToRows = (pivot) => {
+  if (!pivot) return [];
+
+  // Keep one label cell per row even when every dimension is on the columns
+  const rowLabels = pivot.rowDimensions.length > 0
+    ? pivot.rowDimensions.map(dimension => dimension.label)
+    : [''];
+  const columnLabels = pivot.columns.map(column =>
+    column.labels.length > 0 ? column.labels.join(' / ') : 'Value'
+  );
+  const emptyRowLabels = rowLabels.slice(1).map(() => '');
+
+  return [
+    [...rowLabels, ...columnLabels, TOTAL_LABEL],
+    ...pivot.rows.map(row => [
+      ...(row.labels.length > 0 ? row.labels : ['']),
+      ...row.values,
+      row.total
+    ]),
+    [TOTAL_LABEL, ...emptyRowLabels, ...pivot.columnTotals, pivot.grandTotal]
+  ];
+};
@@ -0,0 +1,126 @@
+/**
+ * Utility functions for rendering, sorting and filtering cells by the valueType of
+ * their analytics header, rather than by guessing the type from sampled values
+ */
+import { NUMERIC_VALUE_TYPES, DATE_VALUE_TYPES, parseDateValue } from './exportUtils';
+
+/**
+ * Value types holding yes/no values (TRUE_ONLY is either true or empty)
+ */
+export const BOOLEAN_VALUE_TYPES = ['BOOLEAN', 'TRUE_ONLY'];
+
+/**
+ * Value types holding a file resource UID
+ */
+export const FILE_VALUE_TYPES = ['FILE_RESOURCE', 'IMAGE'];
+
+/**
+ * Check whether a value type holds numbers
+ * @param {string} valueType - Analytics header valueType
+ * @returns {boolean} True for numeric value types
+ */
+export const isNumericValueType = (valueType) => NUMERIC_VALUE_TYPES.includes(valueType);
+
+/**
+ * Check whether a value type holds dates (AGE values are birth dates)
+ * @param {string} valueType - Analytics header valueType
+ * @returns {boolean} True for date value types
+ */
+export const isDateValueType = (valueType) => DATE_VALUE_TYPES.includes(valueType);
+
+/**
+ * Check whether a value type holds yes/no values
+ * @param {string} valueType - Analytics header valueType
+ * @returns {boolean} True for BOOLEAN and TRUE_ONLY
+ */
+export const isBooleanValueType = (valueType) => BOOLEAN_VALUE_TYPES.includes(valueType);
+
+/**
+ * Read a yes/no value
+ * @param {*} value - Cell value, e.g. "true", "1" or "Yes"
+ * @returns {boolean|null} The value, or null if it is not a yes/no value
+ */
+export const parseBooleanValue = (value) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(text)) return true;
+  if (['false', '0', 'no'].includes(text)) return false;
+  return null;
+};
+
+/**
+ * Read a coordinate: COORDINATE values are "[longitude,latitude]",
+ * geometry columns hold GeoJSON points
+ * @param {*} value - Cell value
+ * @returns {Object|null} { latitude, longitude }, or null if the value is not a point
+ */
+export const parseCoordinate = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const coordinates = Array.isArray(parsed) ? parsed : (parsed?.type === 'Point' ? parsed.coordinates : null);
+  if (!Array.isArray(coordinates) || coordinates.length < 2) return null;
+
+  const [longitude, latitude] = coordinates.map(Number);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  return { latitude, longitude };
+};
+
+/**
+ * Link showing a coordinate on a map
+ * @param {Object} coordinate - { latitude, longitude }
+ * @returns {string} OpenStreetMap URL
+ */
+export const getMapUrl = ({ latitude, longitude }) =>
+  `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=15/${latitude}/${longitude}`;
+
+/**
+ * Read a URL value, keeping only web links (no javascript: or data: URLs)
+ * @param {*} value - Cell value
+ * @returns {string|null} The URL, or null if it is not an http(s) link
+ */
+export const getSafeUrl = (value) => {
+  try {
+    const url = new URL(String(value).trim());
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Compare two cell values of a column, for sorting
+ * Empty values come first; numbers, dates and yes/no values compare by value
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {string} valueType - Analytics header valueType
+ * @returns {number} Negative, zero or positive, as for Array.sort
+ */
+export const compareCellValues = (a, b, valueType) => {
+  const isEmpty = (value) => value === null || value === undefined || value === '';
+  if (isEmpty(a) || isEmpty(b)) return Number(!isEmpty(a)) - Number(!isEmpty(b));
+
+  if (isNumericValueType(valueType)) {
+    const difference = Number(a) - Number(b);
+    if (Number.isFinite(difference)) return difference;
+  }
+
+  if (isDateValueType(valueType)) {
+    const aDate = parseDateValue(a);
+    const bDate = parseDateValue(b);
+    if (aDate && bDate) return aDate - bDate;
+  }
+
+  if (isBooleanValueType(valueType)) {
+    const aBoolean = parseBooleanValue(a);
+    const bBoolean = parseBooleanValue(b);
+    if (aBoolean !== null && bBoolean !== null) return Number(aBoolean) - Number(bBoolean);
+  }
+
+  return String(a).toLowerCase().localeCompare(String(b).toLowerCase());
+};
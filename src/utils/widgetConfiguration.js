@@ -0,0 +1,70 @@
+/**
+ * Utility functions for configuring single widget instances
+ * A dashboard configuration holds the configuration of each Event Report widget on
+ * the dashboard by dashboard item id (items: { [itemId]: config }); a widget uses
+ * its own settings, and the dashboard configuration for anything it does not set
+ */
+
+/**
+ * Widget instance configurations of a dashboard configuration
+ * @param {Object} dashboardConfig - Dashboard configuration
+ * @returns {Object} Configurations by dashboard item id
+ */
+export const getItemConfigurations = (dashboardConfig) => dashboardConfig?.items || {};
+
+/**
+ * Check whether a dashboard configuration has settings of its own, rather than
+ * only the settings of its widget instances
+ * @param {Object} dashboardConfig - Dashboard configuration
+ * @returns {boolean} True if the dashboard itself is configured
+ */
+export const hasDashboardSettings = (dashboardConfig) =>
+  Boolean(dashboardConfig) &&
+  Object.keys(dashboardConfig).some(key => !['items', 'lastModified'].includes(key));
+
+/**
+ * Configuration of a widget instance: its own settings over the dashboard configuration
+ * @param {Object} baseConfig - Dashboard configuration, or the default one it falls back to
+ * @param {Object} itemConfig - Settings of the widget instance, if any
+ * @returns {Object|null} Widget configuration, or null if neither layer exists
+ */
+export const resolveWidgetConfiguration = (baseConfig, itemConfig) => {
+  if (!baseConfig && !itemConfig) return null;
+
+  const { items, ...dashboardSettings } = baseConfig || {};
+  return { ...dashboardSettings, ...(itemConfig || {}) };
+};
+
+/**
+ * Dashboard configuration with the settings of a widget instance updated
+ * @param {Object} dashboardConfig - Dashboard configuration
+ * @param {string} itemId - Dashboard item id of the widget
+ * @param {Object} config - Settings of the widget, merged into its existing ones
+ * @param {string} lastModified - Modification timestamp
+ * @returns {Object} Updated dashboard configuration
+ */
+export const setItemConfiguration = (dashboardConfig, itemId, config, lastModified) => {
+  const items = getItemConfigurations(dashboardConfig);
+  return {
+    ...(dashboardConfig || {}),
+    items: {
+      ...items,
+      [itemId]: {
+        ...(items[itemId] || {}),
+        ...config,
+        lastModified
+      }
+    }
+  };
+};
+
+/**
+ * Dashboard configuration without the settings of a widget instance
+ * @param {Object} dashboardConfig - Dashboard configuration
+ * @param {string} itemId - Dashboard item id of the widget
+ * @returns {Object} Updated dashboard configuration
+ */
+export const removeItemConfiguration = (dashboardConfig, itemId) => {
+  const { [itemId]: removed, ...items } = getItemConfigurations(dashboardConfig);
+  return { ...(dashboardConfig || {}), items };
+};